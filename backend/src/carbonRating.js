@@ -0,0 +1,156 @@
+/**
+ * CARBON RATING
+ * Turns a dish's kg CO2e per serving into a band guests can read.
+ * Two kinds of scale:
+ * - absolute:  bands by kg CO2e per serving, e.g. A ≤ 0.4 … E above 3
+ * - benchmark: bands by the ratio to a per-category benchmark, e.g. Low
+ *              ≤ 0.75× … High above 1.25×. Categories without a benchmark
+ *              use the average of the menu's rated dishes in that category.
+ * Bands are ordered; each has an upper bound ("max") except the last.
+ */
+
+export const DEFAULT_RATING_SCALE = {
+  type: "absolute",
+  bands: [
+    { label: "A", max: 0.4, color: "#1a9850", description: "Very low" },
+    { label: "B", max: 0.9, color: "#91cf60", description: "Low" },
+    { label: "C", max: 1.8, color: "#fee08b", description: "Medium" },
+    { label: "D", max: 3.0, color: "#fc8d59", description: "High" },
+    { label: "E", max: null, color: "#d73027", description: "Very high" },
+  ],
+};
+
+const DEFAULT_BAND_COLOR = "#9e9e9e";
+
+// Returns { scale } (normalized) or { error }
+export function validateRatingScale(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "scale must be an object" };
+  }
+  if (!["absolute", "benchmark"].includes(input.type)) {
+    return { error: "scale.type must be absolute or benchmark" };
+  }
+  if (!Array.isArray(input.bands) || input.bands.length < 2 || input.bands.length > 10) {
+    return { error: "scale.bands must list 2 to 10 bands" };
+  }
+
+  const bands = [];
+  let previousMax = 0;
+  for (const [index, band] of input.bands.entries()) {
+    const isLast = index === input.bands.length - 1;
+    const label = typeof band?.label === "string" ? band.label.trim() : "";
+    if (!label || label.length > 12) {
+      return { error: `bands[${index}].label must be 1–12 characters` };
+    }
+
+    let max = null;
+    if (!isLast) {
+      max = Number(band.max);
+      if (band.max === null || band.max === "" || !Number.isFinite(max) || max <= previousMax) {
+        return { error: `bands[${index}].max must be a number above the previous band's` };
+      }
+      previousMax = max;
+    } else if (band.max !== undefined && band.max !== null) {
+      return { error: "The last band must not have a max" };
+    }
+
+    if (band.color !== undefined && !/^#[0-9a-f]{6}$/i.test(band.color)) {
+      return { error: `bands[${index}].color must look like #1a9850` };
+    }
+
+    bands.push({
+      label,
+      max,
+      color: band.color || DEFAULT_BAND_COLOR,
+      description: typeof band.description === "string" ? band.description.trim() : null,
+    });
+  }
+
+  const scale = { type: input.type, bands };
+
+  if (input.type === "benchmark") {
+    const benchmarks = {};
+    for (const [category, value] of Object.entries(input.benchmarks || {})) {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n <= 0) {
+        return { error: `benchmarks["${category}"] must be a number > 0` };
+      }
+      benchmarks[category] = n;
+    }
+    scale.benchmarks = benchmarks;
+  }
+
+  return { scale };
+}
+
+function pickBand(bands, value) {
+  return bands.find((band) => band.max === null || value <= band.max);
+}
+
+const round = (n, digits = 3) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Rate menu items.
+ * - items: [{ id, category, estimated_emissions_kg_co2e, has_recipe }]
+ * Returns a Map of item id → rating, or null for dishes without a recipe
+ * (their 0 kg would otherwise earn the best band).
+ */
+export function rateMenuItems(items, scale = DEFAULT_RATING_SCALE) {
+  const ratings = new Map();
+  const rated = items.filter((item) => item.has_recipe);
+
+  // benchmark scale: fall back to category averages, then the menu average
+  const categoryAverages = new Map();
+  let menuAverage = null;
+  if (scale.type === "benchmark") {
+    const sums = new Map();
+    for (const item of rated) {
+      const key = item.category || "";
+      const entry = sums.get(key) || { total: 0, count: 0 };
+      entry.total += Number(item.estimated_emissions_kg_co2e);
+      entry.count += 1;
+      sums.set(key, entry);
+    }
+    for (const [key, { total, count }] of sums) {
+      categoryAverages.set(key, total / count);
+    }
+    if (rated.length > 0) {
+      menuAverage =
+        rated.reduce((acc, i) => acc + Number(i.estimated_emissions_kg_co2e), 0) / rated.length;
+    }
+  }
+
+  for (const item of items) {
+    if (!item.has_recipe) {
+      ratings.set(item.id, null);
+      continue;
+    }
+
+    const kgCo2e = Number(item.estimated_emissions_kg_co2e);
+
+    if (scale.type === "absolute") {
+      const band = pickBand(scale.bands, kgCo2e);
+      ratings.set(item.id, { ...band, kgCo2e: round(kgCo2e) });
+      continue;
+    }
+
+    const configured = scale.benchmarks?.[item.category];
+    const categoryAverage = categoryAverages.get(item.category || "");
+    const benchmark = configured || categoryAverage || menuAverage;
+    const ratio = benchmark > 0 ? kgCo2e / benchmark : 0;
+    const band = pickBand(scale.bands, ratio);
+    ratings.set(item.id, {
+      ...band,
+      kgCo2e: round(kgCo2e),
+      benchmarkKgCo2e: round(benchmark || 0),
+      benchmarkSource: configured
+        ? "configured"
+        : categoryAverage
+          ? "category average"
+          : "menu average",
+      ratio: round(ratio, 2),
+    });
+  }
+
+  return ratings;
+}
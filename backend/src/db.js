@@ -6,9 +6,13 @@ dotenv.config();
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false, // Neon needs SSL
-  },
+  // Neon needs SSL; set PGSSLMODE=disable for a plain local Postgres
+  ssl:
+    process.env.PGSSLMODE === "disable"
+      ? false
+      : {
+          rejectUnauthorized: false,
+        },
 });
 
 export default pool;
\ No newline at end of file
@@ -0,0 +1,127 @@
+import { parseCsvRecords } from "./menuSpreadsheet.js";
+
+/**
+ * EMISSION FACTOR DATASET CSV
+ * Reads a published factor table into
+ *   [{ line, ingredientId, ingredientName, factor }]
+ * One row per ingredient, identified by catalogue id or by name, with its
+ * kg CO2e per kg. The columns are found by their usual headers unless the
+ * caller names them. Only an "ingredient id" column (or the one named by
+ * idColumn) holds catalogue ids: published tables often number their own
+ * rows in a plain "id" column.
+ */
+
+const COLUMN_CANDIDATES = {
+  id: ["ingredient id"],
+  name: ["ingredient", "ingredient name", "name", "product", "food", "item"],
+  factor: [
+    "emissions kg co2e per kg", "kg co2e per kg", "kgco2e per kg", "kg co2e/kg",
+    "kgco2e/kg", "co2e per kg", "emission factor", "factor", "kg co2e", "co2e",
+  ],
+};
+
+const normalizeHeader = (h) =>
+  String(h || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+
+function findColumn(headers, role, explicit) {
+  if (explicit) {
+    const index = headers.indexOf(normalizeHeader(explicit));
+    return index === -1 ? { error: `Column "${explicit}" not found` } : { index };
+  }
+  for (const candidate of COLUMN_CANDIDATES[role]) {
+    const index = headers.indexOf(candidate);
+    if (index !== -1) return { index };
+  }
+  return { index: -1 };
+}
+
+/**
+ * options: { idColumn?, ingredientColumn?, factorColumn? }
+ * Returns { rows, errors } or throws an Error with a user-facing message
+ * when the header can't be used. An ingredient listed twice keeps its
+ * first row.
+ */
+export function readEmissionFactorCsv(buffer, options = {}) {
+  const records = parseCsvRecords(buffer.toString("utf8")).filter((r) =>
+    r.cells.some((c) => c.trim() !== "")
+  );
+  if (records.length === 0) {
+    throw new Error("The file is empty");
+  }
+
+  const [header, ...dataRecords] = records;
+  const headers = header.cells.map(normalizeHeader);
+
+  const columns = {};
+  for (const [role, explicit] of [
+    ["id", options.idColumn],
+    ["name", options.ingredientColumn],
+    ["factor", options.factorColumn],
+  ]) {
+    const found = findColumn(headers, role, explicit);
+    if (found.error) throw new Error(found.error);
+    columns[role] = found.index;
+  }
+
+  if (columns.id === -1 && columns.name === -1) {
+    throw new Error(
+      `Could not find the ingredient column (headers: ${header.cells.join(", ")}); ` +
+        "pass ingredientColumn"
+    );
+  }
+  if (columns.factor === -1) {
+    throw new Error(
+      `Could not find the kg CO2e per kg column (headers: ${header.cells.join(", ")}); ` +
+        "pass factorColumn"
+    );
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const record of dataRecords) {
+    const cell = (index) => (index === -1 ? "" : String(record.cells[index] ?? "").trim());
+    const rawId = cell(columns.id);
+    const ingredientName = cell(columns.name);
+
+    let ingredientId = null;
+    if (rawId !== "") {
+      ingredientId = Number(rawId);
+      if (!Number.isInteger(ingredientId) || ingredientId <= 0) {
+        errors.push({ line: record.line, error: `Invalid ingredient id "${rawId}"` });
+        continue;
+      }
+    } else if (!ingredientName) {
+      errors.push({ line: record.line, error: "Missing ingredient" });
+      continue;
+    }
+
+    // LCA tables are often European: "1,25" is a decimal comma, "1,250.5"
+    // a thousands separator
+    const text = cell(columns.factor);
+    const rawFactor = text.includes(".") ? text.replace(/,/g, "") : text.replace(",", ".");
+    const factor = Number(rawFactor);
+    if (rawFactor === "" || !Number.isFinite(factor) || factor < 0) {
+      errors.push({
+        line: record.line,
+        error: `Invalid kg CO2e per kg "${text}"`,
+      });
+      continue;
+    }
+
+    const key = ingredientId !== null ? `#${ingredientId}` : ingredientName.toLowerCase();
+    if (seen.has(key)) {
+      errors.push({ line: record.line, error: `${ingredientName || `#${ingredientId}`} is listed twice` });
+      continue;
+    }
+    seen.add(key);
+
+    rows.push({ line: record.line, ingredientId, ingredientName, factor });
+  }
+
+  return { rows, errors };
+}
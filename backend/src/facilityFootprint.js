@@ -0,0 +1,447 @@
+import fs from "fs";
+
+/**
+ * FACILITY FOOTPRINT
+ * Turns an onboarding facility profile into an annual estimate (kg CO2e)
+ * split by GHG Protocol scope and by category:
+ * - Scope 1: fuel burnt on site (gas / propane kitchens), company vehicles
+ * - Scope 2: purchased electricity, minus the renewable share
+ * - Scope 3: disposal of food waste, packaging, supplier deliveries
+ *
+ * Every line reports the activity, the factor and the assumptions behind it
+ * so the estimate can be explained to the restaurant.
+ *
+ * Factors are defaults for a Canadian restaurant. Point FOOTPRINT_FACTORS_FILE
+ * at a JSON file to override any of them; it is merged over the defaults.
+ */
+
+export const DEFAULT_FOOTPRINT_FACTORS = {
+  electricity: {
+    // the onboarding form asks for a monthly bill
+    usagePeriodsPerYear: 12,
+    usageUnit: "kWh/month",
+    gridKgCo2ePerKwh: 0.13,
+    source: "Canada national grid average (NIR 2023)",
+  },
+  // on-site fuel, estimated as kWh of fuel per kWh of electricity
+  fuels: {
+    natural_gas: { kgCo2ePerKwh: 0.181, source: "Natural gas combustion (NIR 2023)" },
+    propane: { kgCo2ePerKwh: 0.215, source: "Propane combustion (NIR 2023)" },
+  },
+  energyTypes: {
+    electric: { fuel: null, fuelKwhPerElectricKwh: 0 },
+    gas: { fuel: "natural_gas", fuelKwhPerElectricKwh: 1.2 },
+    propane: { fuel: "propane", fuelKwhPerElectricKwh: 1.2 },
+    mixed: { fuel: "natural_gas", fuelKwhPerElectricKwh: 0.6 },
+  },
+  // share of electricity covered by renewables
+  renewables: {
+    none: 0,
+    partial: 0.5,
+    full: 1,
+  },
+  foodWaste: {
+    // used when there are no purchases logged for the last 12 months, or
+    // they cover too short a span to extrapolate a year from
+    defaultAnnualFoodPurchasedKg: 20000,
+    minPurchaseCoverageDays: 90,
+    handling: {
+      landfill: { kgCo2ePerKg: 0.58, source: "Food waste to landfill (EPA WARM v16)" },
+      compost: { kgCo2ePerKg: 0.05, source: "Food waste composted (EPA WARM v16)" },
+      anaerobic_digestion: { kgCo2ePerKg: 0.02, source: "Anaerobic digestion (EPA WARM v16)" },
+      donation: { kgCo2ePerKg: 0, source: "Donated food – no disposal emissions" },
+    },
+    defaultHandling: "landfill",
+  },
+  packaging: {
+    annualPackagingKg: 1500,
+    types: {
+      plastic: { kgCo2ePerKg: 3.1, source: "Single-use plastic packaging (DEFRA 2023)" },
+      paper: { kgCo2ePerKg: 1.1, source: "Paper and board packaging (DEFRA 2023)" },
+      compostable: { kgCo2ePerKg: 0.9, source: "Compostable fibre packaging (DEFRA 2023)" },
+      reusable: { kgCo2ePerKg: 0.3, source: "Reusable containers, amortised (DEFRA 2023)" },
+      mixed: { kgCo2ePerKg: 2.0, source: "Mixed packaging (DEFRA 2023)" },
+    },
+    defaultType: "mixed",
+    reusableProgramReduction: 0.25,
+    recyclingReduction: 0.2,
+  },
+  vehicles: {
+    weeksPerYear: 52,
+    types: {
+      gasoline: { kgCo2ePerKm: 0.17, source: "Gasoline car/van (NIR 2023)" },
+      diesel: { kgCo2ePerKm: 0.25, source: "Diesel van (NIR 2023)" },
+      hybrid: { kgCo2ePerKm: 0.11, source: "Hybrid car (NIR 2023)" },
+      // charged on site: already counted in the electricity bill
+      electric: { kgCo2ePerKm: 0, source: "Electric vehicle – counted in Scope 2" },
+    },
+    defaultType: "gasoline",
+  },
+  deliveries: {
+    perWeek: {
+      daily: 7,
+      several: 3,
+      weekly: 1,
+      biweekly: 0.5,
+      monthly: 0.25,
+    },
+    kmPerDelivery: 30,
+    kgCo2ePerKm: 0.9,
+    source: "Light commercial truck, round trip (DEFRA 2023)",
+  },
+};
+
+// Words the onboarding form (or a person typing) may use for each option
+const ENERGY_TYPE_WORDS = [
+  ["mixed", ["mixed", "both", "combination", "hybrid"]],
+  ["propane", ["propane", "lpg"]],
+  ["gas", ["gas", "natural gas"]],
+  ["electric", ["electric", "electricity", "induction"]],
+];
+const RENEWABLE_WORDS = [
+  ["full", ["full", "all", "100", "yes", "fully", "entirely"]],
+  ["partial", ["partial", "some", "partly", "part"]],
+  ["none", ["none", "no", "0"]],
+];
+const WASTE_HANDLING_WORDS = [
+  ["anaerobic_digestion", ["anaerobic", "digest", "biogas"]],
+  ["compost", ["compost", "organics", "green bin"]],
+  ["donation", ["donat", "food bank", "charity"]],
+  ["landfill", ["landfill", "trash", "garbage", "none", "bin"]],
+];
+const PACKAGING_WORDS = [
+  ["reusable", ["reusable", "returnable"]],
+  ["compostable", ["compostable", "biodegradable"]],
+  ["paper", ["paper", "cardboard", "fibre", "fiber"]],
+  ["plastic", ["plastic", "styrofoam", "foam"]],
+  ["mixed", ["mixed", "mix", "combination"]],
+];
+const VEHICLE_WORDS = [
+  ["electric", ["electric", "ev"]],
+  ["hybrid", ["hybrid"]],
+  ["diesel", ["diesel"]],
+  ["gasoline", ["gas", "gasoline", "petrol", "car", "van", "truck"]],
+];
+const DELIVERY_WORDS = [
+  ["biweekly", ["biweekly", "bi-weekly", "every two weeks", "fortnight"]],
+  ["several", ["several", "multiple", "few times", "2-3", "3-4"]],
+  ["daily", ["daily", "every day"]],
+  ["weekly", ["weekly", "once a week"]],
+  ["monthly", ["monthly", "once a month"]],
+];
+const YES_WORDS = ["yes", "true", "y"];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function mergeFactors(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeFactors(base[key], value)
+      : value;
+  }
+  return out;
+}
+
+let cachedFactors = null;
+
+export function loadFootprintFactors() {
+  if (cachedFactors) return cachedFactors;
+
+  const file = process.env.FOOTPRINT_FACTORS_FILE;
+  let override = {};
+  if (file) {
+    try {
+      override = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      console.error(`Could not read FOOTPRINT_FACTORS_FILE (${file}):`, err.message);
+    }
+  }
+
+  cachedFactors = mergeFactors(DEFAULT_FOOTPRINT_FACTORS, override);
+  return cachedFactors;
+}
+
+// First option whose words appear in the free-text answer, or null
+function matchOption(answer, options) {
+  if (answer === null || answer === undefined) return null;
+  const text = String(answer).trim().toLowerCase();
+  if (!text) return null;
+
+  // short words must stand alone ("ev" is not part of "every")
+  const matches = (word) =>
+    word.length <= 3
+      ? new RegExp(`(^|[^a-z0-9])${word}($|[^a-z0-9])`).test(text)
+      : text.includes(word);
+
+  for (const [option, words] of options) {
+    if (words.some(matches)) return option;
+  }
+  return null;
+}
+
+function isYes(answer) {
+  return matchOption(answer, [["yes", YES_WORDS]]) === "yes";
+}
+
+const toNumber = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+};
+
+const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// "40%", "0.4" or "partial" → share between 0 and 1
+function renewableShare(answer, factors) {
+  const numeric = Number(String(answer ?? "").replace(/%$/, "").trim());
+  if (answer !== null && answer !== undefined && answer !== "" && Number.isFinite(numeric)) {
+    const share = numeric > 1 ? numeric / 100 : numeric;
+    return { share: Math.min(1, Math.max(0, share)), matched: `${round(share * 100)}%` };
+  }
+
+  const option = matchOption(answer, RENEWABLE_WORDS) || "none";
+  return { share: factors.renewables[option] ?? 0, matched: option };
+}
+
+/**
+ * Annual footprint for one facility profile.
+ * - profile: a facility_profiles row
+ * - context.foodPurchasedKg: food bought in the last 12 months (null when
+ *   nothing was logged; the default volume is used instead)
+ * - context.foodPurchaseDays: days those purchases span, from the first one
+ *   logged in the window to the end of it; scaled up to a year when at
+ *   least foodWaste.minPurchaseCoverageDays
+ * Returns { totalKgCo2e, byScope, byCategory, lines, warnings }.
+ */
+export function calculateFacilityFootprint(profile, context = {}, factors = loadFootprintFactors()) {
+  const lines = [];
+  const warnings = [];
+
+  const addLine = (line) => {
+    lines.push({ ...line, emissionsKgCo2e: round(line.emissionsKgCo2e, 3) });
+  };
+
+  // ---------------------------
+  // Energy: electricity (Scope 2) and on-site fuel (Scope 1)
+  // ---------------------------
+  const usage = toNumber(profile.electricity_usage);
+  if (usage === null) {
+    warnings.push("No electricity usage in the profile; energy is not included");
+  } else {
+    const e = factors.electricity;
+    const annualKwh = usage * e.usagePeriodsPerYear;
+    const { share, matched } = renewableShare(profile.renewables, factors);
+    const gridKwh = annualKwh * (1 - share);
+
+    addLine({
+      key: "electricity",
+      label: "Purchased electricity",
+      scope: 2,
+      category: "energy",
+      activity: { value: round(gridKwh), unit: "kWh/year" },
+      factor: { value: e.gridKgCo2ePerKwh, unit: "kg CO2e/kWh", source: e.source },
+      emissionsKgCo2e: gridKwh * e.gridKgCo2ePerKwh,
+      assumptions: [
+        `electricity_usage ${usage} read as ${e.usageUnit} × ${e.usagePeriodsPerYear} = ${round(annualKwh)} kWh/year`,
+        `renewables "${profile.renewables ?? ""}" read as ${matched}: ${round(share * 100)}% of usage excluded`,
+      ],
+    });
+
+    const energyOption = matchOption(profile.energy_type, ENERGY_TYPE_WORDS);
+    if (!energyOption) {
+      warnings.push(
+        `Energy type "${profile.energy_type ?? ""}" not recognised; assumed all-electric kitchen`
+      );
+    }
+    const energy = factors.energyTypes[energyOption || "electric"];
+    const fuel = energy && energy.fuel ? factors.fuels[energy.fuel] : null;
+
+    if (fuel) {
+      const fuelKwh = annualKwh * energy.fuelKwhPerElectricKwh;
+      addLine({
+        key: "onsite_fuel",
+        label: `On-site ${energy.fuel.replace("_", " ")}`,
+        scope: 1,
+        category: "energy",
+        activity: { value: round(fuelKwh), unit: "kWh/year" },
+        factor: { value: fuel.kgCo2ePerKwh, unit: "kg CO2e/kWh", source: fuel.source },
+        emissionsKgCo2e: fuelKwh * fuel.kgCo2ePerKwh,
+        assumptions: [
+          `energy_type "${profile.energy_type}" read as ${energyOption}`,
+          `fuel use estimated at ${energy.fuelKwhPerElectricKwh} kWh per kWh of electricity`,
+        ],
+      });
+    }
+  }
+
+  // ---------------------------
+  // Waste: disposal of food waste (Scope 3)
+  // ---------------------------
+  const wastePercent = toNumber(profile.food_waste_percent);
+  if (wastePercent === null) {
+    warnings.push("No food waste percent in the profile; waste is not included");
+  } else {
+    const fw = factors.foodWaste;
+    const purchasedKg = toNumber(context.foodPurchasedKg);
+    const coveredDays = Math.min(365, toNumber(context.foodPurchaseDays) ?? 365);
+    const annualized = purchasedKg > 0 && coveredDays >= fw.minPurchaseCoverageDays;
+    const baseKg = annualized
+      ? (purchasedKg * 365) / coveredDays
+      : fw.defaultAnnualFoodPurchasedKg;
+    const wasteKg = (baseKg * wastePercent) / 100;
+
+    let volumeAssumption;
+    if (annualized && coveredDays >= 365) {
+      volumeAssumption = `${round(purchasedKg)} kg of food purchased in the last 12 months (logged purchases)`;
+    } else if (annualized) {
+      volumeAssumption =
+        `${round(purchasedKg)} kg of food purchased over ${coveredDays} days ` +
+        `(logged purchases), scaled to ${round(baseKg)} kg per year`;
+    } else if (purchasedKg > 0) {
+      volumeAssumption =
+        `purchases only logged for ${coveredDays} days (fewer than ` +
+        `${fw.minPurchaseCoverageDays}); assumed ${fw.defaultAnnualFoodPurchasedKg} kg of food per year`;
+    } else {
+      volumeAssumption = `no purchases logged in the last 12 months; assumed ${fw.defaultAnnualFoodPurchasedKg} kg of food per year`;
+    }
+
+    const handlingOption = matchOption(profile.food_waste_handling, WASTE_HANDLING_WORDS);
+    const handlingKey = handlingOption || fw.defaultHandling;
+    const handling = fw.handling[handlingKey];
+
+    addLine({
+      key: "food_waste",
+      label: "Food waste disposal",
+      scope: 3,
+      category: "waste",
+      activity: { value: round(wasteKg), unit: "kg/year" },
+      factor: { value: handling.kgCo2ePerKg, unit: "kg CO2e/kg", source: handling.source },
+      emissionsKgCo2e: wasteKg * handling.kgCo2ePerKg,
+      assumptions: [
+        volumeAssumption,
+        `${wastePercent}% of purchased food is wasted`,
+        handlingOption
+          ? `food_waste_handling "${profile.food_waste_handling}" read as ${handlingKey}`
+          : `food_waste_handling not recognised; assumed ${handlingKey}`,
+      ],
+    });
+  }
+
+  // ---------------------------
+  // Packaging (Scope 3)
+  // ---------------------------
+  if (!profile.packaging_type) {
+    warnings.push("No packaging type in the profile; packaging is not included");
+  } else {
+    const p = factors.packaging;
+    const typeOption = matchOption(profile.packaging_type, PACKAGING_WORDS);
+    const typeKey = typeOption || p.defaultType;
+    const type = p.types[typeKey];
+
+    let packagingKg = p.annualPackagingKg;
+    const assumptions = [
+      `assumed ${p.annualPackagingKg} kg of packaging per year`,
+      typeOption
+        ? `packaging_type "${profile.packaging_type}" read as ${typeKey}`
+        : `packaging_type "${profile.packaging_type}" not recognised; assumed ${typeKey}`,
+    ];
+    if (isYes(profile.reusable_program)) {
+      packagingKg *= 1 - p.reusableProgramReduction;
+      assumptions.push(`reusable program: -${round(p.reusableProgramReduction * 100)}% packaging`);
+    }
+    if (isYes(profile.recycling)) {
+      packagingKg *= 1 - p.recyclingReduction;
+      assumptions.push(`recycling: -${round(p.recyclingReduction * 100)}% packaging emissions`);
+    }
+
+    addLine({
+      key: "packaging",
+      label: "Packaging",
+      scope: 3,
+      category: "packaging",
+      activity: { value: round(packagingKg), unit: "kg/year" },
+      factor: { value: type.kgCo2ePerKg, unit: "kg CO2e/kg", source: type.source },
+      emissionsKgCo2e: packagingKg * type.kgCo2ePerKg,
+      assumptions,
+    });
+  }
+
+  // ---------------------------
+  // Transport: own vehicles (Scope 1) and supplier deliveries (Scope 3)
+  // ---------------------------
+  const weeklyKm = toNumber(profile.weekly_km);
+  const vehicleOption = matchOption(profile.vehicles, VEHICLE_WORDS);
+  const noVehicles = /^\s*(none|no|0)\s*$/i.test(profile.vehicles || "");
+
+  if (weeklyKm && !noVehicles) {
+    const v = factors.vehicles;
+    const typeKey = vehicleOption || v.defaultType;
+    const type = v.types[typeKey];
+    const annualKm = weeklyKm * v.weeksPerYear;
+
+    addLine({
+      key: "vehicles",
+      label: "Company vehicles",
+      scope: 1,
+      category: "transport",
+      activity: { value: round(annualKm), unit: "km/year" },
+      factor: { value: type.kgCo2ePerKm, unit: "kg CO2e/km", source: type.source },
+      emissionsKgCo2e: annualKm * type.kgCo2ePerKm,
+      assumptions: [
+        `weekly_km ${weeklyKm} × ${v.weeksPerYear} weeks`,
+        vehicleOption
+          ? `vehicles "${profile.vehicles}" read as ${typeKey}`
+          : `vehicles "${profile.vehicles ?? ""}" not recognised; assumed ${typeKey}`,
+      ],
+    });
+  }
+
+  const deliveryOption = matchOption(profile.delivery_frequency, DELIVERY_WORDS);
+  if (deliveryOption) {
+    const d = factors.deliveries;
+    const perWeek = d.perWeek[deliveryOption];
+    const annualKm = perWeek * 52 * d.kmPerDelivery;
+
+    addLine({
+      key: "deliveries",
+      label: "Supplier deliveries",
+      scope: 3,
+      category: "transport",
+      activity: { value: round(annualKm), unit: "km/year" },
+      factor: { value: d.kgCo2ePerKm, unit: "kg CO2e/km", source: d.source },
+      emissionsKgCo2e: annualKm * d.kgCo2ePerKm,
+      assumptions: [
+        `delivery_frequency "${profile.delivery_frequency}" read as ${perWeek} per week`,
+        `${d.kmPerDelivery} km round trip per delivery`,
+      ],
+    });
+  } else if (profile.delivery_frequency) {
+    warnings.push(
+      `Delivery frequency "${profile.delivery_frequency}" not recognised; deliveries are not included`
+    );
+  }
+
+  // ---------------------------
+  // Totals
+  // ---------------------------
+  const byScope = { scope1: 0, scope2: 0, scope3: 0 };
+  const byCategory = { energy: 0, waste: 0, transport: 0, packaging: 0 };
+  for (const line of lines) {
+    byScope[`scope${line.scope}`] += line.emissionsKgCo2e;
+    byCategory[line.category] += line.emissionsKgCo2e;
+  }
+  for (const totals of [byScope, byCategory]) {
+    for (const key of Object.keys(totals)) totals[key] = round(totals[key], 3);
+  }
+
+  return {
+    totalKgCo2e: round(lines.reduce((sum, l) => sum + l.emissionsKgCo2e, 0), 3),
+    byScope,
+    byCategory,
+    lines,
+    warnings,
+  };
+}
@@ -1,10 +1,41 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import jwt from "jsonwebtoken";
 import pool from "./db.js";
+import {
+  parseYieldPercent,
+  resolveBodyQuantity,
+  toAsPurchasedGrams,
+  toGrams,
+  unitKind,
+} from "./units.js";
+import { requireAuth, signToken } from "./auth.js";
+import {
+  hashPassword,
+  verifyPassword,
+  verifyDummyPassword,
+} from "./passwords.js";
 import multer from "multer";
 import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import { extractMenuCandidatesFromText } from "./menuParser.js";
+import { OCR_IMAGE_TYPES, recognizeImage, recognizePdf } from "./ocr.js";
+import { calculateFacilityFootprint } from "./facilityFootprint.js";
+import { allocateFifo, lotAgeDays, oldestOpenLot } from "./inventory.js";
+import { readEmissionFactorCsv } from "./emissionDatasets.js";
+import { readPosSalesCsv } from "./posImport.js";
+import { rollupPrepRecipes } from "./prepRecipes.js";
+import {
+  DEFAULT_RATING_SCALE,
+  rateMenuItems,
+  validateRatingScale,
+} from "./carbonRating.js";
+import { renderLabelPng, renderLabelSvg, renderMenuPdf } from "./menuLabels.js";
+import {
+  readMenuSheet,
+  toCsv,
+  toXlsx,
+  validateMenuRows,
+} from "./menuSpreadsheet.js";
 
 
 
@@ -13,9 +44,6 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-me";
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
-
 // middleware
 app.use(cors());
 app.use(express.json());
@@ -23,14 +51,14 @@ app.use(express.json());
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit – adjust if needed
+    fileSize: 10 * 1024 * 1024, // 10MB limit – phone photos are often >5MB
   },
 });
 /**
  * SIGNUP
  * - validates required fields
  * - checks if email is already in use
- * - stores the password as-is (plaintext for now)
+ * - stores a salted scrypt hash of the password
  */
 app.post("/api/signup", async (req, res) => {
   try {
@@ -48,24 +76,19 @@ app.post("/api/signup", async (req, res) => {
       return res.status(409).json({ error: "Email already in use" });
     }
 
+    const passwordHash = await hashPassword(password);
+
     const result = await pool.query(
       `INSERT INTO users (email, password_hash, company_name)
        VALUES ($1, $2, $3)
        RETURNING id, email, company_name`,
-      [email, password, companyName] // plaintext for now (fine for dev)
+      [email, passwordHash, companyName]
     );
 
     const user = result.rows[0];
 
     // create JWT
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    const token = signToken(user);
 
     // Ensure this user has a "Main menu"
     const menu = await getOrCreateMainMenu(user.id);
@@ -82,7 +105,8 @@ app.post("/api/signup", async (req, res) => {
  * LOGIN
  * - expects: email, password
  * - finds user by email
- * - compares supplied password to stored password_hash (plaintext for now)
+ * - verifies the password against password_hash
+ * - legacy plaintext rows are rehashed on the first successful login
  */
 app.post("/api/login", async (req, res) => {
   try {
@@ -102,23 +126,30 @@ app.post("/api/login", async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      await verifyDummyPassword(password);
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
     const user = result.rows[0];
 
-    if (user.password_hash !== password) {
+    const { ok, needsRehash } = await verifyPassword(
+      password,
+      user.password_hash
+    );
+    if (!ok) {
       return res.status(401).json({ error: "Invalid email or password" });
     }
 
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    if (needsRehash) {
+      // Only replace the exact row we verified, in case of a concurrent change
+      await pool.query(
+        `UPDATE users SET password_hash = $1
+         WHERE id = $2 AND password_hash = $3`,
+        [await hashPassword(password), user.id, user.password_hash]
+      );
+    }
+
+    const token = signToken(user);
 
     const { password_hash, ...publicUser } = user;
 
@@ -130,6 +161,54 @@ app.post("/api/login", async (req, res) => {
   }
 });
 
+// Every route registered below this line requires a valid bearer token.
+// requireAuth sets req.userId; routes must scope their queries to it.
+app.use("/api", requireAuth);
+
+/**
+ * CHANGE PASSWORD
+ * - expects: currentPassword, newPassword
+ * - verifies the current password before storing the new hash
+ */
+app.put("/api/account/password", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res
+        .status(400)
+        .json({ error: "currentPassword and newPassword are required" });
+    }
+
+    const result = await pool.query(
+      "SELECT id, password_hash FROM users WHERE id = $1",
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { ok } = await verifyPassword(
+      currentPassword,
+      result.rows[0].password_hash
+    );
+    if (!ok) {
+      return res.status(401).json({ error: "Current password is incorrect" });
+    }
+
+    await pool.query("UPDATE users SET password_hash = $1 WHERE id = $2", [
+      await hashPassword(newPassword),
+      userId,
+    ]);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error in PUT /api/account/password:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 async function getOrCreateMainMenu(userId) {
   // 1) check for existing active menu
   const existing = await pool.query(
@@ -156,38 +235,89 @@ async function getOrCreateMainMenu(userId) {
   return inserted.rows[0];
 }
 
+// Helper: load a menu only if it belongs to the user
+async function getOwnedMenu(userId, menuId) {
+  if (!Number.isInteger(Number(menuId))) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT id, user_id, name, description, is_active, created_at
+     FROM menus
+     WHERE id = $1 AND user_id = $2`,
+    [menuId, userId]
+  );
+
+  return rows[0] || null;
+}
+
+// Helper: the menu a request targets – an explicit menuId, else the main menu
+async function resolveTargetMenu(userId, menuId) {
+  if (menuId === undefined || menuId === null || menuId === "") {
+    return getOrCreateMainMenu(userId);
+  }
+  return getOwnedMenu(userId, menuId);
+}
+
+// Helper: load a menu item only if it sits on one of the user's menus
+async function getOwnedMenuItem(userId, menuItemId) {
+  if (!Number.isInteger(Number(menuItemId))) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT mi.id, mi.menu_id
+     FROM menu_items mi
+     JOIN menus m ON m.id = mi.menu_id
+     WHERE mi.id = $1 AND m.user_id = $2`,
+    [Number(menuItemId), userId]
+  );
+
+  return rows[0] || null;
+}
+
+// GET /api/menu?menuId=123&costMethod=average (menuId optional → main menu)
+// Each item carries its plate cost and margin next to its emissions.
 app.get("/api/menu", async (req, res) => {
   try {
-    const { userId } = req.query;
+    const userId = req.userId;
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+    const { method, error } = parseCostMethod(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Optionally make sure the user exists
-    const userCheck = await pool.query(
-      "SELECT id FROM users WHERE id = $1",
-      [userId]
-    );
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    // 🔹 Get the requested menu, or get/create the main menu
+    const menu = await resolveTargetMenu(userId, req.query.menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
     }
 
-    // 🔹 Get or create the main menu
-    const menu = await getOrCreateMainMenu(userId);
-
     // 🔹 Fetch menu items for this menu
     const itemsResult = await pool.query(
-      `SELECT id, name, category, price_cents, estimated_emissions_kg_co2e, is_active, created_at
+      `SELECT id, name, category, price_cents, estimated_emissions_kg_co2e,
+              emission_dataset_id, emissions_calculated_at,
+              emissions_stale_since IS NOT NULL AS emissions_stale, emissions_stale_since,
+              is_active, created_at
        FROM menu_items
        WHERE menu_id = $1 AND is_active = TRUE
        ORDER BY created_at ASC`,
       [menu.id]
     );
 
+    const costs = await costMenuItems(
+      userId,
+      itemsResult.rows.map((i) => i.id),
+      method
+    );
+
     res.json({
       menu,
-      items: itemsResult.rows,
+      costMethod: method,
+      items: itemsResult.rows.map((item) => ({
+        ...item,
+        costing: summarizeDishCost(item.price_cents, costs.get(item.id)),
+      })),
     });
   } catch (err) {
     console.error("Error in /api/menu:", err);
@@ -195,261 +325,278 @@ app.get("/api/menu", async (req, res) => {
   }
 });
 
-// POST /api/menu/items
-// Body: { userId, name, category, price }
-app.post("/api/menu/items", async (req, res) => {
+// GET /api/menus?includeArchived=true
+// Lists the user's menus with item counts and an emissions rollup per menu
+app.get("/api/menus", async (req, res) => {
   try {
-    const { userId, name, category, price } = req.body;
+    const userId = req.userId;
+    const includeArchived = req.query.includeArchived === "true";
 
-    if (!userId || !name) {
-      return res
-        .status(400)
-        .json({ error: "Missing required fields (userId, name)" });
-    }
+    const { rows } = await pool.query(
+      `SELECT
+         m.id, m.user_id, m.name, m.description, m.is_active, m.created_at,
+         COUNT(mi.id)::int AS item_count,
+         COALESCE(SUM(mi.estimated_emissions_kg_co2e), 0) AS total_emissions_kg_co2e,
+         COALESCE(ROUND(AVG(mi.estimated_emissions_kg_co2e), 4), 0) AS avg_emissions_kg_co2e,
+         COUNT(mi.emissions_stale_since)::int AS stale_item_count
+       FROM menus m
+       LEFT JOIN menu_items mi ON mi.menu_id = m.id AND mi.is_active = TRUE
+       WHERE m.user_id = $1 AND ($2 OR m.is_active = TRUE)
+       GROUP BY m.id
+       ORDER BY m.is_active DESC, m.id ASC`,
+      [userId, includeArchived]
+    );
 
-    // make sure user exists
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-      userId,
-    ]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
+    res.json({ menus: rows });
+  } catch (err) {
+    console.error("Error in GET /api/menus:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // get or create main menu for this user
-    const menu = await getOrCreateMainMenu(userId);
+// GET /api/menus/emissions
+// Per-menu footprint comparison, broken down by item category
+app.get("/api/menus/emissions", async (req, res) => {
+  try {
+    const userId = req.userId;
 
-    // convert price in dollars to cents (if provided)
-    let priceCents = null;
-    if (price !== undefined && price !== null && price !== "") {
-      const p = Number(price);
-      if (Number.isNaN(p) || p < 0) {
-        return res.status(400).json({ error: "Invalid price value" });
+    const { rows } = await pool.query(
+      `SELECT
+         m.id AS menu_id,
+         m.name AS menu_name,
+         m.is_active,
+         COALESCE(mi.category, 'Uncategorized') AS category,
+         COUNT(mi.id)::int AS item_count,
+         COALESCE(SUM(mi.estimated_emissions_kg_co2e), 0) AS total_emissions_kg_co2e
+       FROM menus m
+       -- LEFT JOIN: a menu without active dishes still shows, at 0 kg
+       LEFT JOIN menu_items mi ON mi.menu_id = m.id AND mi.is_active = TRUE
+       WHERE m.user_id = $1
+       GROUP BY m.id, m.name, m.is_active, COALESCE(mi.category, 'Uncategorized')
+       ORDER BY m.id, category`,
+      [userId]
+    );
+
+    const byMenu = new Map();
+    for (const row of rows) {
+      if (!byMenu.has(row.menu_id)) {
+        byMenu.set(row.menu_id, {
+          menuId: row.menu_id,
+          name: row.menu_name,
+          isActive: row.is_active,
+          itemCount: 0,
+          totalEmissionsKgCo2e: 0,
+          avgEmissionsKgCo2e: 0,
+          categories: [],
+        });
       }
-      priceCents = Math.round(p * 100);
+      if (row.item_count === 0) continue;
+      const entry = byMenu.get(row.menu_id);
+      const total = Number(row.total_emissions_kg_co2e);
+      entry.itemCount += row.item_count;
+      entry.totalEmissionsKgCo2e += total;
+      entry.categories.push({
+        category: row.category,
+        itemCount: row.item_count,
+        totalEmissionsKgCo2e: total,
+      });
     }
 
-    // for now, we handle emissions internally → start at 0
-    const emissionsValue = 0;
-
-    const insertResult = await pool.query(
-      `INSERT INTO menu_items (
-         menu_id, name, category, price_cents, estimated_emissions_kg_co2e, is_active
-       )
-       VALUES ($1, $2, $3, $4, $5, TRUE)
-       RETURNING id, name, category, price_cents, estimated_emissions_kg_co2e, is_active, created_at`,
-      [menu.id, name, category || null, priceCents, emissionsValue]
-    );
+    const menus = [...byMenu.values()].map((m) => ({
+      ...m,
+      avgEmissionsKgCo2e: m.itemCount > 0 ? m.totalEmissionsKgCo2e / m.itemCount : 0,
+    }));
 
-    res.status(201).json({ item: insertResult.rows[0] });
+    res.json({ menus });
   } catch (err) {
-    console.error("Error in /api/menu/items:", err);
+    console.error("Error in GET /api/menus/emissions:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
-app.post("/api/onboarding/facility", async (req, res) => {
-  try {
-    const userId = req.userId || req.body.userId;
-    const data = req.body;
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
-    }
+// POST /api/menus
+// Body: { name, description }
+app.post("/api/menus", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { name, description } = req.body;
 
-    // Optional: verify user exists
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-      userId,
-    ]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: "Menu name is required" });
     }
 
-    // Optional: clear any old profile for this user
-    await pool.query("DELETE FROM facility_profiles WHERE user_id = $1", [
-      userId,
-    ]);
-
-    const result = await pool.query(
-      `INSERT INTO facility_profiles (
-        user_id,
-        energy_type, electricity_usage, efficient_appliances, renewables,
-        food_waste_handling, food_waste_percent, recycling,
-        water_tracking, water_efficient,
-        sourcing, delivery_frequency,
-        packaging_type, reusable_program,
-        vehicles, weekly_km
-      ) VALUES (
-        $1, $2, $3, $4, $5,
-        $6, $7, $8,
-        $9, $10,
-        $11, $12,
-        $13, $14,
-        $15, $16
-      )
-      RETURNING *`,
-      [
-        userId,
-        data.energyType,
-        data.electricityUsage,
-        data.efficientAppliances || [],
-        data.renewables,
-        data.foodWasteHandling,
-        data.foodWastePercent,
-        data.recycling,
-        data.waterTracking,
-        data.waterEfficient,
-        data.sourcing,
-        data.deliveryFrequency,
-        data.packagingType,
-        data.reusableProgram,
-        data.vehicles,
-        data.weeklyKm,
-      ]
+    const { rows } = await pool.query(
+      `INSERT INTO menus (user_id, name, description, is_active)
+       VALUES ($1, $2, $3, TRUE)
+       RETURNING id, user_id, name, description, is_active, created_at`,
+      [userId, String(name).trim(), description || null]
     );
 
-    res.status(201).json({ success: true, profile: result.rows[0] });
+    res.status(201).json({ menu: rows[0] });
   } catch (err) {
-    console.error("Error saving facility profile:", err);
+    console.error("Error in POST /api/menus:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// PUT /api/menus/:id
+// Body: { name, description } – rename / re-describe a menu
+app.put("/api/menus/:id", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { name, description } = req.body;
 
-// Very simple heuristic parser: look for lines with a price and treat them as menu items
-function extractMenuCandidatesFromText(text) {
-  const lines = text
-    .split("\n")
-    .map((l) => l.replace(/\s+/g, " ").trim()) // normalize spaces
-    .filter((l) => l.length > 0);
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: "Menu name is required" });
+    }
 
-  // price like: 12, 12.95, $12.95, 1,200.00
-  const priceRegex = /\$?\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?/;
+    const menu = await getOwnedMenu(userId, req.params.id);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
 
-  const hasLetters = (s) => /[A-Za-z]/.test(s);
+    const { rows } = await pool.query(
+      `UPDATE menus
+       SET name = $1,
+           description = $2
+       WHERE id = $3 AND user_id = $4
+       RETURNING id, user_id, name, description, is_active, created_at`,
+      [String(name).trim(), description || null, menu.id, userId]
+    );
 
-  const candidates = [];
+    res.json({ menu: rows[0] });
+  } catch (err) {
+    console.error("Error in PUT /api/menus/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+// POST /api/menus/:id/duplicate
+// Body: { name? } – copies the menu, its active items and their ingredients
+app.post("/api/menus/:id/duplicate", async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const userId = req.userId;
+    const source = await getOwnedMenu(userId, req.params.id);
+    if (!source) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
 
-    // ---------------------------
-    // Case A: name + price on SAME line
-    // ---------------------------
-    let match = line.match(priceRegex);
+    const name =
+      req.body?.name && String(req.body.name).trim()
+        ? String(req.body.name).trim()
+        : `${source.name} (copy)`;
 
-    if (match && hasLetters(line)) {
-      const priceStr = match[0];
-      const priceIndex = match.index ?? line.indexOf(priceStr);
+    await client.query("BEGIN");
 
-      // Everything before the price is treated as the name
-      let namePart = line.slice(0, priceIndex).trim();
-      // Strip trailing dots/dashes: "THE RICHMOND ...."
-      namePart = namePart.replace(/[\.\·\-]+$/g, "").trim();
+    const menuResult = await client.query(
+      `INSERT INTO menus (user_id, name, description, is_active)
+       VALUES ($1, $2, $3, TRUE)
+       RETURNING id, user_id, name, description, is_active, created_at`,
+      [userId, name, source.description]
+    );
+    const menu = menuResult.rows[0];
 
-      if (namePart.length >= 3 && hasLetters(namePart)) {
-        const cleaned = priceStr.replace("$", "").replace(/,/g, "");
-        const price = Number(cleaned);
-        if (!Number.isNaN(price) && price > 0) {
-          candidates.push({
-            name: namePart,
-            price,
-            rawLine: line,
-          });
-          continue; // don’t also try Case B for this line
-        }
-      }
-    }
-    if (hasLetters(line) && !match && i + 1 < lines.length) {
-      const next = lines[i + 1];
-      const nextMatch = next.match(priceRegex);
-
-      if (nextMatch) {
-        const priceStr = nextMatch[0];
-        const cleaned = priceStr.replace("$", "").replace(/,/g, "");
-        const price = Number(cleaned);
-
-        if (!Number.isNaN(price) && price > 0) {
-          let namePart = line.replace(/[\.\·\-]+$/g, "").trim();
-
-          if (namePart.length >= 3 && hasLetters(namePart)) {
-            candidates.push({
-              name: namePart,
-              price,
-              rawLine: line + " " + next,
-            });
-            i++; // skip the price line since we've consumed it
-          }
-        }
-      }
-    }
-  }
+    const items = await client.query(
+      `SELECT id FROM menu_items
+       WHERE menu_id = $1 AND is_active = TRUE
+       ORDER BY created_at ASC, id ASC`,
+      [source.id]
+    );
 
-  return candidates;
-}
+    for (const item of items.rows) {
+      const copy = await client.query(
+        `INSERT INTO menu_items (
+           menu_id, name, category, price_cents, estimated_emissions_kg_co2e,
+           emission_dataset_id, emissions_calculated_at, is_active
+         )
+         SELECT $1, name, category, price_cents, estimated_emissions_kg_co2e,
+                emission_dataset_id, emissions_calculated_at, TRUE
+         FROM menu_items
+         WHERE id = $2
+         RETURNING id`,
+        [menu.id, item.id]
+      );
 
+      await client.query(
+        `INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity, unit, yield_percent)
+         SELECT $1, ingredient_id, quantity, unit, yield_percent
+         FROM menu_item_ingredients
+         WHERE menu_item_id = $2`,
+        [copy.rows[0].id, item.id]
+      );
 
-app.post(
-  "/api/menu/import-pdf",
-  upload.single("menuPdf"),
-  async (req, res) => {
-    console.log("HIT /api/menu/import-pdf");
-    try {
-      const { userId } = req.body;
-      const file = req.file;
+      await client.query(
+        `INSERT INTO menu_item_components (menu_item_id, prep_recipe_id, quantity, unit)
+         SELECT $1, prep_recipe_id, quantity, unit
+         FROM menu_item_components
+         WHERE menu_item_id = $2`,
+        [copy.rows[0].id, item.id]
+      );
+    }
 
-      if (!userId) {
-        return res.status(400).json({ error: "Missing userId" });
-      }
+    // the copied recipe lines marked the copies stale
+    await recalculateStaleMenuItems(userId, client);
 
-      if (!file) {
-        return res.status(400).json({ error: "No PDF file uploaded" });
-      }
+    await client.query("COMMIT");
 
-      // Ensure user exists
-      const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-        userId,
-      ]);
-      if (userCheck.rows.length === 0) {
-        return res.status(404).json({ error: "User not found" });
-      }
+    res.status(201).json({ menu, itemCount: items.rows.length });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/menus/:id/duplicate:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    client.release();
+  }
+});
 
-      // Extract text from the PDF
-      const pdfData = await pdfParse(file.buffer);
-      const text = pdfData.text || "";
+// POST /api/menus/:id/archive  and  POST /api/menus/:id/activate
+async function setMenuActive(req, res, isActive) {
+  try {
+    if (!Number.isInteger(Number(req.params.id))) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
 
+    const { rows } = await pool.query(
+      `UPDATE menus
+       SET is_active = $1
+       WHERE id = $2 AND user_id = $3
+       RETURNING id, user_id, name, description, is_active, created_at`,
+      [isActive, req.params.id, req.userId]
+    );
 
-      if (!text.trim()) {
-        return res.status(400).json({
-          error: "Could not extract text from PDF (may be image-only).",
-        });
-      }
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
 
-      const candidates = extractMenuCandidatesFromText(text);
+    res.json({ menu: rows[0] });
+  } catch (err) {
+    console.error(`Error in POST /api/menus/:id/${isActive ? "activate" : "archive"}:`, err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+}
 
-      if (candidates.length === 0) {
-        return res.status(200).json({
-          candidates: [],
-          message:
-            "No menu-like lines were detected. You may need to add items manually.",
-        });
-      }
+app.post("/api/menus/:id/archive", (req, res) => setMenuActive(req, res, false));
+app.post("/api/menus/:id/activate", (req, res) => setMenuActive(req, res, true));
 
-      // For now, we only detect + return them; frontend will confirm which to import
-      res.json({ candidates });
-    } catch (err) {
-      console.error("Error in /api/menu/import-pdf:", err);
-      res.status(500).json({ error: "Internal server error" });
-    }
-  }
-);
-app.put("/api/menu/items/:id", async (req, res) => {
+// POST /api/menu/items
+// Body: { name, category, price, menuId? } (menuId optional → main menu)
+app.post("/api/menu/items", async (req, res) => {
   try {
-    const itemId = req.params.id;
-    const { name, category, price } = req.body;
+    const userId = req.userId;
+    const { name, category, price, menuId } = req.body;
 
     if (!name) {
-      return res.status(400).json({ error: "Name is required" });
+      return res.status(400).json({ error: "Missing required fields (name)" });
     }
 
+    // target menu, or get/create main menu for this user
+    const menu = await resolveTargetMenu(userId, menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
+
+    // convert price in dollars to cents (if provided)
     let priceCents = null;
     if (price !== undefined && price !== null && price !== "") {
       const p = Number(price);
@@ -459,605 +606,5708 @@ app.put("/api/menu/items/:id", async (req, res) => {
       priceCents = Math.round(p * 100);
     }
 
-    const updateResult = await pool.query(
-      `UPDATE menu_items
-       SET name = $1,
-           category = $2,
-           price_cents = $3
-       WHERE id = $4
-       RETURNING id, name, category, price_cents,
-                 estimated_emissions_kg_co2e, is_active, created_at`,
-      [name, category || null, priceCents, itemId]
-    );
+    // for now, we handle emissions internally → start at 0
+    const emissionsValue = 0;
 
-    if (updateResult.rows.length === 0) {
-      return res.status(404).json({ error: "Menu item not found" });
-    }
+    const insertResult = await pool.query(
+      `INSERT INTO menu_items (
+         menu_id, name, category, price_cents, estimated_emissions_kg_co2e, is_active
+       )
+       VALUES ($1, $2, $3, $4, $5, TRUE)
+       RETURNING id, name, category, price_cents, estimated_emissions_kg_co2e, is_active, created_at`,
+      [menu.id, name, category || null, priceCents, emissionsValue]
+    );
 
-    res.json({ item: updateResult.rows[0] });
+    res.status(201).json({ item: insertResult.rows[0] });
   } catch (err) {
-    console.error("Error in PUT /api/menu/items/:id:", err);
+    console.error("Error in /api/menu/items:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
+/**
+ * CARBON RATINGS & LABELS
+ * Each dish's kg CO2e per serving is rated on the restaurant's scale
+ * (default A–E, see carbonRating.js). Ratings are computed on read, so
+ * they always follow the latest recipe and scale.
+ */
 
-// SOFT-DELETE (deactivate) a menu item
-// DELETE /api/menu/items/:id
-app.delete("/api/menu/items/:id", async (req, res) => {
-  try {
-    const itemId = req.params.id;
+// Helper: the user's rating scale, or the default one
+async function getRatingScale(userId) {
+  const { rows } = await pool.query(
+    "SELECT scale FROM carbon_rating_scales WHERE user_id = $1",
+    [userId]
+  );
+  return rows[0] ? rows[0].scale : DEFAULT_RATING_SCALE;
+}
 
-    const deleteResult = await pool.query(
-      `UPDATE menu_items
-       SET is_active = FALSE
-       WHERE id = $1
-       RETURNING id`,
-      [itemId]
-    );
+// Helper: active items of a menu with their ratings
+async function loadRatedMenuItems(userId, menuId) {
+  const { rows: items } = await pool.query(
+    `SELECT mi.id, mi.name, mi.category, mi.price_cents, mi.estimated_emissions_kg_co2e,
+            mi.emissions_stale_since IS NOT NULL AS emissions_stale,
+            (
+              EXISTS (SELECT 1 FROM menu_item_ingredients mii WHERE mii.menu_item_id = mi.id)
+              OR EXISTS (SELECT 1 FROM menu_item_components mic WHERE mic.menu_item_id = mi.id)
+            ) AS has_recipe
+     FROM menu_items mi
+     WHERE mi.menu_id = $1 AND mi.is_active = TRUE
+     ORDER BY mi.created_at ASC, mi.id ASC`,
+    [menuId]
+  );
 
-    if (deleteResult.rows.length === 0) {
-      return res.status(404).json({ error: "Menu item not found" });
-    }
+  const scale = await getRatingScale(userId);
+  return { items, scale, ratings: rateMenuItems(items, scale) };
+}
 
-    res.json({ success: true });
+// GET /api/carbon-rating/scale
+app.get("/api/carbon-rating/scale", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT scale, updated_at FROM carbon_rating_scales WHERE user_id = $1",
+      [req.userId]
+    );
+    res.json({
+      scale: rows[0] ? rows[0].scale : DEFAULT_RATING_SCALE,
+      isDefault: rows.length === 0,
+      updatedAt: rows[0] ? rows[0].updated_at : null,
+    });
   } catch (err) {
-    console.error("Error in DELETE /api/menu/items/:id:", err);
+    console.error("Error in GET /api/carbon-rating/scale:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Helper: recalc total emissions for a menu item based on its ingredients
-async function recalculateMenuItemEmissions(menuItemId) {
-  // Sum over all ingredients: (quantity_in_kg * emissions_kg_co2e_per_kg)
-  const { rows } = await pool.query(
-    `
-    SELECT
-      SUM(
-        -- convert grams to kg when unit = 'g'
-        (CASE
-          WHEN mii.unit = 'g' THEN mii.quantity / 1000.0
-          WHEN mii.unit = 'kg' OR mii.unit IS NULL THEN mii.quantity
-          ELSE mii.quantity -- fallback if other units show up
-        END) * COALESCE(i.emissions_kg_co2e_per_kg, 0)
-      ) AS total_kg_co2e
-    FROM menu_item_ingredients mii
-    JOIN ingredients i ON i.id = mii.ingredient_id
-    WHERE mii.menu_item_id = $1
-    `,
-    [menuItemId]
-  );
-
-  const total = rows[0]?.total_kg_co2e || 0;
-
-  // Store on menu_items so the UI can read it directly
-  await pool.query(
-    `
-    UPDATE menu_items
-    SET estimated_emissions_kg_co2e = $2
-    WHERE id = $1
-    `,
-    [menuItemId, total]
-  );
-
-  return total;
-}
-app.get("/api/ingredients", async (req, res) => {
+// PUT /api/carbon-rating/scale
+// Body: { type: "absolute", bands: [{ label, max, color?, description? }, ...] }
+//    or { type: "benchmark", benchmarks: { Mains: 2.5 }, bands: [...] }
+//   (max is kg CO2e per serving for absolute scales, the ratio to the
+//   benchmark for benchmark scales; the last band has no max)
+app.put("/api/carbon-rating/scale", async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `
-      SELECT id, name, emissions_kg_co2e_per_kg, unit
-      FROM ingredients
-      ORDER BY name ASC
-      `
+    const { scale, error } = validateRatingScale(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await pool.query(
+      `INSERT INTO carbon_rating_scales (user_id, scale)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id)
+       DO UPDATE SET scale = EXCLUDED.scale, updated_at = NOW()`,
+      [req.userId, JSON.stringify(scale)]
     );
 
-    res.json({ ingredients: rows });
+    res.json({ scale, isDefault: false });
   } catch (err) {
-    console.error("Error in GET /api/ingredients:", err);
+    console.error("Error in PUT /api/carbon-rating/scale:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.get("/api/menu/items/:menuItemId/ingredients", async (req, res) => {
+// DELETE /api/carbon-rating/scale → back to the default scale
+app.delete("/api/carbon-rating/scale", async (req, res) => {
   try {
-    const menuItemId = req.params.menuItemId;
+    await pool.query("DELETE FROM carbon_rating_scales WHERE user_id = $1", [req.userId]);
+    res.json({ scale: DEFAULT_RATING_SCALE, isDefault: true });
+  } catch (err) {
+    console.error("Error in DELETE /api/carbon-rating/scale:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    const { rows } = await pool.query(
-      `
-      SELECT
-        mii.id,
-        mii.menu_item_id,
-        mii.ingredient_id,
-        mii.quantity,
-        mii.unit,
-        i.name AS ingredient_name,
-        i.emissions_kg_co2e_per_kg
-      FROM menu_item_ingredients mii
-      JOIN ingredients i ON i.id = mii.ingredient_id
-      WHERE mii.menu_item_id = $1
-      ORDER BY i.name
-      `,
-      [menuItemId]
-    );
+// GET /api/menu/ratings?menuId=123
+app.get("/api/menu/ratings", async (req, res) => {
+  try {
+    const menu = await resolveTargetMenu(req.userId, req.query.menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
 
-    // You can optionally include the current total emissions
-    const total = await recalculateMenuItemEmissions(menuItemId);
+    const { items, scale, ratings } = await loadRatedMenuItems(req.userId, menu.id);
 
     res.json({
-      menuItemId: Number(menuItemId),
-      ingredients: rows,
-      totalEmissionsKgCo2e: total,
+      menuId: menu.id,
+      scale,
+      items: items.map((item) => ({
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        estimated_emissions_kg_co2e: item.estimated_emissions_kg_co2e,
+        emissions_stale: item.emissions_stale,
+        rating: ratings.get(item.id),
+      })),
     });
   } catch (err) {
-    console.error("Error in GET /api/menu/items/:menuItemId/ingredients:", err);
+    console.error("Error in GET /api/menu/ratings:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.post("/api/menu/items/:menuItemId/ingredients", async (req, res) => {
+// GET /api/menu/items/:menuItemId/label?format=svg|png
+app.get("/api/menu/items/:menuItemId/label", async (req, res) => {
   try {
-    const menuItemId = req.params.menuItemId;
-    const { ingredientId, quantityGrams } = req.body;
+    const format = req.query.format || "svg";
+    if (!["svg", "png"].includes(format)) {
+      return res.status(400).json({ error: "format must be svg or png" });
+    }
 
-    if (!ingredientId || quantityGrams === undefined || quantityGrams === null) {
-      return res
-        .status(400)
-        .json({ error: "ingredientId and quantityGrams are required." });
+    const menuItemId = Number(req.params.menuItemId);
+    const owned = Number.isInteger(menuItemId)
+      ? await getOwnedMenuItem(req.userId, menuItemId)
+      : null;
+    if (!owned) {
+      return res.status(404).json({ error: "Menu item not found" });
     }
 
-    const quantityNum = Number(quantityGrams);
-    if (Number.isNaN(quantityNum) || quantityNum <= 0) {
-      return res.status(400).json({ error: "quantityGrams must be > 0." });
+    // rated alongside its menu so benchmark scales see the category average
+    const { items, scale, ratings } = await loadRatedMenuItems(req.userId, owned.menu_id);
+    const item = items.find((i) => i.id === menuItemId);
+    if (!item) {
+      return res.status(404).json({ error: "Menu item not found" });
     }
 
-    // Upsert ingredient for this menu item
-    const upsertResult = await pool.query(
-      `
-      INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity, unit)
-      VALUES ($1, $2, $3, 'g')
-      ON CONFLICT (menu_item_id, ingredient_id)
-      DO UPDATE SET
-        quantity = EXCLUDED.quantity,
-        unit     = EXCLUDED.unit
-      RETURNING id, menu_item_id, ingredient_id, quantity, unit
-      `,
-      [menuItemId, ingredientId, quantityNum]
-    );
+    const svg = renderLabelSvg({ name: item.name, rating: ratings.get(item.id), scale });
 
-    const ingredientRow = upsertResult.rows[0];
+    if (format === "png") {
+      res.setHeader("Content-Type", "image/png");
+      return res.send(renderLabelPng(svg));
+    }
 
-    // Recalculate dish emissions
-    const totalEmissions = await recalculateMenuItemEmissions(menuItemId);
+    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+    res.send(svg);
+  } catch (err) {
+    console.error("Error in GET /api/menu/items/:menuItemId/label:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    res.status(201).json({
-      ingredient: ingredientRow,
-      totalEmissionsKgCo2e: totalEmissions,
+// GET /api/menu/pdf?menuId=123
+// The whole menu with a climate score next to each dish
+app.get("/api/menu/pdf", async (req, res) => {
+  try {
+    const menu = await resolveTargetMenu(req.userId, req.query.menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
+
+    const { items, scale, ratings } = await loadRatedMenuItems(req.userId, menu.id);
+
+    const userResult = await pool.query("SELECT company_name FROM users WHERE id = $1", [
+      req.userId,
+    ]);
+
+    const pdf = await renderMenuPdf({
+      title: userResult.rows[0]?.company_name || menu.name,
+      subtitle: menu.name,
+      items,
+      ratings,
+      scale,
     });
+
+    const baseName = menu.name.replace(/[^A-Za-z0-9_-]+/g, "_") || "menu";
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.pdf"`);
+    res.send(pdf);
   } catch (err) {
-    console.error("Error in POST /api/menu/items/:menuItemId/ingredients:", err);
+    console.error("Error in GET /api/menu/pdf:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.delete(
-  "/api/menu/items/:menuItemId/ingredients/:ingredientId",
-  async (req, res) => {
-    try {
-      const { menuItemId, ingredientId } = req.params;
+/**
+ * FACILITY PROFILE
+ * Profiles are versioned: every save appends a version that applies from
+ * its effectiveFrom date (default today). The current profile is the newest
+ * version already in effect; older versions stay as the baseline for
+ * year-over-year comparisons.
+ */
 
-      const deleteResult = await pool.query(
-        `
-        DELETE FROM menu_item_ingredients
-        WHERE menu_item_id = $1 AND ingredient_id = $2
-        RETURNING id
-        `,
-        [menuItemId, ingredientId]
-      );
+// YYYY-MM-DD of a day that exists – Date.parse rolls "2026-02-31" over to
+// March, Postgres rejects it
+function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const time = Date.parse(value);
+  return (
+    !Number.isNaN(time) &&
+    value >= "0001-01-01" &&
+    new Date(time).toISOString().slice(0, 10) === value
+  );
+}
 
-      if (deleteResult.rows.length === 0) {
-        return res.status(404).json({ error: "Ingredient link not found." });
+// request field → facility_profiles column
+const FACILITY_FIELD_COLUMNS = {
+  energyType: "energy_type",
+  electricityUsage: "electricity_usage",
+  efficientAppliances: "efficient_appliances",
+  renewables: "renewables",
+  foodWasteHandling: "food_waste_handling",
+  foodWastePercent: "food_waste_percent",
+  recycling: "recycling",
+  waterTracking: "water_tracking",
+  waterEfficient: "water_efficient",
+  sourcing: "sourcing",
+  deliveryFrequency: "delivery_frequency",
+  packagingType: "packaging_type",
+  reusableProgram: "reusable_program",
+  vehicles: "vehicles",
+  weeklyKm: "weekly_km",
+};
+
+const FACILITY_NUMERIC_FIELDS = ["electricityUsage", "foodWastePercent", "weeklyKm"];
+
+// Validates the profile fields present in the body.
+// Returns { values, effectiveFrom } or { error }.
+function parseFacilityFields(body) {
+  const values = {};
+
+  for (const [field, column] of Object.entries(FACILITY_FIELD_COLUMNS)) {
+    const value = body[field];
+    if (value === undefined) continue;
+
+    if (value === null || value === "") {
+      values[column] = field === "efficientAppliances" ? [] : null;
+    } else if (FACILITY_NUMERIC_FIELDS.includes(field)) {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) {
+        return { error: `${field} must be a number >= 0` };
       }
+      if (field === "foodWastePercent" && n > 100) {
+        return { error: "foodWastePercent must be between 0 and 100" };
+      }
+      values[column] = n;
+    } else if (field === "efficientAppliances") {
+      if (!Array.isArray(value)) {
+        return { error: "efficientAppliances must be an array" };
+      }
+      values[column] = value.map(String);
+    } else {
+      values[column] = String(value);
+    }
+  }
 
-      const totalEmissions = await recalculateMenuItemEmissions(menuItemId);
-
-      res.json({
-        success: true,
-        totalEmissionsKgCo2e: totalEmissions,
-      });
-    } catch (err) {
-      console.error(
-        "Error in DELETE /api/menu/items/:menuItemId/ingredients/:ingredientId:",
-        err
-      );
-      res.status(500).json({ error: "Internal server error" });
+  let effectiveFrom = null;
+  if (body.effectiveFrom !== undefined && body.effectiveFrom !== null) {
+    if (!isIsoDate(body.effectiveFrom)) {
+      return { error: "effectiveFrom must be a date (YYYY-MM-DD)" };
     }
+    effectiveFrom = body.effectiveFrom;
   }
-);
 
-// GET /api/ingredient-purchases?userId=123
-app.get("/api/ingredient-purchases", async (req, res) => {
-  try {
-    const { userId } = req.query;
+  return { values, effectiveFrom };
+}
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
-    }
+// Helper: the newest profile version in effect today (or on asOf)
+async function getCurrentFacilityProfile(userId, asOf = null, db = pool) {
+  const { rows } = await db.query(
+    `SELECT * FROM facility_profiles
+     WHERE user_id = $1 AND effective_from <= COALESCE($2::date, CURRENT_DATE)
+     ORDER BY effective_from DESC, version DESC
+     LIMIT 1`,
+    [userId, asOf]
+  );
+  return rows[0] || null;
+}
 
-    // optional: ensure user exists
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-      userId,
-    ]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
+// Helper: append a version. Columns missing from values are copied from
+// the version in effect on effectiveFrom (default today), so partial
+// updates keep everything else – a backdated change doesn't pick up values
+// that only apply later.
+async function insertFacilityProfileVersion(userId, values, effectiveFrom) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
 
-    const result = await pool.query(
-      `SELECT
-         id,
-         user_id,
-         ingredient_id,
-         purchase_date,
-         quantity_grams,
-         total_cost_cad,
-         created_at
-       FROM ingredient_purchases
-       WHERE user_id = $1
-       ORDER BY purchase_date DESC, id DESC`,
+    // serialize version numbers per user
+    await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+
+    const versionResult = await client.query(
+      "SELECT MAX(version) AS version FROM facility_profiles WHERE user_id = $1",
       [userId]
     );
+    const latestVersion = versionResult.rows[0].version;
+    const base = await getCurrentFacilityProfile(userId, effectiveFrom, client);
+
+    const columns = Object.values(FACILITY_FIELD_COLUMNS);
+    const row = columns.map((column) =>
+      values[column] !== undefined
+        ? values[column]
+        : base
+          ? base[column]
+          : column === "efficient_appliances"
+            ? []
+            : null
+    );
 
-    res.json({ purchases: result.rows });
+    const insertResult = await client.query(
+      `INSERT INTO facility_profiles (
+         user_id, version, effective_from, ${columns.join(", ")}
+       ) VALUES (
+         $1, $2, COALESCE($3::date, CURRENT_DATE),
+         ${columns.map((_, i) => `$${i + 4}`).join(", ")}
+       )
+       RETURNING *`,
+      [userId, (latestVersion ?? 0) + 1, effectiveFrom, ...row]
+    );
+
+    await client.query("COMMIT");
+    return insertResult.rows[0];
   } catch (err) {
-    console.error("Error in GET /api/ingredient-purchases:", err);
-    res.status(500).json({ error: "Internal server error" });
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
   }
-});
-// POST /api/ingredient-purchases
-// Body: { userId, ingredientId, quantityGrams, totalCostCad, purchaseDate }
-app.post("/api/ingredient-purchases", async (req, res) => {
+}
+
+// POST /api/onboarding/facility
+// Body: every profile field (missing ones are saved as empty) + effectiveFrom?
+app.post("/api/onboarding/facility", async (req, res) => {
   try {
-    const { userId, ingredientId, quantityGrams, totalCostCad, purchaseDate } =
-      req.body;
+    const userId = req.userId;
 
-    if (!userId || !ingredientId || !quantityGrams || !purchaseDate) {
-      return res.status(400).json({
-        error: "Missing required fields (userId, ingredientId, quantityGrams, purchaseDate)",
-      });
+    // no body at all is a broken request, not a wish to clear the profile
+    if (!req.body) {
+      return res.status(400).json({ error: "Send the facility profile fields as JSON" });
     }
 
-    const qty = Number(quantityGrams);
-    if (!Number.isFinite(qty) || qty <= 0) {
-      return res.status(400).json({ error: "Invalid quantityGrams value" });
+    const parsed = parseFacilityFields(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
     }
 
-    let cost = null;
-    if (totalCostCad !== undefined && totalCostCad !== null && totalCostCad !== "") {
-      const parsedCost = Number(totalCostCad);
-      if (!Number.isFinite(parsedCost) || parsedCost < 0) {
-        return res.status(400).json({ error: "Invalid totalCostCad value" });
-      }
-      cost = parsedCost;
+    // a full save: fields left out are cleared, not carried over
+    const values = {};
+    for (const column of Object.values(FACILITY_FIELD_COLUMNS)) {
+      values[column] =
+        parsed.values[column] !== undefined
+          ? parsed.values[column]
+          : column === "efficient_appliances"
+            ? []
+            : null;
     }
 
-    // optional: ensure user exists
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
+    const profile = await insertFacilityProfileVersion(
       userId,
-    ]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    // optional: ensure ingredient exists
-    const ingCheck = await pool.query(
-      "SELECT id FROM ingredients WHERE id = $1",
-      [ingredientId]
+      values,
+      parsed.effectiveFrom
     );
-    if (ingCheck.rows.length === 0) {
-      return res.status(404).json({ error: "Ingredient not found" });
+
+    res.status(201).json({ success: true, profile });
+  } catch (err) {
+    console.error("Error saving facility profile:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PATCH /api/facility/profile
+// Body: any subset of the profile fields + effectiveFrom?
+// Saves a new version; fields not sent keep their latest value.
+app.patch("/api/facility/profile", async (req, res) => {
+  try {
+    const parsed = parseFacilityFields(req.body ?? {});
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    if (Object.keys(parsed.values).length === 0) {
+      return res.status(400).json({ error: "No profile fields to update" });
     }
 
-    const insertResult = await pool.query(
-      `INSERT INTO ingredient_purchases
-         (user_id, ingredient_id, purchase_date, quantity_grams, total_cost_cad)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, user_id, ingredient_id, purchase_date,
-                 quantity_grams, total_cost_cad, created_at`,
-      [userId, ingredientId, purchaseDate, qty, cost]
+    const profile = await insertFacilityProfileVersion(
+      req.userId,
+      parsed.values,
+      parsed.effectiveFrom
     );
 
-    res.status(201).json({ purchase: insertResult.rows[0] });
+    res.json({ profile });
   } catch (err) {
-    console.error("Error in POST /api/ingredient-purchases:", err);
+    console.error("Error in PATCH /api/facility/profile:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// PUT /api/ingredient-purchases/:id
-// Body: { userId, ingredientId, quantityGrams, totalCostCad, purchaseDate }
-app.put("/api/ingredient-purchases/:id", async (req, res) => {
+// GET /api/facility/profile?asOf=YYYY-MM-DD
+app.get("/api/facility/profile", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { userId, ingredientId, quantityGrams, totalCostCad, purchaseDate } =
-      req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+    const asOf = req.query.asOf || null;
+    if (asOf && !isIsoDate(asOf)) {
+      return res.status(400).json({ error: "asOf must be a date (YYYY-MM-DD)" });
     }
 
-    const qty = Number(quantityGrams);
-    if (!Number.isFinite(qty) || qty <= 0) {
-      return res.status(400).json({ error: "Invalid quantityGrams value" });
+    const profile = await getCurrentFacilityProfile(req.userId, asOf);
+    if (!profile) {
+      return res.status(404).json({ error: "No facility profile in effect" });
     }
 
-    let cost = null;
-    if (totalCostCad !== undefined && totalCostCad !== null && totalCostCad !== "") {
-      const parsedCost = Number(totalCostCad);
-      if (!Number.isFinite(parsedCost) || parsedCost < 0) {
-        return res.status(400).json({ error: "Invalid totalCostCad value" });
-      }
-      cost = parsedCost;
-    }
+    res.json({ profile });
+  } catch (err) {
+    console.error("Error in GET /api/facility/profile:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // Only update rows owned by this user
-    const updateResult = await pool.query(
-      `UPDATE ingredient_purchases
-         SET ingredient_id = $1,
-             purchase_date = $2,
-             quantity_grams = $3,
-             total_cost_cad = $4
-       WHERE id = $5 AND user_id = $6
-       RETURNING id, user_id, ingredient_id, purchase_date,
-                 quantity_grams, total_cost_cad, created_at`,
-      [ingredientId, purchaseDate, qty, cost, id, userId]
+// GET /api/facility/profile/history
+// Every version, oldest first, with the version currently in effect flagged
+app.get("/api/facility/profile/history", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM facility_profiles
+       WHERE user_id = $1
+       ORDER BY version ASC`,
+      [req.userId]
     );
 
-    if (updateResult.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: "Purchase not found or does not belong to user" });
-    }
+    const current = await getCurrentFacilityProfile(req.userId);
 
-    res.json({ purchase: updateResult.rows[0] });
+    res.json({
+      currentVersion: current ? current.version : null,
+      versions: rows,
+    });
   } catch (err) {
-    console.error("Error in PUT /api/ingredient-purchases/:id:", err);
+    console.error("Error in GET /api/facility/profile/history:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// DELETE /api/ingredient-purchases/:id
-// Body: { userId }
-app.delete("/api/ingredient-purchases/:id", async (req, res) => {
+// GET /api/facility/profile/diff?from=1&to=3
+// Defaults: to = current version, from = the version before it.
+// Returns the fields whose values differ between the two versions.
+app.get("/api/facility/profile/diff", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { userId } = req.body;
+    const userId = req.userId;
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+    let toVersion = req.query.to ? Number(req.query.to) : null;
+    if (toVersion === null) {
+      const current = await getCurrentFacilityProfile(userId);
+      if (!current) {
+        return res.status(404).json({ error: "No facility profile in effect" });
+      }
+      toVersion = current.version;
     }
+    const fromVersion = req.query.from ? Number(req.query.from) : toVersion - 1;
 
-    const deleteResult = await pool.query(
-      `DELETE FROM ingredient_purchases
-       WHERE id = $1 AND user_id = $2
-       RETURNING id`,
-      [id, userId]
+    if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+      return res.status(400).json({ error: "from and to must be version numbers" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT * FROM facility_profiles
+       WHERE user_id = $1 AND version = ANY($2::int[])`,
+      [userId, [fromVersion, toVersion]]
     );
+    const from = rows.find((r) => r.version === fromVersion);
+    const to = rows.find((r) => r.version === toVersion);
+    if (!from || !to) {
+      return res.status(404).json({
+        error: `Version ${!from ? fromVersion : toVersion} not found`,
+      });
+    }
 
-    if (deleteResult.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: "Purchase not found or does not belong to user" });
+    // numerics come back as strings ("12.50"); appliance order doesn't matter
+    const normalize = (field, value) =>
+      value === null || value === undefined
+        ? null
+        : FACILITY_NUMERIC_FIELDS.includes(field)
+          ? Number(value)
+          : Array.isArray(value)
+            ? [...value].sort()
+            : value;
+
+    const changes = [];
+    for (const [field, column] of Object.entries(FACILITY_FIELD_COLUMNS)) {
+      const before = from[column];
+      const after = to[column];
+      if (
+        JSON.stringify(normalize(field, before)) !==
+        JSON.stringify(normalize(field, after))
+      ) {
+        changes.push({ field, from: before, to: after });
+      }
     }
 
-    res.json({ success: true });
+    res.json({
+      from: { version: from.version, effectiveFrom: from.effective_from },
+      to: { version: to.version, effectiveFrom: to.effective_from },
+      changes,
+    });
   } catch (err) {
-    console.error("Error in DELETE /api/ingredient-purchases/:id:", err);
+    console.error("Error in GET /api/facility/profile/diff:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
-// GET /api/ingredient-waste?userId=123
-app.get("/api/ingredient-waste", async (req, res) => {
-  try {
-    const { userId } = req.query;
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+/**
+ * FACILITY FOOTPRINT
+ * GET /api/facility/footprint?version=3 | ?asOf=YYYY-MM-DD
+ * - annual estimate from the profile in effect (or the given version), by
+ *   scope and category
+ * - food waste is sized from the 12 months of logged purchases up to asOf
+ *   (default today) when there are any
+ * - each line lists the activity, factor and assumptions it used
+ */
+app.get("/api/facility/footprint", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const asOf = req.query.asOf || null;
+    if (asOf && !isIsoDate(asOf)) {
+      return res.status(400).json({ error: "asOf must be a date (YYYY-MM-DD)" });
     }
 
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-      userId,
-    ]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+    let profile;
+    if (req.query.version !== undefined) {
+      const { rows } = await pool.query(
+        "SELECT * FROM facility_profiles WHERE user_id = $1 AND version = $2",
+        [userId, Number(req.query.version) || 0]
+      );
+      profile = rows[0];
+      if (!profile) {
+        return res.status(404).json({ error: "Profile version not found" });
+      }
+    } else {
+      profile = await getCurrentFacilityProfile(userId, asOf);
+      if (!profile) {
+        return res.status(404).json({ error: "No facility profile in effect" });
+      }
     }
 
-    const result = await pool.query(
-      `SELECT
-         id,
-         user_id,
-         ingredient_id,
-         purchase_id,
-         waste_date,
-         quantity_grams,
-         created_at
-       FROM ingredient_waste_events
+    // what was bought, and over how many days since the first purchase
+    const purchasesResult = await pool.query(
+      `SELECT COALESCE(SUM(quantity_grams), 0) / 1000 AS kg,
+              COALESCE($2::date, CURRENT_DATE) - MIN(purchase_date) + 1 AS days
+       FROM ingredient_purchases
        WHERE user_id = $1
-       ORDER BY waste_date DESC, id DESC`,
-      [userId]
+         AND purchase_date <= COALESCE($2::date, CURRENT_DATE)
+         AND purchase_date > COALESCE($2::date, CURRENT_DATE) - INTERVAL '12 months'`,
+      [userId, asOf]
     );
 
-    res.json({ wasteEvents: result.rows });
-  } catch (err) {
-    console.error("Error in GET /api/ingredient-waste:", err);
+    const footprint = calculateFacilityFootprint(profile, {
+      foodPurchasedKg: Number(purchasesResult.rows[0].kg),
+      foodPurchaseDays: purchasesResult.rows[0].days,
+    });
+
+    res.json({
+      profileId: profile.id,
+      profileVersion: profile.version,
+      effectiveFrom: profile.effective_from,
+      period: "annual",
+      unit: "kg CO2e",
+      ...footprint,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/facility/footprint:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
-// POST /api/ingredient-waste
-// Body: { userId, ingredientId, purchaseId, quantityGrams, wasteDate }
-// POST /api/ingredient-waste
-// Body: { userId, ingredientId, purchaseId, quantityGrams, wasteDate, wasteStage? }
-app.post("/api/ingredient-waste", async (req, res) => {
-  try {
-    const {
-      userId,
-      ingredientId,
-      purchaseId,
-      quantityGrams,
-      wasteDate,
-      wasteStage,           // <-- NEW: optional in body
-    } = req.body;
 
-    if (!userId || !ingredientId || !quantityGrams || !wasteDate) {
-      return res.status(400).json({
-        error:
-          "Missing required fields (userId, ingredientId, quantityGrams, wasteDate)",
-      });
+
+// POST /api/menu/import-pdf (multipart, field "menuPdf")
+// Accepts a PDF or a JPEG/PNG photo. Scanned PDFs and photos go through
+// local OCR before candidate extraction.
+app.post(
+  "/api/menu/import-pdf",
+  upload.single("menuPdf"),
+  async (req, res) => {
+    console.log("HIT /api/menu/import-pdf");
+    try {
+      const file = req.file;
+
+      if (!file) {
+        return res.status(400).json({ error: "No PDF or image file uploaded" });
+      }
+
+      const isImage = OCR_IMAGE_TYPES.includes(file.mimetype);
+      const isPdf =
+        file.mimetype === "application/pdf" ||
+        file.buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+
+      if (!isImage && !isPdf) {
+        return res
+          .status(400)
+          .json({ error: "Unsupported file type (expected PDF, JPEG or PNG)" });
+      }
+
+      let text = "";
+      let source = "text";
+      let ocrPages = null;
+
+      if (isImage) {
+        source = "ocr";
+        text = await recognizeImage(file.buffer);
+      } else {
+        // Extract text from the PDF, falling back to OCR for image-only scans
+        const pdfData = await pdfParse(file.buffer);
+        text = pdfData.text || "";
+
+        if (!text.trim()) {
+          source = "ocr";
+          const ocr = await recognizePdf(file.buffer);
+          text = ocr.text;
+          ocrPages = { processed: ocr.pagesProcessed, total: ocr.totalPages };
+        }
+      }
+
+      if (!text.trim()) {
+        return res.status(400).json({
+          error: "Could not read any text from the file, even with OCR.",
+        });
+      }
+
+      const candidates = extractMenuCandidatesFromText(text);
+
+      if (candidates.length === 0) {
+        return res.status(200).json({
+          candidates: [],
+          source,
+          ocrPages,
+          message:
+            "No menu-like lines were detected. You may need to add items manually.",
+        });
+      }
+
+      // We only detect + return them; the frontend confirms them and
+      // saves them through POST /api/menu/import/commit
+      res.json({ candidates, source, ocrPages });
+    } catch (err) {
+      console.error("Error in /api/menu/import-pdf:", err);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Normalized form used to match imported names against existing items:
+// "Crème Brûlée!" and "creme  brulee" both become "creme brulee", and
+// "Борщ" stays "борщ". Names without a letter or digit become "" – never
+// a match for anything.
+function normalizeItemName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    // accents on Latin letters only: "й" and "и" are different letters
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, "$1")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const IMPORT_DUPLICATE_ACTIONS = ["skip", "update_price", "create"];
+
+/**
+ * COMMIT IMPORTED MENU ITEMS
+ * POST /api/menu/import/commit
+ * Body: {
+ *   menuId?,                       // defaults to the main menu
+ *   items: [{ name, category, price, onDuplicate? }],
+ *   onDuplicate?,                  // default for rows without one: "skip"
+ *   dryRun?                        // report matches without writing
+ * }
+ * - rows whose normalized name matches an active item on the menu are
+ *   skipped, have their price updated, or are created anyway
+ * - everything is written in one transaction
+ */
+app.post("/api/menu/import/commit", async (req, res) => {
+  const userId = req.userId;
+  const { menuId, items, dryRun } = req.body ?? {};
+  const defaultAction = req.body?.onDuplicate || "skip";
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({ error: "items must be a non-empty array" });
+  }
+  if (!IMPORT_DUPLICATE_ACTIONS.includes(defaultAction)) {
+    return res.status(400).json({
+      error: `onDuplicate must be one of: ${IMPORT_DUPLICATE_ACTIONS.join(", ")}`,
+    });
+  }
+
+  // Validate every row up front so a bad row never half-imports a menu
+  const errors = [];
+  const rows = items.map((item, index) => {
+    const name = typeof item?.name === "string" ? item.name.trim() : "";
+    const action = item?.onDuplicate || defaultAction;
+
+    if (!name) {
+      errors.push({ index, error: "Name is required" });
+    }
+    if (!IMPORT_DUPLICATE_ACTIONS.includes(action)) {
+      errors.push({ index, error: `Invalid onDuplicate value "${action}"` });
     }
 
-    const qty = Number(quantityGrams);
-    if (!Number.isFinite(qty) || qty <= 0) {
-      return res.status(400).json({ error: "Invalid quantityGrams value" });
+    let priceCents = null;
+    if (item?.price !== undefined && item?.price !== null && item?.price !== "") {
+      const p = Number(item.price);
+      if (Number.isNaN(p) || p < 0) {
+        errors.push({ index, error: "Invalid price value" });
+      } else {
+        priceCents = Math.round(p * 100);
+      }
     }
 
-    // simple default for now; later we can expose this in the UI
-    const stage =
-      typeof wasteStage === "string" && wasteStage.trim().length > 0
-        ? wasteStage.trim()
-        : "other";
+    return {
+      index,
+      name,
+      normalizedName: normalizeItemName(name),
+      category: item?.category || null,
+      priceCents,
+      action,
+    };
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Some rows are invalid", errors });
+  }
 
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-      userId,
-    ]);
-    if (userCheck.rows.length === 0) {
-      return res.status(404).json({ error: "User not found" });
+  let client;
+  try {
+    const menu = await resolveTargetMenu(userId, menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
     }
 
-    const ingCheck = await pool.query(
-      "SELECT id FROM ingredients WHERE id = $1",
-      [ingredientId]
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const existingResult = await client.query(
+      `SELECT id, name, category, price_cents
+       FROM menu_items
+       WHERE menu_id = $1 AND is_active = TRUE
+       ORDER BY id ASC`,
+      [menu.id]
     );
-    if (ingCheck.rows.length === 0) {
-      return res.status(404).json({ error: "Ingredient not found" });
+
+    // normalized name → existing item (first one wins)
+    const existingByName = new Map();
+    for (const item of existingResult.rows) {
+      const key = normalizeItemName(item.name);
+      if (key && !existingByName.has(key)) existingByName.set(key, item);
     }
 
-    // Optional: ensure purchase belongs to the same user
-    let purchaseIdValue = null;
-    if (purchaseId !== undefined && purchaseId !== null && purchaseId !== "") {
-      const pId = Number(purchaseId);
-      if (!Number.isFinite(pId) || pId <= 0) {
-        return res.status(400).json({ error: "Invalid purchaseId value" });
+    const created = [];
+    const updated = [];
+    const skipped = [];
+
+    for (const row of rows) {
+      const match = existingByName.get(row.normalizedName);
+
+      if (
+        match &&
+        (row.action === "skip" ||
+          (row.action === "update_price" && row.priceCents === null))
+      ) {
+        skipped.push({
+          index: row.index,
+          name: row.name,
+          existingItemId: match.id,
+          reason: row.action === "skip" ? "duplicate" : "no price to update",
+        });
+        continue;
       }
 
-      const purchaseCheck = await pool.query(
-        "SELECT id FROM ingredient_purchases WHERE id = $1 AND user_id = $2",
-        [pId, userId]
-      );
-      if (purchaseCheck.rows.length === 0) {
-        return res.status(404).json({
-          error: "Purchase not found or does not belong to user",
+      if (match && row.action === "update_price") {
+        if (dryRun) {
+          updated.push({ index: row.index, item: { ...match, price_cents: row.priceCents } });
+          continue;
+        }
+
+        const updateResult = await client.query(
+          `UPDATE menu_items
+           SET price_cents = $1
+           WHERE id = $2
+           RETURNING id, name, category, price_cents,
+                     estimated_emissions_kg_co2e, is_active, created_at`,
+          [row.priceCents, match.id]
+        );
+        updated.push({
+          index: row.index,
+          previousPriceCents: match.price_cents,
+          item: updateResult.rows[0],
+        });
+        continue;
+      }
+
+      // no match, or "create" requested for a duplicate
+      if (dryRun) {
+        created.push({
+          index: row.index,
+          duplicateOf: match ? match.id : null,
+          item: { name: row.name, category: row.category, price_cents: row.priceCents },
         });
+        if (!match && row.normalizedName) {
+          existingByName.set(row.normalizedName, { id: null, ...row });
+        }
+        continue;
       }
 
-      purchaseIdValue = pId;
+      const insertResult = await client.query(
+        `INSERT INTO menu_items (
+           menu_id, name, category, price_cents, estimated_emissions_kg_co2e, is_active
+         )
+         VALUES ($1, $2, $3, $4, 0, TRUE)
+         RETURNING id, name, category, price_cents,
+                   estimated_emissions_kg_co2e, is_active, created_at`,
+        [menu.id, row.name, row.category, row.priceCents]
+      );
+      const item = insertResult.rows[0];
+      created.push({ index: row.index, duplicateOf: match ? match.id : null, item });
+
+      // later rows in the same batch should see this item as a duplicate
+      if (!match && row.normalizedName) existingByName.set(row.normalizedName, item);
     }
 
-    const insertResult = await pool.query(
-      `INSERT INTO ingredient_waste_events
-         (user_id, ingredient_id, purchase_id, waste_date, quantity_grams, waste_stage)
-       VALUES ($1, $2, $3, $4, $5, $6)
-       RETURNING id, user_id, ingredient_id, purchase_id,
-                 waste_date, quantity_grams, waste_stage, created_at`,
-      [userId, ingredientId, purchaseIdValue, wasteDate, qty, stage]
-    );
+    if (dryRun) {
+      await client.query("ROLLBACK");
+    } else {
+      await client.query("COMMIT");
+    }
 
-    res.status(201).json({ wasteEvent: insertResult.rows[0] });
+    res.status(dryRun ? 200 : 201).json({
+      menuId: menu.id,
+      dryRun: Boolean(dryRun),
+      summary: {
+        created: created.length,
+        updated: updated.length,
+        skipped: skipped.length,
+      },
+      created,
+      updated,
+      skipped,
+    });
   } catch (err) {
-    console.error("Error in POST /api/ingredient-waste:", err);
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/menu/import/commit:", err);
     res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
   }
 });
 
-// PUT /api/ingredient-waste/:id
-// Body: { userId, ingredientId, purchaseId, quantityGrams, wasteDate }
-app.put("/api/ingredient-waste/:id", async (req, res) => {
+// GET /api/menu/export?menuId=123&format=csv|xlsx
+// One row per recipe line: item_name, category, price, ingredient or
+// prep_recipe, quantity, unit, grams (resolved weight, empty when it can't
+// be converted)
+app.get("/api/menu/export", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { userId, ingredientId, purchaseId, quantityGrams, wasteDate } =
-      req.body;
+    const format = req.query.format || "csv";
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ error: "format must be csv or xlsx" });
+    }
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+    const menu = await resolveTargetMenu(req.userId, req.query.menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
     }
 
-    const qty = Number(quantityGrams);
-    if (!Number.isFinite(qty) || qty <= 0) {
-      return res.status(400).json({ error: "Invalid quantityGrams value" });
+    // ingredient lines, then prep recipe lines; an item with neither
+    // keeps one row with the recipe columns empty
+    const { rows } = await pool.query(
+      `SELECT
+         mi.created_at AS item_created_at,
+         mi.id AS item_id,
+         mi.name AS item_name,
+         mi.category,
+         mi.price_cents,
+         i.name AS ingredient,
+         NULL AS prep_recipe,
+         mii.quantity,
+         mii.unit,
+         COALESCE(o.density_g_per_ml, i.density_g_per_ml) AS density_g_per_ml,
+         COALESCE(o.piece_weight_g, i.piece_weight_g) AS piece_weight_g
+       FROM menu_items mi
+       LEFT JOIN menu_item_ingredients mii ON mii.menu_item_id = mi.id
+       LEFT JOIN ingredients i ON i.id = mii.ingredient_id
+       LEFT JOIN ingredient_emission_overrides o
+         ON o.ingredient_id = i.id AND o.user_id = $2
+       WHERE mi.menu_id = $1 AND mi.is_active = TRUE
+         AND (mii.id IS NOT NULL
+              OR NOT EXISTS (SELECT 1 FROM menu_item_components mic WHERE mic.menu_item_id = mi.id))
+       UNION ALL
+       SELECT
+         mi.created_at, mi.id, mi.name, mi.category, mi.price_cents,
+         NULL, pr.name, mic.quantity, mic.unit, NULL, NULL
+       FROM menu_items mi
+       JOIN menu_item_components mic ON mic.menu_item_id = mi.id
+       JOIN prep_recipes pr ON pr.id = mic.prep_recipe_id
+       WHERE mi.menu_id = $1 AND mi.is_active = TRUE
+       ORDER BY item_created_at ASC, item_id ASC, prep_recipe ASC NULLS FIRST, ingredient ASC`,
+      [menu.id, req.userId]
+    );
+
+    const sheetRows = rows.map((r) => {
+      const conversion =
+        r.quantity === null
+          ? {}
+          : toGrams(r.quantity, r.unit, { ...r, name: r.ingredient || r.prep_recipe });
+      return {
+        item_name: r.item_name,
+        category: r.category || "",
+        price: r.price_cents === null ? "" : (r.price_cents / 100).toFixed(2),
+        ingredient: r.ingredient || "",
+        prep_recipe: r.prep_recipe || "",
+        quantity: r.quantity === null ? "" : Number(r.quantity),
+        unit: r.unit || "",
+        grams: conversion.grams === undefined ? "" : Math.round(conversion.grams * 100) / 100,
+      };
+    });
+
+    const baseName = menu.name.replace(/[^A-Za-z0-9_-]+/g, "_") || "menu";
+
+    if (format === "xlsx") {
+      const buffer = await toXlsx(sheetRows, menu.name);
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader("Content-Disposition", `attachment; filename="${baseName}.xlsx"`);
+      return res.send(buffer);
     }
 
-    let purchaseIdValue = null;
-    if (purchaseId !== undefined && purchaseId !== null && purchaseId !== "") {
-      const pId = Number(purchaseId);
-      if (!Number.isFinite(pId) || pId <= 0) {
-        return res.status(400).json({ error: "Invalid purchaseId value" });
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${baseName}.csv"`);
+    res.send(toCsv(sheetRows));
+  } catch (err) {
+    console.error("Error in GET /api/menu/export:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * SPREADSHEET IMPORT
+ * POST /api/menu/import-spreadsheet (multipart: file, menuId?, dryRun?)
+ * - same columns as the export; CSV or XLSX
+ * - every row is validated first; errors are reported by spreadsheet line
+ * - items matching an existing item by normalized name are updated and
+ *   their recipe – ingredient and prep recipe lines – is replaced by the
+ *   rows in the file; others are created
+ * - dryRun=true validates and reports what would change without writing
+ */
+app.post(
+  "/api/menu/import-spreadsheet",
+  upload.single("file"),
+  async (req, res) => {
+    const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+    let client;
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No CSV or XLSX file uploaded" });
+      }
+
+      const menu = await resolveTargetMenu(req.userId, req.body.menuId);
+      if (!menu) {
+        return res.status(404).json({ error: "Menu not found" });
+      }
+
+      let sheetRows;
+      try {
+        sheetRows = await readMenuSheet(req.file);
+      } catch (err) {
+        return res.status(400).json({ error: `Could not read file: ${err.message}` });
+      }
+
+      // the user's own ingredients win over shared ones with the same name
+      const ingredientsResult = await pool.query(
+        `SELECT i.id, i.name,
+                COALESCE(o.density_g_per_ml, i.density_g_per_ml) AS density_g_per_ml,
+                COALESCE(o.piece_weight_g, i.piece_weight_g) AS piece_weight_g
+         FROM ingredients i
+         LEFT JOIN ingredient_emission_overrides o
+           ON o.ingredient_id = i.id AND o.user_id = $1
+         WHERE (i.user_id IS NULL OR i.user_id = $1) AND i.is_active = TRUE
+         ORDER BY (i.user_id IS NULL) DESC, i.id ASC`,
+        [req.userId]
+      );
+      const ingredientsByName = new Map(
+        ingredientsResult.rows.map((i) => [i.name.toLowerCase(), i])
+      );
+      const prepRecipesResult = await pool.query(
+        "SELECT id, name FROM prep_recipes WHERE user_id = $1",
+        [req.userId]
+      );
+      const prepRecipesByName = new Map(
+        prepRecipesResult.rows.map((r) => [r.name.toLowerCase(), r])
+      );
+
+      const { items, errors } = validateMenuRows(
+        sheetRows,
+        ingredientsByName,
+        prepRecipesByName,
+        normalizeItemName
+      );
+
+      if (errors.length > 0 && !dryRun) {
+        return res.status(400).json({ error: "Some rows are invalid", errors });
+      }
+
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      const existingResult = await client.query(
+        `SELECT id, name FROM menu_items
+         WHERE menu_id = $1 AND is_active = TRUE
+         ORDER BY id ASC`,
+        [menu.id]
+      );
+      const existingByName = new Map();
+      for (const row of existingResult.rows) {
+        const key = normalizeItemName(row.name);
+        if (key && !existingByName.has(key)) existingByName.set(key, row);
+      }
+
+      const created = [];
+      const updated = [];
+
+      for (const item of items) {
+        const existing = existingByName.get(normalizeItemName(item.name));
+        const summary = {
+          name: item.name,
+          lines: item.lines,
+          ingredientCount: item.ingredients.length,
+          componentCount: item.components.length,
+        };
+
+        if (dryRun) {
+          (existing ? updated : created).push({
+            ...summary,
+            menuItemId: existing ? existing.id : null,
+          });
+          continue;
+        }
+
+        let menuItemId;
+        if (existing) {
+          await client.query(
+            `UPDATE menu_items
+             SET category = COALESCE($1, category),
+                 price_cents = COALESCE($2, price_cents)
+             WHERE id = $3`,
+            [item.category, item.priceCents, existing.id]
+          );
+          await client.query(
+            "DELETE FROM menu_item_ingredients WHERE menu_item_id = $1",
+            [existing.id]
+          );
+          await client.query(
+            "DELETE FROM menu_item_components WHERE menu_item_id = $1",
+            [existing.id]
+          );
+          menuItemId = existing.id;
+        } else {
+          const insertResult = await client.query(
+            `INSERT INTO menu_items (
+               menu_id, name, category, price_cents, estimated_emissions_kg_co2e, is_active
+             )
+             VALUES ($1, $2, $3, $4, 0, TRUE)
+             RETURNING id`,
+            [menu.id, item.name, item.category, item.priceCents]
+          );
+          menuItemId = insertResult.rows[0].id;
+        }
+
+        for (const line of item.ingredients) {
+          await client.query(
+            `INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity, unit)
+             VALUES ($1, $2, $3, $4)`,
+            [menuItemId, line.ingredientId, line.quantity, line.unit]
+          );
+        }
+        for (const line of item.components) {
+          await client.query(
+            `INSERT INTO menu_item_components (menu_item_id, prep_recipe_id, quantity, unit)
+             VALUES ($1, $2, $3, $4)`,
+            [menuItemId, line.prepRecipeId, line.quantity, line.unit]
+          );
+        }
+
+        const { total, unresolved } = (
+          await recalculateMenuItemEmissions([menuItemId], client)
+        ).get(menuItemId);
+        (existing ? updated : created).push({
+          ...summary,
+          menuItemId,
+          totalEmissionsKgCo2e: total,
+          unresolved,
+        });
+      }
+
+      await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+
+      res.status(dryRun ? 200 : 201).json({
+        menuId: menu.id,
+        dryRun,
+        summary: {
+          rows: sheetRows.length,
+          created: created.length,
+          updated: updated.length,
+          errors: errors.length,
+        },
+        created,
+        updated,
+        errors,
+      });
+    } catch (err) {
+      if (client) await client.query("ROLLBACK").catch(() => {});
+      console.error("Error in POST /api/menu/import-spreadsheet:", err);
+      res.status(500).json({ error: "Internal server error" });
+    } finally {
+      if (client) client.release();
+    }
+  }
+);
+app.put("/api/menu/items/:id", async (req, res) => {
+  try {
+    const itemId = Number(req.params.id);
+    if (!Number.isInteger(itemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+    const { name, category, price } = req.body ?? {};
+
+    if (!name) {
+      return res.status(400).json({ error: "Name is required" });
+    }
+
+    let priceCents = null;
+    if (price !== undefined && price !== null && price !== "") {
+      const p = Number(price);
+      if (Number.isNaN(p) || p < 0) {
+        return res.status(400).json({ error: "Invalid price value" });
       }
-      purchaseIdValue = pId;
+      priceCents = Math.round(p * 100);
     }
 
+    // Only update items that sit on one of this user's menus
     const updateResult = await pool.query(
-      `UPDATE ingredient_waste_events
-         SET ingredient_id = $1,
-             purchase_id   = $2,
-             waste_date    = $3,
-             quantity_grams = $4
-       WHERE id = $5 AND user_id = $6
-       RETURNING id, user_id, ingredient_id, purchase_id,
-                 waste_date, quantity_grams, created_at`,
-      [ingredientId, purchaseIdValue, wasteDate, qty, id, userId]
+      `UPDATE menu_items mi
+       SET name = $1,
+           category = $2,
+           price_cents = $3
+       FROM menus m
+       WHERE mi.id = $4 AND m.id = mi.menu_id AND m.user_id = $5
+       RETURNING mi.id, mi.name, mi.category, mi.price_cents,
+                 mi.estimated_emissions_kg_co2e, mi.is_active, mi.created_at`,
+      [name, category || null, priceCents, itemId, req.userId]
     );
 
     if (updateResult.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: "Waste event not found or does not belong to user" });
+      return res.status(404).json({ error: "Menu item not found" });
     }
 
-    res.json({ wasteEvent: updateResult.rows[0] });
+    res.json({ item: updateResult.rows[0] });
   } catch (err) {
-    console.error("Error in PUT /api/ingredient-waste/:id:", err);
+    console.error("Error in PUT /api/menu/items/:id:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
-// DELETE /api/ingredient-waste/:id
-// Body: { userId }
-app.delete("/api/ingredient-waste/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { userId } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({ error: "Missing userId" });
+// SOFT-DELETE (deactivate) a menu item
+// DELETE /api/menu/items/:id
+app.delete("/api/menu/items/:id", async (req, res) => {
+  try {
+    const itemId = Number(req.params.id);
+    if (!Number.isInteger(itemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
     }
 
     const deleteResult = await pool.query(
-      `DELETE FROM ingredient_waste_events
-       WHERE id = $1 AND user_id = $2
-       RETURNING id`,
-      [id, userId]
+      `UPDATE menu_items mi
+       SET is_active = FALSE, is_draft = FALSE
+       FROM menus m
+       WHERE mi.id = $1 AND m.id = mi.menu_id AND m.user_id = $2
+       RETURNING mi.id`,
+      [itemId, req.userId]
     );
 
     if (deleteResult.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: "Waste event not found or does not belong to user" });
+      return res.status(404).json({ error: "Menu item not found" });
     }
 
     res.json({ success: true });
   } catch (err) {
-    console.error("Error in DELETE /api/ingredient-waste/:id:", err);
+    console.error("Error in DELETE /api/menu/items/:id:", err);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Helper: total emissions of the given dishes from their current recipes
+// and factors, without storing anything – what reads use. Pass a
+// transaction client as `db` to see uncommitted recipe changes.
+// Returns a Map of menu item id → { total, lines, components, unresolved }:
+// every recipe line with its quantity resolved to grams – edible (as
+// served) and as purchased, which is what emissions count – and the lines
+// whose unit couldn't be converted (they count as 0 instead of being
+// guessed). Takes the same number of queries for one dish or a whole menu.
+async function computeMenuItemEmissions(menuItemIds, db = pool) {
+  const { ingredientLines, componentLines } = await loadDishRecipeLines(menuItemIds, db);
+
+  const dishes = new Map(
+    menuItemIds.map((id) => [
+      Number(id),
+      { total: 0, lines: [], components: [], unresolved: [] },
+    ])
+  );
+
+  for (const row of ingredientLines) {
+    const dish = dishes.get(row.menu_item_id);
+    const conversion = toGrams(row.quantity, row.unit, {
+      name: row.ingredient_name,
+      density_g_per_ml: row.density_g_per_ml,
+      piece_weight_g: row.piece_weight_g,
+    });
+
+    if (conversion.error) {
+      dish.lines.push({
+        ...row,
+        quantity_grams: null,
+        as_purchased_grams: null,
+        emissions_kg_co2e: null,
+        conversion_error: conversion.error,
+      });
+      dish.unresolved.push({
+        ingredientId: row.ingredient_id,
+        ingredientName: row.ingredient_name,
+        quantity: row.quantity,
+        unit: row.unit,
+        error: conversion.error,
+      });
+      continue;
+    }
+
+    // (as-purchased quantity_in_kg * emissions_kg_co2e_per_kg)
+    const asPurchasedGrams = toAsPurchasedGrams(conversion.grams, row.yield_percent);
+    const emissions =
+      (asPurchasedGrams / 1000) * Number(row.emissions_kg_co2e_per_kg || 0);
+    dish.total += emissions;
+
+    dish.lines.push({
+      ...row,
+      quantity_grams: conversion.grams,
+      as_purchased_grams: asPurchasedGrams,
+      emissions_kg_co2e: emissions,
+      conversion_error: null,
+    });
+  }
+
+  // Prep recipes used in the dishes, by weight, at their rolled-up kg
+  // CO2e/kg – one rollup per restaurant, whose factors it uses
+  const recipeIdsByOwner = new Map();
+  for (const row of componentLines) {
+    if (!recipeIdsByOwner.has(row.user_id)) recipeIdsByOwner.set(row.user_id, new Set());
+    recipeIdsByOwner.get(row.user_id).add(row.prep_recipe_id);
+  }
+  const rollup = new Map();
+  for (const [userId, recipeIds] of recipeIdsByOwner) {
+    for (const [id, recipe] of await loadPrepRollup(userId, [...recipeIds], db)) {
+      rollup.set(id, recipe);
+    }
+  }
+
+  for (const { user_id, ...row } of componentLines) {
+    const dish = dishes.get(row.menu_item_id);
+    const recipe = rollup.get(row.prep_recipe_id);
+    dish.unresolved.push(...recipe.unresolved);
+
+    const conversion = toGrams(row.quantity, row.unit, { name: row.prep_recipe_name });
+    if (conversion.error) {
+      dish.unresolved.push({
+        prepRecipeId: row.prep_recipe_id,
+        prepRecipeName: row.prep_recipe_name,
+        quantity: row.quantity,
+        unit: row.unit,
+        error: conversion.error,
+      });
+      dish.components.push({
+        ...row,
+        quantity_grams: null,
+        emissions_kg_co2e_per_kg: recipe.kgCo2ePerKg,
+        emissions_kg_co2e: null,
+        cost_cad: null,
+        conversion_error: conversion.error,
+      });
+      continue;
+    }
+
+    const emissions = (conversion.grams / 1000) * recipe.kgCo2ePerKg;
+    dish.total += emissions;
+
+    dish.components.push({
+      ...row,
+      quantity_grams: conversion.grams,
+      emissions_kg_co2e_per_kg: recipe.kgCo2ePerKg,
+      emissions_kg_co2e: emissions,
+      cost_cad: (conversion.grams / 1000) * recipe.cadPerKg,
+      conversion_error: null,
+    });
+  }
+
+  return dishes;
+}
+
+// What triggered a snapshot (see EMISSION HISTORY), most significant first
+const SNAPSHOT_REASONS = ["recipe_edit", "factor_update", "manual"];
+
+// Per-line breakdown stored with a dish snapshot
+function snapshotBreakdown(dish) {
+  return [
+    ...dish.lines.map((l) => ({
+      ingredientId: l.ingredient_id,
+      name: l.ingredient_name,
+      quantity: Number(l.quantity),
+      unit: l.unit,
+      grams: l.quantity_grams,
+      asPurchasedGrams: l.as_purchased_grams,
+      kgCo2ePerKg: l.emissions_kg_co2e_per_kg === null ? null : Number(l.emissions_kg_co2e_per_kg),
+      factorSource: l.factor_source,
+      kgCo2e: l.emissions_kg_co2e,
+    })),
+    ...dish.components.map((c) => ({
+      prepRecipeId: c.prep_recipe_id,
+      name: c.prep_recipe_name,
+      quantity: Number(c.quantity),
+      unit: c.unit,
+      grams: c.quantity_grams,
+      asPurchasedGrams: c.quantity_grams,
+      kgCo2ePerKg: c.emissions_kg_co2e_per_kg,
+      kgCo2e: c.emissions_kg_co2e,
+    })),
+  ];
+}
+
+// Helper: recalc the dishes and store their totals on menu_items, with the
+// dataset whose factors produced them, clearing their stale mark (see
+// migration 0011). Records a snapshot of every dish that was stale – or of
+// every dish when `reason` is given, e.g. "manual" – and of their menus.
+// Runs in the caller's transaction (`db` = client) or its own: the rows are
+// locked before anything is read, so a change committed meanwhile waits and
+// marks them stale again instead of being lost.
+// Returns the same Map as computeMenuItemEmissions.
+async function recalculateMenuItemEmissions(
+  menuItemIds,
+  db = pool,
+  { reason = null, note = null } = {}
+) {
+  if (db === pool) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const dishes = await recalculateMenuItemEmissions(menuItemIds, client, { reason, note });
+      await client.query("COMMIT");
+      return dishes;
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  const { rows: locked } = await db.query(
+    `SELECT id, menu_id, is_active, emissions_stale_reason
+     FROM menu_items
+     WHERE id = ANY($1::int[])
+     ORDER BY id
+     FOR UPDATE`,
+    [menuItemIds]
+  );
+
+  const dishes = await computeMenuItemEmissions(menuItemIds, db);
+  const ids = [...dishes.keys()];
+
+  // the dataset is recorded only for dishes with a line – direct or in a
+  // prep recipe – whose factor it supplied
+  await db.query(
+    `
+    WITH RECURSIVE preps AS (
+      SELECT mic.menu_item_id, mic.prep_recipe_id
+      FROM menu_item_components mic
+      WHERE mic.menu_item_id = ANY($1::int[])
+      UNION
+      SELECT p.menu_item_id, c.component_id
+      FROM prep_recipe_components c
+      JOIN preps p ON p.prep_recipe_id = c.prep_recipe_id
+    ),
+    used AS (
+      SELECT mii.menu_item_id, mii.ingredient_id
+      FROM menu_item_ingredients mii
+      WHERE mii.menu_item_id = ANY($1::int[])
+      UNION
+      SELECT p.menu_item_id, pri.ingredient_id
+      FROM preps p
+      JOIN prep_recipe_ingredients pri ON pri.prep_recipe_id = p.prep_recipe_id
+    ),
+    from_dataset AS (
+      SELECT DISTINCT used.menu_item_id
+      FROM used
+      JOIN menu_items mi ON mi.id = used.menu_item_id
+      JOIN menus m ON m.id = mi.menu_id
+      JOIN ingredients i ON i.id = used.ingredient_id
+      ${ingredientFactorJoins("m.user_id")}
+      WHERE ${FACTOR_SOURCE} = 'dataset'
+    )
+    UPDATE menu_items mi
+    SET estimated_emissions_kg_co2e = t.total,
+        emission_dataset_id = CASE
+          WHEN t.id IN (SELECT menu_item_id FROM from_dataset) THEN u.active_emission_dataset_id
+        END,
+        emissions_calculated_at = NOW(),
+        emissions_stale_since = NULL,
+        emissions_stale_reason = NULL
+    FROM UNNEST($1::int[], $2::numeric[]) AS t(id, total),
+         menus m
+    JOIN users u ON u.id = m.user_id
+    WHERE mi.id = t.id AND m.id = mi.menu_id
+    `,
+    [ids, ids.map((id) => dishes.get(id).total)]
+  );
+
+  const snapshots = locked
+    .map((row) => ({ ...row, reason: reason || row.emissions_stale_reason }))
+    .filter((row) => row.reason);
+  if (snapshots.length === 0) {
+    return dishes;
+  }
+
+  await db.query(
+    `INSERT INTO menu_item_emission_snapshots
+       (menu_item_id, total_kg_co2e, breakdown, reason, note, emission_dataset_id)
+     SELECT mi.id, mi.estimated_emissions_kg_co2e, t.breakdown, t.reason, $4,
+            mi.emission_dataset_id
+     FROM UNNEST($1::int[], $2::jsonb[], $3::text[]) AS t(id, breakdown, reason)
+     JOIN menu_items mi ON mi.id = t.id`,
+    [
+      snapshots.map((s) => s.id),
+      snapshots.map((s) => JSON.stringify(snapshotBreakdown(dishes.get(s.id)))),
+      snapshots.map((s) => s.reason),
+      note,
+    ]
+  );
+
+  // one per menu whose dishes changed, for its most significant change
+  const menuReasons = new Map();
+  for (const s of snapshots) {
+    if (!s.is_active && !reason) continue;
+    const current = menuReasons.get(s.menu_id);
+    if (!current || SNAPSHOT_REASONS.indexOf(s.reason) < SNAPSHOT_REASONS.indexOf(current)) {
+      menuReasons.set(s.menu_id, s.reason);
+    }
+  }
+  if (menuReasons.size > 0) {
+    await recordMenuSnapshots(menuReasons, note, db);
+  }
+
+  return dishes;
+}
+
+// Helper: snapshot of each menu's active dishes as stored now.
+// menuReasons: Map of menu id → reason
+async function recordMenuSnapshots(menuReasons, note, db = pool) {
+  await db.query(
+    `INSERT INTO menu_emission_snapshots
+       (menu_id, total_kg_co2e, item_count, breakdown, reason, note)
+     SELECT t.menu_id,
+            COALESCE(SUM(mi.estimated_emissions_kg_co2e), 0),
+            COUNT(mi.id)::int,
+            COALESCE(
+              jsonb_agg(
+                jsonb_build_object(
+                  'menuItemId', mi.id,
+                  'name', mi.name,
+                  'kgCo2e', mi.estimated_emissions_kg_co2e
+                )
+                ORDER BY mi.id
+              ) FILTER (WHERE mi.id IS NOT NULL),
+              '[]'
+            ),
+            t.reason, $3
+     FROM UNNEST($1::int[], $2::text[]) AS t(menu_id, reason)
+     LEFT JOIN menu_items mi ON mi.menu_id = t.menu_id AND mi.is_active = TRUE
+     GROUP BY t.menu_id, t.reason`,
+    [[...menuReasons.keys()], [...menuReasons.values()], note]
+  );
+}
+
+// Helper: recalc the user's dishes marked stale, e.g. right after a change
+// to their recipes, factors or dataset marked them. Returns how many.
+async function recalculateStaleMenuItems(userId, db = pool) {
+  const { rows } = await db.query(
+    `SELECT mi.id
+     FROM menu_items mi
+     JOIN menus m ON m.id = mi.menu_id
+     WHERE m.user_id = $1 AND mi.emissions_stale_since IS NOT NULL`,
+    [userId]
+  );
+
+  if (rows.length > 0) {
+    await recalculateMenuItemEmissions(rows.map((r) => r.id), db);
+  }
+
+  return rows.length;
+}
+
+// Helper: recipe lines of the given dishes – ingredient lines with the
+// owner's effective factor, conversion data and yield, and the prep recipes
+// they use
+async function loadDishRecipeLines(menuItemIds, db = pool) {
+  const { rows: ingredientLines } = await db.query(
+    `
+    SELECT
+      mii.id,
+      mii.menu_item_id,
+      mii.ingredient_id,
+      mii.quantity,
+      mii.unit,
+      i.name AS ingredient_name,
+      -- the restaurant's own values win over the shared catalogue; the
+      -- factor comes from their override, active dataset or the catalogue
+      ${EFFECTIVE_FACTOR} AS emissions_kg_co2e_per_kg,
+      ${FACTOR_SOURCE} AS factor_source,
+      COALESCE(o.density_g_per_ml, i.density_g_per_ml) AS density_g_per_ml,
+      COALESCE(o.piece_weight_g, i.piece_weight_g) AS piece_weight_g,
+      -- the line's own trim wins over the ingredient's usual yield
+      mii.yield_percent AS line_yield_percent,
+      COALESCE(mii.yield_percent, o.yield_percent, i.yield_percent) AS yield_percent
+    FROM menu_item_ingredients mii
+    JOIN menu_items mi ON mi.id = mii.menu_item_id
+    JOIN menus m ON m.id = mi.menu_id
+    JOIN ingredients i ON i.id = mii.ingredient_id
+    ${ingredientFactorJoins("m.user_id")}
+    WHERE mii.menu_item_id = ANY($1::int[])
+    ORDER BY i.name
+    `,
+    [menuItemIds]
+  );
+
+  const { rows: componentLines } = await db.query(
+    `SELECT mic.id, mic.menu_item_id, mic.prep_recipe_id, mic.quantity, mic.unit,
+            pr.name AS prep_recipe_name, pr.user_id
+     FROM menu_item_components mic
+     JOIN prep_recipes pr ON pr.id = mic.prep_recipe_id
+     WHERE mic.menu_item_id = ANY($1::int[])
+     ORDER BY pr.name`,
+    [menuItemIds]
+  );
+
+  return { ingredientLines, componentLines };
+}
+
+// Helper: rollup (see prepRecipes.js) of the given prep recipes and every
+// prep recipe nested in them, costed by `costMethod` (see FOOD COST & MARGIN)
+async function loadPrepRollup(userId, prepRecipeIds, db = pool, costMethod = "average") {
+  const { rows: recipes } = await db.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id FROM prep_recipes WHERE id = ANY($2::int[]) AND user_id = $1
+       UNION
+       SELECT c.component_id
+       FROM prep_recipe_components c
+       JOIN tree t ON t.id = c.prep_recipe_id
+     )
+     SELECT pr.id, pr.name, pr.yield_grams
+     FROM prep_recipes pr
+     JOIN tree t ON t.id = pr.id`,
+    [userId, prepRecipeIds]
+  );
+  const ids = recipes.map((r) => r.id);
+
+  const { rows: ingredientLines } = await db.query(
+    `SELECT pri.prep_recipe_id, pri.ingredient_id, i.name AS ingredient_name,
+            pri.quantity, pri.unit,
+            ${EFFECTIVE_FACTOR} AS emissions_kg_co2e_per_kg,
+            COALESCE(o.density_g_per_ml, i.density_g_per_ml) AS density_g_per_ml,
+            COALESCE(o.piece_weight_g, i.piece_weight_g) AS piece_weight_g,
+            COALESCE(pri.yield_percent, o.yield_percent, i.yield_percent) AS yield_percent
+     FROM prep_recipe_ingredients pri
+     JOIN ingredients i ON i.id = pri.ingredient_id
+     ${ingredientFactorJoins("$1")}
+     WHERE pri.prep_recipe_id = ANY($2::int[])
+     ORDER BY i.name`,
+    [userId, ids]
+  );
+
+  const { rows: componentLines } = await db.query(
+    `SELECT c.prep_recipe_id, c.component_id, pr.name AS component_name, c.quantity, c.unit
+     FROM prep_recipe_components c
+     JOIN prep_recipes pr ON pr.id = c.component_id
+     WHERE c.prep_recipe_id = ANY($1::int[])
+     ORDER BY pr.name`,
+    [ids]
+  );
+
+  const costs = await loadIngredientCosts(
+    userId,
+    [...new Set(ingredientLines.map((l) => l.ingredient_id))],
+    costMethod,
+    db
+  );
+
+  return rollupPrepRecipes({ recipes, ingredientLines, componentLines, costs });
+}
+
+// SQL joining, for ingredient alias i, the user's override (o) and the
+// factor of their active emission dataset (df). `userRef` is the SQL for the
+// user id, e.g. "$1" or "m.user_id".
+const ingredientFactorJoins = (userRef) => `
+  LEFT JOIN ingredient_emission_overrides o
+    ON o.ingredient_id = i.id AND o.user_id = ${userRef}
+  LEFT JOIN emission_factor_dataset_factors df
+    ON df.ingredient_id = i.id
+   AND df.dataset_id = (SELECT active_emission_dataset_id FROM users WHERE id = ${userRef})`;
+
+// Effective factor over those joins: override, then dataset, then catalogue
+const EFFECTIVE_FACTOR =
+  "COALESCE(o.emissions_kg_co2e_per_kg, df.emissions_kg_co2e_per_kg, i.emissions_kg_co2e_per_kg)";
+const FACTOR_SOURCE = `
+  CASE
+    WHEN o.emissions_kg_co2e_per_kg IS NOT NULL THEN 'override'
+    WHEN df.emissions_kg_co2e_per_kg IS NOT NULL THEN 'dataset'
+    ELSE 'catalogue'
+  END`;
+
+// Columns returned for an ingredient as seen by one user: shared rows carry
+// the user's override or active dataset factor (if any) as the effective
+// factor. Needs ingredientFactorJoins.
+const INGREDIENT_VIEW_COLUMNS = `
+  i.id, i.name, i.unit, i.category, i.region, i.data_source, i.is_active,
+  i.user_id IS NOT NULL AS is_custom,
+  o.ingredient_id IS NOT NULL AS has_override,
+  i.emissions_kg_co2e_per_kg AS catalogue_emissions_kg_co2e_per_kg,
+  df.emissions_kg_co2e_per_kg AS dataset_emissions_kg_co2e_per_kg,
+  ${EFFECTIVE_FACTOR} AS emissions_kg_co2e_per_kg,
+  ${FACTOR_SOURCE} AS factor_source,
+  COALESCE(o.data_source, i.data_source) AS effective_data_source,
+  COALESCE(o.region, i.region) AS effective_region,
+  i.density_g_per_ml AS catalogue_density_g_per_ml,
+  i.piece_weight_g AS catalogue_piece_weight_g,
+  COALESCE(o.density_g_per_ml, i.density_g_per_ml) AS density_g_per_ml,
+  COALESCE(o.piece_weight_g, i.piece_weight_g) AS piece_weight_g,
+  i.yield_percent AS catalogue_yield_percent,
+  COALESCE(o.yield_percent, i.yield_percent) AS yield_percent`;
+
+// Helper: an ingredient the user may use – shared catalogue or their own
+async function getAccessibleIngredient(userId, ingredientId, db = pool) {
+  if (!Number.isInteger(Number(ingredientId))) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT ${INGREDIENT_VIEW_COLUMNS}
+     FROM ingredients i
+     ${ingredientFactorJoins("$2")}
+     WHERE i.id = $1 AND (i.user_id IS NULL OR i.user_id = $2)`,
+    [ingredientId, userId]
+  );
+
+  return rows[0] || null;
+}
+
+// Archived ingredients stay on the recipes, purchases and waste that
+// already use them, but can't be added anywhere new
+const archivedIngredientError = (ingredient) =>
+  `${ingredient.name} is archived; restore it to use it`;
+
+// Validates the editable ingredient fields shared by create/update.
+// Returns { values } or { error }.
+function parseIngredientFields(body, { partial = false } = {}) {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "name is required" };
+    }
+    values.name = body.name.trim();
+  }
+
+  if (!partial || body.emissionsKgCo2ePerKg !== undefined) {
+    const factor = Number(body.emissionsKgCo2ePerKg);
+    if (
+      body.emissionsKgCo2ePerKg === null ||
+      body.emissionsKgCo2ePerKg === "" ||
+      !Number.isFinite(factor) ||
+      factor < 0
+    ) {
+      return { error: "emissionsKgCo2ePerKg must be a number >= 0" };
+    }
+    values.emissionsKgCo2ePerKg = factor;
+  }
+
+  for (const key of ["dataSource", "region", "category", "unit"]) {
+    if (body[key] !== undefined) {
+      values[key] = body[key] === null || body[key] === "" ? null : String(body[key]).trim();
+    }
+  }
+
+  // conversion data: a positive number, or null to clear it
+  for (const key of ["densityGPerMl", "pieceWeightG"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === "") {
+      values[key] = null;
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isFinite(n) || n <= 0) {
+      return { error: `${key} must be a number > 0` };
+    }
+    values[key] = n;
+  }
+
+  if (body.yieldPercent !== undefined) {
+    const yieldPercent = parseYieldPercent(body.yieldPercent);
+    if (yieldPercent.error) {
+      return { error: yieldPercent.error };
+    }
+    values.yieldPercent = yieldPercent.value;
+  }
+
+  return { values };
+}
+
+// request field → ingredients column, for partial updates
+const INGREDIENT_FIELD_COLUMNS = {
+  name: "name",
+  emissionsKgCo2ePerKg: "emissions_kg_co2e_per_kg",
+  unit: "unit",
+  category: "category",
+  region: "region",
+  dataSource: "data_source",
+  densityGPerMl: "density_g_per_ml",
+  pieceWeightG: "piece_weight_g",
+  yieldPercent: "yield_percent",
+};
+
+// GET /api/ingredients?includeArchived=true
+// Shared catalogue + the user's own ingredients, with effective factors
+app.get("/api/ingredients", async (req, res) => {
+  try {
+    const includeArchived = req.query.includeArchived === "true";
+
+    const { rows } = await pool.query(
+      `
+      SELECT ${INGREDIENT_VIEW_COLUMNS}
+      FROM ingredients i
+      ${ingredientFactorJoins("$1")}
+      WHERE (i.user_id IS NULL OR i.user_id = $1)
+        AND ($2 OR i.is_active = TRUE)
+      ORDER BY i.name ASC
+      `,
+      [req.userId, includeArchived]
+    );
+
+    res.json({ ingredients: rows });
+  } catch (err) {
+    console.error("Error in GET /api/ingredients:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/ingredients
+// Body: { name, emissionsKgCo2ePerKg, dataSource?, region?, category?, unit?,
+//         densityGPerMl?, pieceWeightG? }
+// Creates an ingredient private to the user's restaurant
+app.post("/api/ingredients", async (req, res) => {
+  try {
+    const { values, error } = parseIngredientFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const duplicate = await pool.query(
+      `SELECT id FROM ingredients
+       WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND is_active = TRUE`,
+      [req.userId, values.name]
+    );
+    if (duplicate.rows.length > 0) {
+      return res
+        .status(409)
+        .json({ error: "You already have an ingredient with this name" });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO ingredients (
+         user_id, name, emissions_kg_co2e_per_kg, unit, category, region, data_source,
+         density_g_per_ml, piece_weight_g, yield_percent
+       )
+       VALUES ($1, $2, $3, COALESCE($4, 'kg'), $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        req.userId,
+        values.name,
+        values.emissionsKgCo2ePerKg,
+        values.unit ?? null,
+        values.category ?? null,
+        values.region ?? null,
+        values.dataSource ?? null,
+        values.densityGPerMl ?? null,
+        values.pieceWeightG ?? null,
+        values.yieldPercent ?? null,
+      ]
+    );
+
+    const ingredient = await getAccessibleIngredient(req.userId, rows[0].id);
+    res.status(201).json({ ingredient });
+  } catch (err) {
+    console.error("Error in POST /api/ingredients:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /api/ingredients/:id
+// Body: any of { name, emissionsKgCo2ePerKg, dataSource, region, category, unit,
+//                densityGPerMl, pieceWeightG }
+// Only the user's own ingredients can be edited; use /override for shared ones
+app.put("/api/ingredients/:id", async (req, res) => {
+  try {
+    const existing = await getAccessibleIngredient(req.userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (!existing.is_custom) {
+      return res.status(403).json({
+        error: "Shared ingredients can't be edited; set an override instead",
+      });
+    }
+
+    const { values, error } = parseIngredientFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (values.name) {
+      const duplicate = await pool.query(
+        `SELECT id FROM ingredients
+         WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND is_active = TRUE AND id <> $3`,
+        [req.userId, values.name, existing.id]
+      );
+      if (duplicate.rows.length > 0) {
+        return res
+          .status(409)
+          .json({ error: "You already have an ingredient with this name" });
+      }
+    }
+
+    const sets = [];
+    const params = [];
+    for (const [field, column] of Object.entries(INGREDIENT_FIELD_COLUMNS)) {
+      if (!(field in values)) continue;
+      let value = values[field];
+      if (field === "unit" && value === null) value = "kg";
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    if (sets.length > 0) {
+      params.push(existing.id, req.userId);
+      await pool.query(
+        `UPDATE ingredients
+         SET ${sets.join(", ")}, updated_at = NOW()
+         WHERE id = $${params.length - 1} AND user_id = $${params.length}`,
+        params
+      );
+    }
+
+    // factor, conversion data or yield changed → dishes using it were
+    // marked stale
+    const recalculatedDishes = await recalculateStaleMenuItems(req.userId);
+
+    const ingredient = await getAccessibleIngredient(req.userId, existing.id);
+    res.json({ ingredient, recalculatedDishes });
+  } catch (err) {
+    console.error("Error in PUT /api/ingredients/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/ingredients/:id/archive  and  POST /api/ingredients/:id/restore
+// Archived ingredients stay in existing recipes but leave the picker
+async function setIngredientActive(req, res, isActive) {
+  try {
+    const ingredientId = Number(req.params.id);
+    if (!Number.isInteger(ingredientId)) {
+      return res
+        .status(404)
+        .json({ error: "Ingredient not found or does not belong to user" });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE ingredients
+       SET is_active = $1, updated_at = NOW()
+       WHERE id = $2 AND user_id = $3
+       RETURNING id`,
+      [isActive, ingredientId, req.userId]
+    );
+
+    if (rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Ingredient not found or does not belong to user" });
+    }
+
+    const ingredient = await getAccessibleIngredient(req.userId, rows[0].id);
+    res.json({ ingredient });
+  } catch (err) {
+    if (err.code === "23505") {
+      return res
+        .status(409)
+        .json({ error: "An active ingredient with this name already exists" });
+    }
+    console.error(`Error in POST /api/ingredients/:id/${isActive ? "restore" : "archive"}:`, err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+}
+
+app.post("/api/ingredients/:id/archive", (req, res) => setIngredientActive(req, res, false));
+app.post("/api/ingredients/:id/restore", (req, res) => setIngredientActive(req, res, true));
+
+// ingredient_emission_overrides columns a request may set
+const OVERRIDE_FIELDS = [
+  "emissionsKgCo2ePerKg",
+  "dataSource",
+  "region",
+  "densityGPerMl",
+  "pieceWeightG",
+  "yieldPercent",
+];
+
+// PUT /api/ingredients/:id/override
+// Body: { emissionsKgCo2ePerKg?, densityGPerMl?, pieceWeightG?, yieldPercent?,
+//         dataSource?, region? }
+// The restaurant's own factor / conversion data for a shared catalogue
+// ingredient. Only the fields sent change; null clears one, and cleared
+// fields fall back to the dataset / catalogue values.
+app.put("/api/ingredients/:id/override", async (req, res) => {
+  try {
+    const existing = await getAccessibleIngredient(req.userId, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (existing.is_custom) {
+      return res
+        .status(400)
+        .json({ error: "Edit your own ingredient directly instead of overriding it" });
+    }
+
+    const body = req.body ?? {};
+    const clearsFactor = body.emissionsKgCo2ePerKg === null;
+    const { values, error } = parseIngredientFields(
+      {
+        ...Object.fromEntries(OVERRIDE_FIELDS.map((field) => [field, body[field]])),
+        emissionsKgCo2ePerKg: clearsFactor ? undefined : body.emissionsKgCo2ePerKg,
+      },
+      { partial: true }
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (clearsFactor) values.emissionsKgCo2ePerKg = null;
+
+    const fields = OVERRIDE_FIELDS.filter((field) => field in values);
+    if (fields.length === 0) {
+      return res.status(400).json({
+        error: "Provide emissionsKgCo2ePerKg, densityGPerMl, pieceWeightG or yieldPercent",
+      });
+    }
+
+    const columns = fields.map((field) => INGREDIENT_FIELD_COLUMNS[field]);
+    await pool.query(
+      `INSERT INTO ingredient_emission_overrides
+         (user_id, ingredient_id, ${columns.join(", ")})
+       VALUES ($1, $2, ${columns.map((_, i) => `$${i + 3}`).join(", ")})
+       ON CONFLICT (user_id, ingredient_id)
+       DO UPDATE SET
+         ${columns.map((c) => `${c} = EXCLUDED.${c}`).join(",\n         ")},
+         updated_at = NOW()`,
+      [req.userId, existing.id, ...fields.map((field) => values[field])]
+    );
+
+    // nothing left to override
+    await pool.query(
+      `DELETE FROM ingredient_emission_overrides
+       WHERE user_id = $1 AND ingredient_id = $2
+         AND emissions_kg_co2e_per_kg IS NULL AND density_g_per_ml IS NULL
+         AND piece_weight_g IS NULL AND yield_percent IS NULL`,
+      [req.userId, existing.id]
+    );
+
+    const recalculatedDishes = await recalculateStaleMenuItems(req.userId);
+    const ingredient = await getAccessibleIngredient(req.userId, existing.id);
+    res.json({ ingredient, recalculatedDishes });
+  } catch (err) {
+    console.error("Error in PUT /api/ingredients/:id/override:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /api/ingredients/:id/override – back to the catalogue factor
+app.delete("/api/ingredients/:id/override", async (req, res) => {
+  try {
+    const ingredientId = Number(req.params.id);
+    if (!Number.isInteger(ingredientId)) {
+      return res.status(404).json({ error: "Override not found" });
+    }
+
+    const { rows } = await pool.query(
+      `DELETE FROM ingredient_emission_overrides
+       WHERE user_id = $1 AND ingredient_id = $2
+       RETURNING ingredient_id`,
+      [req.userId, ingredientId]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Override not found" });
+    }
+
+    const recalculatedDishes = await recalculateStaleMenuItems(req.userId);
+    const ingredient = await getAccessibleIngredient(req.userId, rows[0].ingredient_id);
+    res.json({ ingredient, recalculatedDishes });
+  } catch (err) {
+    console.error("Error in DELETE /api/ingredients/:id/override:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * EMISSION FACTOR DATASETS
+ * Named, dated factor tables (e.g. "2024 national LCA v2"): shared ones and
+ * the restaurant's own, imported from CSV. The restaurant's active dataset
+ * replaces catalogue factors wherever a factor is resolved (see
+ * ingredientFactorJoins); their overrides still win. Switching datasets
+ * recalculates every dish, and each dish records the dataset its estimate
+ * came from (menu_items.emission_dataset_id): NULL when no line's factor
+ * came from a dataset (overrides and catalogue factors only).
+ */
+
+const DATASET_COLUMNS = `
+  d.id, d.name, d.published_on, d.source, d.created_at,
+  d.user_id IS NOT NULL AS is_custom,
+  (SELECT COUNT(*)::int FROM emission_factor_dataset_factors f WHERE f.dataset_id = d.id)
+    AS factor_count,
+  d.id IS NOT DISTINCT FROM u.active_emission_dataset_id AS is_active`;
+
+// Helper: a dataset the user may use – shared or their own
+async function getAccessibleDataset(userId, datasetId, db = pool) {
+  if (!Number.isInteger(Number(datasetId))) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT ${DATASET_COLUMNS}
+     FROM emission_factor_datasets d
+     JOIN users u ON u.id = $2
+     WHERE d.id = $1 AND (d.user_id IS NULL OR d.user_id = $2)`,
+    [datasetId, userId]
+  );
+
+  return rows[0] || null;
+}
+
+// GET /api/emission-datasets
+app.get("/api/emission-datasets", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${DATASET_COLUMNS}
+       FROM emission_factor_datasets d
+       JOIN users u ON u.id = $1
+       WHERE d.user_id IS NULL OR d.user_id = $1
+       ORDER BY d.published_on DESC NULLS LAST, d.name ASC`,
+      [req.userId]
+    );
+
+    res.json({
+      activeDatasetId: rows.find((d) => d.is_active)?.id ?? null,
+      datasets: rows,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/emission-datasets:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/emission-datasets/:id – the dataset with its factors next to the
+// catalogue's
+app.get("/api/emission-datasets/:id", async (req, res) => {
+  try {
+    const dataset = await getAccessibleDataset(req.userId, req.params.id);
+    if (!dataset) {
+      return res.status(404).json({ error: "Dataset not found" });
+    }
+
+    const { rows: factors } = await pool.query(
+      `SELECT f.ingredient_id, i.name AS ingredient_name, i.category,
+              f.emissions_kg_co2e_per_kg,
+              i.emissions_kg_co2e_per_kg AS catalogue_emissions_kg_co2e_per_kg
+       FROM emission_factor_dataset_factors f
+       JOIN ingredients i ON i.id = f.ingredient_id
+       WHERE f.dataset_id = $1
+       ORDER BY i.name ASC`,
+      [dataset.id]
+    );
+
+    res.json({ dataset, factors });
+  } catch (err) {
+    console.error("Error in GET /api/emission-datasets/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * IMPORT DATASET
+ * POST /api/emission-datasets (multipart: file, name, publishedOn?, source?,
+ *   idColumn?, ingredientColumn?, factorColumn?)
+ * - one CSV row per ingredient: catalogue id or name, and kg CO2e per kg
+ * - names match the user's ingredients first, then shared ones; rows that
+ *   match nothing are reported and skipped
+ * - the new dataset is not active until chosen (PUT /active)
+ */
+app.post("/api/emission-datasets", upload.single("file"), async (req, res) => {
+  const userId = req.userId;
+  let client;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No CSV file uploaded" });
+    }
+
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+    const publishedOn = req.body.publishedOn || null;
+    if (publishedOn && !isIsoDate(publishedOn)) {
+      return res.status(400).json({ error: "publishedOn must be a date (YYYY-MM-DD)" });
+    }
+
+    const duplicate = await pool.query(
+      "SELECT id FROM emission_factor_datasets WHERE user_id = $1 AND LOWER(name) = LOWER($2)",
+      [userId, name]
+    );
+    if (duplicate.rows.length > 0) {
+      return res.status(409).json({ error: "You already have a dataset with this name" });
+    }
+
+    let parsed;
+    try {
+      parsed = readEmissionFactorCsv(req.file.buffer, {
+        idColumn: req.body.idColumn,
+        ingredientColumn: req.body.ingredientColumn,
+        factorColumn: req.body.factorColumn,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read file: ${err.message}` });
+    }
+    // before duplicates below move rows to errors
+    const rowCount = parsed.rows.length + parsed.errors.length;
+
+    // the user's own ingredients win over shared ones with the same name
+    const ingredientsResult = await pool.query(
+      `SELECT id, name
+       FROM ingredients
+       WHERE user_id IS NULL OR user_id = $1
+       ORDER BY (user_id IS NULL) ASC, id ASC`,
+      [userId]
+    );
+    const ingredientsById = new Map(ingredientsResult.rows.map((i) => [i.id, i]));
+    const ingredientsByName = new Map();
+    for (const ingredient of ingredientsResult.rows) {
+      const key = ingredient.name.toLowerCase();
+      if (!ingredientsByName.has(key)) ingredientsByName.set(key, ingredient);
+    }
+
+    const factors = new Map(); // ingredient id → kg CO2e per kg
+    const unmatched = [];
+    for (const row of parsed.rows) {
+      const ingredient =
+        row.ingredientId !== null
+          ? ingredientsById.get(row.ingredientId)
+          : ingredientsByName.get(row.ingredientName.toLowerCase());
+      if (!ingredient) {
+        unmatched.push({ line: row.line, ingredient: row.ingredientName || `#${row.ingredientId}` });
+        continue;
+      }
+      if (factors.has(ingredient.id)) {
+        parsed.errors.push({ line: row.line, error: `${ingredient.name} is listed twice` });
+        continue;
+      }
+      factors.set(ingredient.id, row.factor);
+    }
+
+    if (factors.size === 0) {
+      return res.status(400).json({
+        error: "No row matched an ingredient",
+        unmatched,
+        errors: parsed.errors,
+      });
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `INSERT INTO emission_factor_datasets (user_id, name, published_on, source)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [userId, name, publishedOn, req.body.source || null]
+    );
+    const datasetId = rows[0].id;
+
+    await client.query(
+      `INSERT INTO emission_factor_dataset_factors (dataset_id, ingredient_id, emissions_kg_co2e_per_kg)
+       SELECT $1, f.ingredient_id, f.factor
+       FROM UNNEST($2::int[], $3::numeric[]) AS f(ingredient_id, factor)`,
+      [datasetId, [...factors.keys()], [...factors.values()]]
+    );
+
+    await client.query("COMMIT");
+
+    const dataset = await getAccessibleDataset(userId, datasetId);
+    res.status(201).json({
+      dataset,
+      summary: {
+        rows: rowCount,
+        factors: factors.size,
+        unmatched: unmatched.length,
+        errors: parsed.errors.length,
+      },
+      unmatched,
+      errors: parsed.errors,
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/emission-datasets:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// DELETE /api/emission-datasets/:id – own datasets that aren't active
+app.delete("/api/emission-datasets/:id", async (req, res) => {
+  try {
+    const dataset = await getAccessibleDataset(req.userId, req.params.id);
+    if (!dataset || !dataset.is_custom) {
+      return res.status(404).json({ error: "Dataset not found" });
+    }
+    if (dataset.is_active) {
+      return res
+        .status(409)
+        .json({ error: "This dataset is active; switch to another one first" });
+    }
+
+    await pool.query("DELETE FROM emission_factor_datasets WHERE id = $1", [dataset.id]);
+    res.status(204).end();
+  } catch (err) {
+    console.error("Error in DELETE /api/emission-datasets/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /api/emission-datasets/active
+// Body: { datasetId } – null = catalogue factors only. Recalculates every
+// dish of the restaurant with the new factors.
+app.put("/api/emission-datasets/active", async (req, res) => {
+  const userId = req.userId;
+  let client;
+
+  try {
+    const { datasetId } = req.body ?? {};
+    if (datasetId === undefined) {
+      return res.status(400).json({ error: "datasetId is required (null for the catalogue)" });
+    }
+
+    let dataset = null;
+    if (datasetId !== null) {
+      dataset = await getAccessibleDataset(userId, datasetId);
+      if (!dataset) {
+        return res.status(404).json({ error: "Dataset not found" });
+      }
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+    await client.query("UPDATE users SET active_emission_dataset_id = $2 WHERE id = $1", [
+      userId,
+      dataset ? dataset.id : null,
+    ]);
+    // switching marked every dish stale
+    const recalculatedDishes = await recalculateStaleMenuItems(userId, client);
+
+    await client.query("COMMIT");
+
+    res.json({
+      activeDataset: dataset ? { ...dataset, is_active: true } : null,
+      recalculatedDishes,
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in PUT /api/emission-datasets/active:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/** EMISSION HISTORY
+ * Each recalculation of a dish that was marked stale (see STALE EMISSIONS)
+ * records a snapshot of its total and per-line breakdown, tagged with what
+ * triggered it:
+ *   recipe_edit   – its lines or a prep recipe in it changed
+ *   factor_update – a factor it uses changed (catalogue, override, dataset)
+ *   manual        – taken on request
+ * and a snapshot of each menu it's active on. Migration 0012 recorded a
+ * baseline of every dish and menu as they were stored then; its lines
+ * carry quantities and factors but no per-line kg CO2e.
+ */
+
+// Helper: { from, to } (YYYY-MM-DD, both optional and inclusive) or { error }
+function parseHistoryRange(query) {
+  const { from = null, to = null } = query;
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && !isIsoDate(value)) {
+      return { error: `${name} must be a date (YYYY-MM-DD)` };
+    }
+  }
+  if (from && to && from > to) {
+    return { error: "from must not be after to" };
+  }
+  return { from, to };
+}
+
+const toHistoryPoint = (row, withBreakdown) => ({
+  snapshotId: row.id,
+  recordedAt: row.created_at,
+  kgCo2e: Number(row.total_kg_co2e),
+  reason: row.reason,
+  note: row.note,
+  ...(row.emission_dataset_id !== undefined && { emissionDatasetId: row.emission_dataset_id }),
+  ...(row.item_count !== undefined && { itemCount: row.item_count }),
+  ...(withBreakdown && { breakdown: row.breakdown }),
+});
+
+// GET /api/menu/items/:menuItemId/emissions-history?from=&to=&breakdown=true
+// Oldest first, for charting
+app.get("/api/menu/items/:menuItemId/emissions-history", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const { from, to, error } = parseHistoryRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, total_kg_co2e, breakdown, reason, note, emission_dataset_id, created_at
+       FROM menu_item_emission_snapshots
+       WHERE menu_item_id = $1
+         AND ($2::date IS NULL OR created_at >= $2::date)
+         AND ($3::date IS NULL OR created_at < $3::date + 1)
+       ORDER BY created_at ASC, id ASC`,
+      [menuItem.id, from, to]
+    );
+
+    res.json({
+      menuItemId: menuItem.id,
+      points: rows.map((row) => toHistoryPoint(row, req.query.breakdown === "true")),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/menu/items/:menuItemId/emissions-history:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/menu/items/:menuItemId/snapshots
+// Body: { note? } – recalculates the dish and records it as a manual snapshot
+app.post("/api/menu/items/:menuItemId/snapshots", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const note = req.body?.note ? String(req.body.note).trim() || null : null;
+    await recalculateMenuItemEmissions([menuItem.id], pool, { reason: "manual", note });
+
+    const { rows } = await pool.query(
+      `SELECT id, total_kg_co2e, breakdown, reason, note, emission_dataset_id, created_at
+       FROM menu_item_emission_snapshots
+       WHERE menu_item_id = $1
+       ORDER BY id DESC
+       LIMIT 1`,
+      [menuItem.id]
+    );
+
+    res.status(201).json(toHistoryPoint(rows[0], true));
+  } catch (err) {
+    console.error("Error in POST /api/menu/items/:menuItemId/snapshots:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/menus/:id/emissions-history?from=&to=&breakdown=true
+// Total of the menu's active dishes, oldest first
+app.get("/api/menus/:id/emissions-history", async (req, res) => {
+  try {
+    const menu = await getOwnedMenu(req.userId, req.params.id);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
+
+    const { from, to, error } = parseHistoryRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, total_kg_co2e, item_count, breakdown, reason, note, created_at
+       FROM menu_emission_snapshots
+       WHERE menu_id = $1
+         AND ($2::date IS NULL OR created_at >= $2::date)
+         AND ($3::date IS NULL OR created_at < $3::date + 1)
+       ORDER BY created_at ASC, id ASC`,
+      [menu.id, from, to]
+    );
+
+    res.json({
+      menuId: menu.id,
+      points: rows.map((row) => toHistoryPoint(row, req.query.breakdown === "true")),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/menus/:id/emissions-history:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/menus/:id/snapshots
+// Body: { note? } – recalculates the menu's active dishes and records them,
+// and the menu, as manual snapshots
+app.post("/api/menus/:id/snapshots", async (req, res) => {
+  try {
+    const menu = await getOwnedMenu(req.userId, req.params.id);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
+
+    const { rows: items } = await pool.query(
+      "SELECT id FROM menu_items WHERE menu_id = $1 AND is_active = TRUE",
+      [menu.id]
+    );
+    if (items.length === 0) {
+      return res.status(400).json({ error: "The menu has no active dishes" });
+    }
+
+    const note = req.body?.note ? String(req.body.note).trim() || null : null;
+    await recalculateMenuItemEmissions(
+      items.map((i) => i.id),
+      pool,
+      { reason: "manual", note }
+    );
+
+    const { rows } = await pool.query(
+      `SELECT id, total_kg_co2e, item_count, breakdown, reason, note, created_at
+       FROM menu_emission_snapshots
+       WHERE menu_id = $1
+       ORDER BY id DESC
+       LIMIT 1`,
+      [menu.id]
+    );
+
+    res.status(201).json(toHistoryPoint(rows[0], true));
+  } catch (err) {
+    console.error("Error in POST /api/menus/:id/snapshots:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/menu/items/:menuItemId/recipe-diff?from=YYYY-MM-DD&to=YYYY-MM-DD
+// The dish's recipe as last recorded on or before each date (to defaults
+// to today), line by line: added, removed, changed or unchanged
+app.get("/api/menu/items/:menuItemId/recipe-diff", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const from = req.query.from;
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+      return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: "from must not be after to" });
+    }
+
+    const snapshotAsOf = async (date) => {
+      const { rows } = await pool.query(
+        `SELECT id, total_kg_co2e, breakdown, reason, note, emission_dataset_id, created_at
+         FROM menu_item_emission_snapshots
+         WHERE menu_item_id = $1 AND created_at < $2::date + 1
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [menuItem.id, date]
+      );
+      return rows[0] || null;
+    };
+
+    const before = await snapshotAsOf(from);
+    const after = await snapshotAsOf(to);
+    if (!before) {
+      return res.status(404).json({ error: `No snapshot of this dish on or before ${from}` });
+    }
+
+    const lineKey = (line) =>
+      line.prepRecipeId !== undefined
+        ? `prep:${line.prepRecipeId}`
+        : `ingredient:${line.ingredientId}`;
+    const beforeLines = new Map(before.breakdown.map((l) => [lineKey(l), l]));
+    const afterLines = new Map(after.breakdown.map((l) => [lineKey(l), l]));
+
+    // kg CO2e of a line is unknown (null) in baselines and for lines that
+    // couldn't be converted; a missing line counts as 0
+    const lineKg = (line) => (line ? line.kgCo2e : 0);
+    const lineDelta = (old, current) =>
+      lineKg(old) === null || lineKg(current) === null ? null : lineKg(current) - lineKg(old);
+
+    const lines = [];
+    for (const [key, old] of beforeLines) {
+      const current = afterLines.get(key);
+      if (!current) {
+        lines.push({
+          status: "removed",
+          name: old.name,
+          before: old,
+          after: null,
+          deltaKgCo2e: lineDelta(old, null),
+        });
+        continue;
+      }
+      const changed =
+        old.quantity !== current.quantity ||
+        old.unit !== current.unit ||
+        (old.kgCo2ePerKg !== null &&
+          current.kgCo2ePerKg !== null &&
+          old.kgCo2ePerKg !== current.kgCo2ePerKg) ||
+        (old.kgCo2e !== null && current.kgCo2e !== null && old.kgCo2e !== current.kgCo2e);
+      lines.push({
+        status: changed ? "changed" : "unchanged",
+        name: current.name,
+        before: old,
+        after: current,
+        deltaKgCo2e: lineDelta(old, current),
+      });
+    }
+    for (const [key, current] of afterLines) {
+      if (!beforeLines.has(key)) {
+        lines.push({
+          status: "added",
+          name: current.name,
+          before: null,
+          after: current,
+          deltaKgCo2e: lineDelta(null, current),
+        });
+      }
+    }
+
+    const summary = (row) => ({
+      snapshotId: row.id,
+      recordedAt: row.created_at,
+      kgCo2e: Number(row.total_kg_co2e),
+      reason: row.reason,
+      emissionDatasetId: row.emission_dataset_id,
+    });
+
+    res.json({
+      menuItemId: menuItem.id,
+      from: summary(before),
+      to: summary(after),
+      deltaKgCo2e: Number(after.total_kg_co2e) - Number(before.total_kg_co2e),
+      lines,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/menu/items/:menuItemId/recipe-diff:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/menu/items/:menuItemId/ingredients?costMethod=average
+app.get("/api/menu/items/:menuItemId/ingredients", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const { method, error } = parseCostMethod(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Lines come back with quantities resolved to grams, plus the total;
+    // computed live, the stored total may be waiting for a recalculation
+    const { total, lines, components, unresolved } = (
+      await computeMenuItemEmissions([menuItem.id])
+    ).get(menuItem.id);
+
+    const { rows } = await pool.query(
+      `SELECT price_cents, estimated_emissions_kg_co2e, emissions_stale_since
+       FROM menu_items
+       WHERE id = $1`,
+      [menuItem.id]
+    );
+    const cost = (await costMenuItems(req.userId, [menuItem.id], method)).get(menuItem.id);
+
+    res.json({
+      menuItemId: Number(menuItemId),
+      ingredients: lines,
+      components,
+      totalEmissionsKgCo2e: total,
+      storedEmissionsKgCo2e: Number(rows[0].estimated_emissions_kg_co2e),
+      emissionsStaleSince: rows[0].emissions_stale_since,
+      unresolved,
+      costing: {
+        method,
+        ...summarizeDishCost(rows[0].price_cents, cost),
+        lines: cost.lines,
+      },
+    });
+  } catch (err) {
+    console.error("Error in GET /api/menu/items/:menuItemId/ingredients:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/menu/items/:menuItemId/ingredients
+// Body: { ingredientId, quantity, unit, yieldPercent? } (e.g. 2 "tbsp", 3 "each")
+//   or  { ingredientId, quantityGrams } (legacy)
+// Quantities are edible (as served); yieldPercent overrides the
+// ingredient's usual yield for this line only.
+app.post("/api/menu/items/:menuItemId/ingredients", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+    const { ingredientId } = req.body;
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    if (!ingredientId) {
+      return res.status(400).json({ error: "ingredientId is required." });
+    }
+
+    const ingredient = await getAccessibleIngredient(req.userId, ingredientId);
+    if (!ingredient) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (!ingredient.is_active) {
+      return res.status(409).json({ error: archivedIngredientError(ingredient) });
+    }
+
+    // Unresolvable units (ml without a density, "each" without a piece
+    // weight) are rejected here rather than guessed
+    const quantity = resolveBodyQuantity(req.body, ingredient);
+    if (quantity.error) {
+      return res.status(400).json({ error: quantity.error });
+    }
+
+    const lineYield = parseYieldPercent(req.body.yieldPercent ?? null);
+    if (lineYield.error) {
+      return res.status(400).json({ error: lineYield.error });
+    }
+
+    // Upsert ingredient for this menu item
+    const upsertResult = await pool.query(
+      `
+      INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity, unit, yield_percent)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (menu_item_id, ingredient_id)
+      DO UPDATE SET
+        quantity      = EXCLUDED.quantity,
+        unit          = EXCLUDED.unit,
+        yield_percent = EXCLUDED.yield_percent
+      RETURNING id, menu_item_id, ingredient_id, quantity, unit, yield_percent
+      `,
+      [menuItemId, ingredient.id, quantity.quantity, quantity.unit, lineYield.value]
+    );
+
+    const ingredientRow = {
+      ...upsertResult.rows[0],
+      quantity_grams: quantity.grams,
+      as_purchased_grams: toAsPurchasedGrams(
+        quantity.grams,
+        lineYield.value ?? ingredient.yield_percent
+      ),
+    };
+
+    // Recalculate dish emissions
+    const { total, unresolved } = (await recalculateMenuItemEmissions([menuItem.id])).get(
+      menuItem.id
+    );
+
+    res.status(201).json({
+      ingredient: ingredientRow,
+      totalEmissionsKgCo2e: total,
+      unresolved,
+    });
+  } catch (err) {
+    console.error("Error in POST /api/menu/items/:menuItemId/ingredients:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete(
+  "/api/menu/items/:menuItemId/ingredients/:ingredientId",
+  async (req, res) => {
+    try {
+      const { menuItemId, ingredientId } = req.params;
+
+      const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+      if (!menuItem) {
+        return res.status(404).json({ error: "Menu item not found" });
+      }
+
+      const deleteResult = await pool.query(
+        `
+        DELETE FROM menu_item_ingredients
+        WHERE menu_item_id = $1 AND ingredient_id = $2
+        RETURNING id
+        `,
+        [menuItem.id, Number(ingredientId) || 0]
+      );
+
+      if (deleteResult.rows.length === 0) {
+        return res.status(404).json({ error: "Ingredient link not found." });
+      }
+
+      const { total, unresolved } = (await recalculateMenuItemEmissions([menuItem.id])).get(
+        menuItem.id
+      );
+
+      res.json({
+        success: true,
+        totalEmissionsKgCo2e: total,
+        unresolved,
+      });
+    } catch (err) {
+      console.error(
+        "Error in DELETE /api/menu/items/:menuItemId/ingredients/:ingredientId:",
+        err
+      );
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * FOOD COST & MARGIN
+ * Ingredient unit costs come from the user's costed purchases, by one of:
+ * - average: weighted average of the last COST_LOOKBACK_DAYS (default 90)
+ * - latest:  the most recent purchase
+ * - fifo:    the oldest lot still in stock (see inventory.js)
+ * Ingredients without a purchase in the window (average) or an open lot
+ * (fifo) fall back to their latest price. A dish's plate cost counts its
+ * lines as purchased (trim included) and its prep recipes per kg.
+ */
+
+const COST_METHODS = ["average", "latest", "fifo"];
+const COST_LOOKBACK_DAYS = Number(process.env.COST_LOOKBACK_DAYS) || 90;
+
+// Returns { method } or { error } from ?costMethod=
+function parseCostMethod(query) {
+  const method = query.costMethod || "average";
+  if (!COST_METHODS.includes(method)) {
+    return { error: `costMethod must be one of: ${COST_METHODS.join(", ")}` };
+  }
+  return { method };
+}
+
+// Helper: CAD per gram by ingredient (ingredients never bought at a price
+// are absent)
+async function loadIngredientCosts(userId, ingredientIds, method = "average", db = pool) {
+  const { rows: latest } = await db.query(
+    `SELECT DISTINCT ON (ingredient_id)
+            ingredient_id, total_cost_cad / quantity_grams AS cad_per_gram
+     FROM ingredient_purchases
+     WHERE user_id = $1 AND total_cost_cad IS NOT NULL
+       AND ingredient_id = ANY($2::int[])
+     ORDER BY ingredient_id, purchase_date DESC, id DESC`,
+    [userId, ingredientIds]
+  );
+  const costs = new Map(latest.map((r) => [r.ingredient_id, Number(r.cad_per_gram)]));
+
+  if (method === "average") {
+    const { rows } = await db.query(
+      `SELECT ingredient_id, SUM(total_cost_cad) / SUM(quantity_grams) AS cad_per_gram
+       FROM ingredient_purchases
+       WHERE user_id = $1 AND total_cost_cad IS NOT NULL
+         AND ingredient_id = ANY($2::int[])
+         AND purchase_date > CURRENT_DATE - $3::int
+       GROUP BY ingredient_id`,
+      [userId, ingredientIds, COST_LOOKBACK_DAYS]
+    );
+    for (const r of rows) costs.set(r.ingredient_id, Number(r.cad_per_gram));
+  } else if (method === "fifo") {
+    // only ingredients with a costed purchase can have a costed lot; lots
+    // come back oldest first – take the first costed one with stock
+    const wanted = new Set(ingredientIds.map(Number).filter((id) => costs.has(id)));
+    if (wanted.size > 0) {
+      const { lots } = await loadInventory(userId, { ingredientIds: [...wanted] }, db);
+      for (const lot of lots) {
+        if (wanted.size === 0) break;
+        if (!wanted.has(lot.ingredientId) || lot.remainingGrams <= 0 || lot.totalCostCad === null) {
+          continue;
+        }
+        costs.set(lot.ingredientId, lot.totalCostCad / lot.grams);
+        wanted.delete(lot.ingredientId);
+      }
+    }
+  }
+
+  return costs;
+}
+
+// Helper: plate cost of each dish, as a Map of menu item id →
+//   { plateCostCad, lines: [{ ingredientId | prepRecipeId, name, grams, cadPerKg, costCad }],
+//     uncosted: [ingredient names without a price] }
+// Lines whose unit can't be converted are left out (the emissions rollup
+// reports them under `unresolved`).
+async function costMenuItems(userId, menuItemIds, method = "average", db = pool) {
+  const { ingredientLines, componentLines } = await loadDishRecipeLines(menuItemIds, db);
+
+  const costs = await loadIngredientCosts(
+    userId,
+    [...new Set(ingredientLines.map((l) => l.ingredient_id))],
+    method,
+    db
+  );
+  const rollup =
+    componentLines.length > 0
+      ? await loadPrepRollup(
+          userId,
+          [...new Set(componentLines.map((l) => l.prep_recipe_id))],
+          db,
+          method
+        )
+      : new Map();
+
+  const dishes = new Map(
+    menuItemIds.map((id) => [Number(id), { plateCostCad: 0, lines: [], uncosted: new Set() }])
+  );
+
+  for (const line of ingredientLines) {
+    const conversion = toGrams(line.quantity, line.unit, {
+      name: line.ingredient_name,
+      density_g_per_ml: line.density_g_per_ml,
+      piece_weight_g: line.piece_weight_g,
+    });
+    if (conversion.error) continue;
+
+    const dish = dishes.get(line.menu_item_id);
+    const grams = toAsPurchasedGrams(conversion.grams, line.yield_percent);
+    const cadPerGram = costs.get(line.ingredient_id) ?? null;
+    const costCad = cadPerGram === null ? null : grams * cadPerGram;
+
+    if (costCad === null) dish.uncosted.add(line.ingredient_name);
+    else dish.plateCostCad += costCad;
+
+    dish.lines.push({
+      ingredientId: line.ingredient_id,
+      name: line.ingredient_name,
+      grams,
+      cadPerKg: cadPerGram === null ? null : cadPerGram * 1000,
+      costCad,
+    });
+  }
+
+  for (const line of componentLines) {
+    const conversion = toGrams(line.quantity, line.unit, { name: line.prep_recipe_name });
+    if (conversion.error) continue;
+
+    const dish = dishes.get(line.menu_item_id);
+    const recipe = rollup.get(line.prep_recipe_id);
+    const costCad = (conversion.grams / 1000) * recipe.cadPerKg;
+
+    dish.plateCostCad += costCad;
+    for (const name of recipe.uncosted) dish.uncosted.add(name);
+
+    dish.lines.push({
+      prepRecipeId: line.prep_recipe_id,
+      name: line.prep_recipe_name,
+      grams: conversion.grams,
+      cadPerKg: recipe.cadPerKg,
+      costCad,
+    });
+  }
+
+  for (const dish of dishes.values()) dish.uncosted = [...dish.uncosted];
+  return dishes;
+}
+
+// Price, plate cost, food-cost % and gross margin of one dish
+function summarizeDishCost(priceCents, cost) {
+  const round = (n, digits = 2) => Math.round(n * 10 ** digits) / 10 ** digits;
+  const price = priceCents === null ? null : priceCents / 100;
+  const plateCost = round(cost.plateCostCad);
+  const margin = price === null ? null : price - plateCost;
+
+  return {
+    priceCad: price,
+    plateCostCad: plateCost,
+    foodCostPercent: price ? round((plateCost / price) * 100, 1) : null,
+    grossMarginCad: margin === null ? null : round(margin),
+    grossMarginPercent: price ? round((margin / price) * 100, 1) : null,
+    // the plate cost leaves these out until they're bought at a price
+    uncostedIngredients: cost.uncosted,
+  };
+}
+
+// GET /api/reports/menu-margins?menuId=&costMethod=average|latest|fifo
+// Dishes ranked by gross margin (highest first) and by kg CO2e per dollar
+// of menu price (lowest first). Dishes without a price or recipe are
+// listed apart. Emissions are the stored totals; emissionsStale marks those
+// awaiting recalculation (see migration 0011).
+app.get("/api/reports/menu-margins", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { method, error } = parseCostMethod(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const menu = await resolveTargetMenu(userId, req.query.menuId);
+    if (!menu) {
+      return res.status(404).json({ error: "Menu not found" });
+    }
+
+    const { rows: items } = await pool.query(
+      `SELECT mi.id, mi.name, mi.category, mi.price_cents, mi.estimated_emissions_kg_co2e,
+              mi.emissions_stale_since IS NOT NULL AS emissions_stale,
+              (
+                EXISTS (SELECT 1 FROM menu_item_ingredients mii WHERE mii.menu_item_id = mi.id)
+                OR EXISTS (SELECT 1 FROM menu_item_components mic WHERE mic.menu_item_id = mi.id)
+              ) AS has_recipe
+       FROM menu_items mi
+       WHERE mi.menu_id = $1 AND mi.is_active = TRUE
+       ORDER BY mi.created_at ASC, mi.id ASC`,
+      [menu.id]
+    );
+
+    const costs = await costMenuItems(
+      userId,
+      items.map((i) => i.id),
+      method
+    );
+
+    const ranked = [];
+    const notRanked = [];
+    for (const item of items) {
+      if (!item.has_recipe || item.price_cents === null || item.price_cents === 0) {
+        notRanked.push({
+          id: item.id,
+          name: item.name,
+          reason: !item.has_recipe ? "No recipe" : "No price",
+        });
+        continue;
+      }
+
+      const emissions = Number(item.estimated_emissions_kg_co2e);
+      ranked.push({
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        ...summarizeDishCost(item.price_cents, costs.get(item.id)),
+        emissionsKgCo2e: Math.round(emissions * 10000) / 10000,
+        kgCo2ePerDollar: Math.round((emissions / (item.price_cents / 100)) * 10000) / 10000,
+        emissionsStale: item.emissions_stale,
+      });
+    }
+
+    res.json({
+      menuId: menu.id,
+      costMethod: method,
+      byMargin: [...ranked].sort(
+        (a, b) => b.grossMarginCad - a.grossMarginCad || a.name.localeCompare(b.name)
+      ),
+      byKgCo2ePerDollar: [...ranked].sort(
+        (a, b) => a.kgCo2ePerDollar - b.kgCo2ePerDollar || a.name.localeCompare(b.name)
+      ),
+      notRanked,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/reports/menu-margins:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * SUBSTITUTIONS
+ * Lower-carbon swaps for the ingredients that weigh most on a dish:
+ * active ingredients from the same category with a lower effective factor,
+ * used at the same weight. A swap can be saved as a draft variant of the
+ * dish (off the menu until it is reviewed), then published in its place.
+ */
+
+const normalizeCategory = (category) => (category || "").trim().toLowerCase();
+
+// GET /api/menu/items/:menuItemId/substitutions?top=3&limit=3
+// - top:   how many of the biggest contributors to look at
+// - limit: suggestions per contributor, lowest factor first
+app.get("/api/menu/items/:menuItemId/substitutions", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const top = req.query.top === undefined ? 3 : Number(req.query.top);
+    const limit = req.query.limit === undefined ? 3 : Number(req.query.limit);
+    if (!Number.isInteger(top) || top < 1 || !Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "top and limit must be whole numbers >= 1" });
+    }
+
+    const { total, lines, unresolved } = (await computeMenuItemEmissions([menuItem.id])).get(
+      menuItem.id
+    );
+
+    const contributors = lines
+      .filter((l) => l.emissions_kg_co2e > 0)
+      .sort((a, b) => b.emissions_kg_co2e - a.emissions_kg_co2e)
+      .slice(0, top);
+
+    const recipeIds = lines.map((l) => l.ingredient_id);
+
+    // the recipe's ingredients plus every active ingredient sharing a
+    // category with one of them
+    const { rows: ingredients } = await pool.query(
+      `SELECT ${INGREDIENT_VIEW_COLUMNS}
+       FROM ingredients i
+       ${ingredientFactorJoins("$1")}
+       WHERE (i.user_id IS NULL OR i.user_id = $1)
+         AND (
+           i.id = ANY($2::int[])
+           OR (
+             i.is_active = TRUE
+             AND LOWER(TRIM(i.category)) IN (
+               SELECT LOWER(TRIM(category))
+               FROM ingredients
+               WHERE id = ANY($2::int[]) AND category IS NOT NULL
+             )
+           )
+         )`,
+      [userId, recipeIds]
+    );
+    const byId = new Map(ingredients.map((i) => [i.id, i]));
+
+    const costs = await loadIngredientCosts(
+      userId,
+      ingredients.map((i) => i.id)
+    );
+
+    const round = (n, digits = 3) =>
+      n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits;
+
+    res.json({
+      menuItemId,
+      totalEmissionsKgCo2e: round(total, 4),
+      contributors: contributors.map((line) => {
+        const category = byId.get(line.ingredient_id)?.category || null;
+        const factor = Number(line.emissions_kg_co2e_per_kg);
+        const costPerGram = costs.get(line.ingredient_id) ?? null;
+
+        const suggestions = ingredients
+          .filter(
+            (i) =>
+              category !== null &&
+              i.is_active &&
+              !recipeIds.includes(i.id) &&
+              normalizeCategory(i.category) === normalizeCategory(category) &&
+              i.emissions_kg_co2e_per_kg !== null &&
+              Number(i.emissions_kg_co2e_per_kg) < factor
+          )
+          .sort(
+            (a, b) =>
+              Number(a.emissions_kg_co2e_per_kg) - Number(b.emissions_kg_co2e_per_kg) ||
+              a.name.localeCompare(b.name)
+          )
+          .slice(0, limit)
+          .map((i) => {
+            // same edible weight, bought with the substitute's own trim
+            const asPurchasedGrams = toAsPurchasedGrams(line.quantity_grams, i.yield_percent);
+            const emissions = (asPurchasedGrams / 1000) * Number(i.emissions_kg_co2e_per_kg);
+            const projected = total - line.emissions_kg_co2e + emissions;
+            const substituteCostPerGram = costs.get(i.id) ?? null;
+            return {
+              ingredientId: i.id,
+              ingredientName: i.name,
+              emissionsKgCo2ePerKg: Number(i.emissions_kg_co2e_per_kg),
+              projectedTotalKgCo2e: round(projected, 4),
+              savingKgCo2e: round(total - projected, 4),
+              savingPercent: total > 0 ? round(((total - projected) / total) * 100, 1) : null,
+              // null when either ingredient was never bought at a price
+              costDifferenceCad:
+                costPerGram === null || substituteCostPerGram === null
+                  ? null
+                  : round(
+                      asPurchasedGrams * substituteCostPerGram -
+                        line.as_purchased_grams * costPerGram,
+                      2
+                    ),
+            };
+          });
+
+        return {
+          ingredientId: line.ingredient_id,
+          ingredientName: line.ingredient_name,
+          category,
+          quantityGrams: line.quantity_grams,
+          asPurchasedGrams: line.as_purchased_grams,
+          emissionsKgCo2e: round(line.emissions_kg_co2e, 4),
+          sharePercent: round((line.emissions_kg_co2e / total) * 100, 1),
+          costCad: costPerGram === null ? null : round(line.as_purchased_grams * costPerGram, 2),
+          suggestions,
+        };
+      }),
+      unresolved,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/menu/items/:menuItemId/substitutions:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/menu/items/:menuItemId/variants – draft variants of a dish
+app.get("/api/menu/items/:menuItemId/variants", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, name, category, price_cents, estimated_emissions_kg_co2e,
+              variant_of_id, is_draft, created_at
+       FROM menu_items
+       WHERE variant_of_id = $1 AND is_draft = TRUE
+       ORDER BY created_at DESC, id DESC`,
+      [menuItemId]
+    );
+
+    res.json({ menuItemId, variants: rows });
+  } catch (err) {
+    console.error("Error in GET /api/menu/items/:menuItemId/variants:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/menu/items/:menuItemId/variants
+// Body: { ingredientId, substituteIngredientId, name? }
+// Copies the dish as an inactive draft with one ingredient swapped at the
+// same weight; its recipe can then be edited like any other dish.
+app.post("/api/menu/items/:menuItemId/variants", async (req, res) => {
+  let client;
+  try {
+    const userId = req.userId;
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const { ingredientId, substituteIngredientId } = req.body;
+    if (!ingredientId || !substituteIngredientId) {
+      return res
+        .status(400)
+        .json({ error: "ingredientId and substituteIngredientId are required" });
+    }
+
+    const substitute = await getAccessibleIngredient(userId, substituteIngredientId);
+    if (!substitute || !substitute.is_active) {
+      return res.status(404).json({ error: "Substitute ingredient not found" });
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const { total: originalTotal, lines } = (
+      await computeMenuItemEmissions([menuItem.id], client)
+    ).get(menuItem.id);
+
+    const replaced = lines.find((l) => l.ingredient_id === Number(ingredientId));
+    if (!replaced) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "The dish does not use this ingredient" });
+    }
+    if (lines.some((l) => l.ingredient_id === substitute.id)) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "The dish already uses the substitute" });
+    }
+    if (replaced.quantity_grams === null) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: replaced.conversion_error });
+    }
+
+    const { rows: sourceRows } = await client.query(
+      "SELECT name, category, price_cents FROM menu_items WHERE id = $1",
+      [menuItemId]
+    );
+    const source = sourceRows[0];
+    const name =
+      req.body.name && String(req.body.name).trim()
+        ? String(req.body.name).trim()
+        : `${source.name} (${substitute.name})`;
+
+    const { rows: variantRows } = await client.query(
+      `INSERT INTO menu_items (
+         menu_id, name, category, price_cents, estimated_emissions_kg_co2e,
+         is_active, variant_of_id, is_draft
+       )
+       VALUES ($1, $2, $3, $4, 0, FALSE, $5, TRUE)
+       RETURNING id, menu_id, name, category, price_cents, variant_of_id, is_draft, created_at`,
+      [menuItem.menu_id, name, source.category, source.price_cents, menuItemId]
+    );
+    const variant = variantRows[0];
+
+    await client.query(
+      `INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity, unit, yield_percent)
+       SELECT $1, ingredient_id, quantity, unit, yield_percent
+       FROM menu_item_ingredients
+       WHERE menu_item_id = $2 AND ingredient_id <> $3`,
+      [variant.id, menuItemId, replaced.ingredient_id]
+    );
+
+    await client.query(
+      `INSERT INTO menu_item_components (menu_item_id, prep_recipe_id, quantity, unit)
+       SELECT $1, prep_recipe_id, quantity, unit
+       FROM menu_item_components
+       WHERE menu_item_id = $2`,
+      [variant.id, menuItemId]
+    );
+
+    // same weight: mass units carry over, volumes and counts become grams
+    const sameUnit = unitKind(replaced.unit) === "mass";
+    await client.query(
+      `INSERT INTO menu_item_ingredients (menu_item_id, ingredient_id, quantity, unit)
+       VALUES ($1, $2, $3, $4)`,
+      [
+        variant.id,
+        substitute.id,
+        sameUnit ? replaced.quantity : Math.round(replaced.quantity_grams * 1000) / 1000,
+        sameUnit ? replaced.unit : "g",
+      ]
+    );
+
+    const { total, unresolved } = (
+      await recalculateMenuItemEmissions([variant.id], client)
+    ).get(variant.id);
+
+    await client.query("COMMIT");
+
+    res.status(201).json({
+      variant: { ...variant, estimated_emissions_kg_co2e: total },
+      replaced: {
+        ingredientId: replaced.ingredient_id,
+        ingredientName: replaced.ingredient_name,
+        substituteIngredientId: substitute.id,
+        substituteIngredientName: substitute.name,
+        quantityGrams: replaced.quantity_grams,
+      },
+      originalEmissionsKgCo2e: originalTotal,
+      totalEmissionsKgCo2e: total,
+      unresolved,
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/menu/items/:menuItemId/variants:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// POST /api/menu/items/:menuItemId/variants/:variantId/publish
+// Body: { keepOriginal? } – puts the draft on the menu. By default it
+// replaces the dish it was made from: the original is taken off the menu
+// and its POS mappings move to the variant; keepOriginal = true serves both.
+app.post("/api/menu/items/:menuItemId/variants/:variantId/publish", async (req, res) => {
+  let client;
+  try {
+    const userId = req.userId;
+    const menuItemId = Number(req.params.menuItemId);
+    const variantId = Number(req.params.variantId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+    if (!Number.isInteger(variantId)) {
+      return res.status(404).json({ error: "Draft variant not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const keepOriginal = req.body?.keepOriginal === true;
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const { rowCount } = await client.query(
+      `UPDATE menu_items
+       SET is_draft = FALSE, is_active = TRUE
+       WHERE id = $1 AND variant_of_id = $2 AND is_draft = TRUE`,
+      [variantId, menuItemId]
+    );
+    if (rowCount === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Draft variant not found" });
+    }
+
+    if (!keepOriginal) {
+      await client.query("UPDATE menu_items SET is_active = FALSE WHERE id = $1", [
+        menuItemId,
+      ]);
+      await client.query(
+        `UPDATE pos_item_mappings
+         SET menu_item_id = $3, updated_at = NOW()
+         WHERE user_id = $1 AND menu_item_id = $2`,
+        [userId, menuItemId, variantId]
+      );
+    }
+
+    // records the dish and its menu as they are now served
+    const { total } = (
+      await recalculateMenuItemEmissions([variantId], client, { reason: "recipe_edit" })
+    ).get(variantId);
+
+    const { rows } = await client.query(
+      `SELECT id, menu_id, name, category, price_cents, estimated_emissions_kg_co2e,
+              is_active, variant_of_id, is_draft, created_at
+       FROM menu_items
+       WHERE id = $1`,
+      [variantId]
+    );
+
+    await client.query("COMMIT");
+
+    res.json({
+      item: rows[0],
+      retiredMenuItemId: keepOriginal ? null : menuItemId,
+      totalEmissionsKgCo2e: total,
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/menu/items/:menuItemId/variants/:variantId/publish:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * PREP RECIPES
+ * Sauces, doughs, stocks… with their own ingredient list and batch yield,
+ * used by weight in dishes and in other prep recipes. Emissions and cost
+ * are rolled up through every level (see prepRecipes.js); any change to a
+ * prep recipe recalculates the dishes that use it, however deeply nested.
+ */
+
+// Helper: load a prep recipe only if it belongs to the user
+async function getOwnedPrepRecipe(userId, prepRecipeId, db = pool) {
+  if (!Number.isInteger(Number(prepRecipeId))) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT id, name, yield_quantity, yield_unit, yield_grams, created_at, updated_at
+     FROM prep_recipes
+     WHERE id = $1 AND user_id = $2`,
+    [prepRecipeId, userId]
+  );
+
+  return rows[0] || null;
+}
+
+// Reads { yieldQuantity, yieldUnit } – a batch yield by weight.
+// Returns { quantity, unit, grams } or { error }.
+function parsePrepYield(body, name) {
+  if (body.yieldQuantity === undefined || body.yieldQuantity === null || body.yieldQuantity === "") {
+    return { error: "yieldQuantity is required" };
+  }
+
+  const result = toGrams(body.yieldQuantity, body.yieldUnit || "g", { name });
+  if (result.error) {
+    return { error: `yield: ${result.error}` };
+  }
+
+  return { quantity: Number(body.yieldQuantity), unit: result.unit, grams: result.grams };
+}
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// The rollup figures returned with a prep recipe
+function summarizePrepRollup(entry) {
+  return {
+    kgCo2ePerKg: round4(entry.kgCo2ePerKg),
+    cadPerKg: Math.round(entry.cadPerKg * 100) / 100,
+    batchKgCo2e: round4(entry.batchKgCo2e),
+    batchCostCad: Math.round(entry.batchCostCad * 100) / 100,
+    // cost leaves these out until they have been bought at a price
+    uncostedIngredients: entry.uncosted,
+    unresolved: entry.unresolved,
+  };
+}
+
+// GET /api/prep-recipes?costMethod=average
+app.get("/api/prep-recipes", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { method, error } = parseCostMethod(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT pr.id, pr.name, pr.yield_quantity, pr.yield_unit, pr.yield_grams,
+              pr.created_at, pr.updated_at,
+              (SELECT COUNT(*) FROM menu_item_components mic
+               WHERE mic.prep_recipe_id = pr.id)::int AS used_in_dishes,
+              (SELECT COUNT(*) FROM prep_recipe_components c
+               WHERE c.component_id = pr.id)::int AS used_in_prep_recipes
+       FROM prep_recipes pr
+       WHERE pr.user_id = $1
+       ORDER BY LOWER(pr.name) ASC`,
+      [userId]
+    );
+
+    const rollup = await loadPrepRollup(
+      userId,
+      rows.map((r) => r.id),
+      pool,
+      method
+    );
+
+    res.json({
+      prepRecipes: rows.map((r) => ({ ...r, ...summarizePrepRollup(rollup.get(r.id)) })),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/prep-recipes:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/prep-recipes/:id?costMethod=average
+// Lines for one batch, rollup and where it's used
+app.get("/api/prep-recipes/:id", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const recipe = await getOwnedPrepRecipe(userId, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: "Prep recipe not found" });
+    }
+
+    const { method, error } = parseCostMethod(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rollup = await loadPrepRollup(userId, [recipe.id], pool, method);
+    const entry = rollup.get(recipe.id);
+
+    const { rows: usedIn } = await pool.query(
+      `SELECT 'dish' AS type, mi.id, mi.name
+       FROM menu_item_components mic
+       JOIN menu_items mi ON mi.id = mic.menu_item_id
+       WHERE mic.prep_recipe_id = $1
+       UNION ALL
+       SELECT 'prep_recipe', pr.id, pr.name
+       FROM prep_recipe_components c
+       JOIN prep_recipes pr ON pr.id = c.prep_recipe_id
+       WHERE c.component_id = $1
+       ORDER BY 1, 3`,
+      [recipe.id]
+    );
+
+    res.json({
+      prepRecipe: { ...recipe, ...summarizePrepRollup(entry) },
+      lines: entry.lines,
+      usedIn,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/prep-recipes/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/prep-recipes
+// Body: { name, yieldQuantity, yieldUnit? } (yield by weight, default g)
+app.post("/api/prep-recipes", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+    if (!name) {
+      return res.status(400).json({ error: "name is required" });
+    }
+
+    const batchYield = parsePrepYield(req.body, name);
+    if (batchYield.error) {
+      return res.status(400).json({ error: batchYield.error });
+    }
+
+    const duplicate = await pool.query(
+      "SELECT id FROM prep_recipes WHERE user_id = $1 AND LOWER(name) = LOWER($2)",
+      [userId, name]
+    );
+    if (duplicate.rows.length > 0) {
+      return res.status(409).json({ error: "You already have a prep recipe with this name" });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO prep_recipes (user_id, name, yield_quantity, yield_unit, yield_grams)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, name, yield_quantity, yield_unit, yield_grams, created_at, updated_at`,
+      [userId, name, batchYield.quantity, batchYield.unit, batchYield.grams]
+    );
+
+    res.status(201).json({ prepRecipe: rows[0] });
+  } catch (err) {
+    console.error("Error in POST /api/prep-recipes:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /api/prep-recipes/:id
+// Body: { name?, yieldQuantity?, yieldUnit? } – a new yield recalculates
+// every dish using the recipe
+app.put("/api/prep-recipes/:id", async (req, res) => {
+  let client;
+  try {
+    const userId = req.userId;
+    const recipe = await getOwnedPrepRecipe(userId, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: "Prep recipe not found" });
+    }
+
+    let name = recipe.name;
+    if (req.body.name !== undefined) {
+      name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+      if (!name) {
+        return res.status(400).json({ error: "name is required" });
+      }
+    }
+
+    let batchYield = {
+      quantity: recipe.yield_quantity,
+      unit: recipe.yield_unit,
+      grams: recipe.yield_grams,
+    };
+    const yieldChanged = req.body.yieldQuantity !== undefined || req.body.yieldUnit !== undefined;
+    if (yieldChanged) {
+      batchYield = parsePrepYield(
+        {
+          yieldQuantity: req.body.yieldQuantity ?? recipe.yield_quantity,
+          yieldUnit: req.body.yieldUnit ?? recipe.yield_unit,
+        },
+        name
+      );
+      if (batchYield.error) {
+        return res.status(400).json({ error: batchYield.error });
+      }
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `UPDATE prep_recipes
+       SET name = $1, yield_quantity = $2, yield_unit = $3, yield_grams = $4,
+           updated_at = NOW()
+       WHERE id = $5
+       RETURNING id, name, yield_quantity, yield_unit, yield_grams, created_at, updated_at`,
+      [name, batchYield.quantity, batchYield.unit, batchYield.grams, recipe.id]
+    );
+
+    // a new yield marked the dishes using the recipe stale
+    const dishesRecalculated = await recalculateStaleMenuItems(userId, client);
+
+    await client.query("COMMIT");
+
+    res.json({ prepRecipe: rows[0], dishesRecalculated });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "You already have a prep recipe with this name" });
+    }
+    console.error("Error in PUT /api/prep-recipes/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// DELETE /api/prep-recipes/:id – only while no dish or prep recipe uses it
+app.delete("/api/prep-recipes/:id", async (req, res) => {
+  try {
+    const recipe = await getOwnedPrepRecipe(req.userId, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: "Prep recipe not found" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT EXISTS (SELECT 1 FROM menu_item_components WHERE prep_recipe_id = $1)
+              OR EXISTS (SELECT 1 FROM prep_recipe_components WHERE component_id = $1)
+              AS in_use`,
+      [recipe.id]
+    );
+    if (rows[0].in_use) {
+      return res
+        .status(409)
+        .json({ error: "This prep recipe is still used by a dish or another prep recipe" });
+    }
+
+    await pool.query("DELETE FROM prep_recipes WHERE id = $1", [recipe.id]);
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error in DELETE /api/prep-recipes/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Shared by the line routes below: runs `change` in a transaction, then
+// recalculates the dishes using the recipe and returns its new rollup
+async function changePrepRecipeLines(req, res, route, change) {
+  let client;
+  try {
+    const userId = req.userId;
+    const recipe = await getOwnedPrepRecipe(userId, req.params.id);
+    if (!recipe) {
+      return res.status(404).json({ error: "Prep recipe not found" });
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const failure = await change(recipe, client);
+    if (failure) {
+      await client.query("ROLLBACK");
+      return res.status(failure.status).json({ error: failure.error });
+    }
+
+    await client.query("UPDATE prep_recipes SET updated_at = NOW() WHERE id = $1", [recipe.id]);
+    const dishesRecalculated = await recalculateStaleMenuItems(userId, client);
+    const rollup = await loadPrepRollup(userId, [recipe.id], client);
+
+    await client.query("COMMIT");
+
+    const entry = rollup.get(recipe.id);
+    res.json({
+      prepRecipe: { ...recipe, ...summarizePrepRollup(entry) },
+      lines: entry.lines,
+      dishesRecalculated,
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error(`Error in ${route}:`, err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+// POST /api/prep-recipes/:id/ingredients
+// Body: { ingredientId, quantity, unit, yieldPercent? } or { ingredientId, quantityGrams }
+app.post("/api/prep-recipes/:id/ingredients", (req, res) =>
+  changePrepRecipeLines(req, res, "POST /api/prep-recipes/:id/ingredients", async (recipe, db) => {
+    if (!req.body.ingredientId) {
+      return { status: 400, error: "ingredientId is required" };
+    }
+
+    const ingredient = await getAccessibleIngredient(req.userId, req.body.ingredientId, db);
+    if (!ingredient) {
+      return { status: 404, error: "Ingredient not found" };
+    }
+    if (!ingredient.is_active) {
+      return { status: 409, error: archivedIngredientError(ingredient) };
+    }
+
+    const quantity = resolveBodyQuantity(req.body, ingredient);
+    if (quantity.error) {
+      return { status: 400, error: quantity.error };
+    }
+
+    const lineYield = parseYieldPercent(req.body.yieldPercent ?? null);
+    if (lineYield.error) {
+      return { status: 400, error: lineYield.error };
+    }
+
+    await db.query(
+      `INSERT INTO prep_recipe_ingredients (prep_recipe_id, ingredient_id, quantity, unit, yield_percent)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (prep_recipe_id, ingredient_id)
+       DO UPDATE SET
+         quantity = EXCLUDED.quantity,
+         unit = EXCLUDED.unit,
+         yield_percent = EXCLUDED.yield_percent`,
+      [recipe.id, ingredient.id, quantity.quantity, quantity.unit, lineYield.value]
+    );
+    return null;
+  })
+);
+
+app.delete("/api/prep-recipes/:id/ingredients/:ingredientId", (req, res) =>
+  changePrepRecipeLines(
+    req,
+    res,
+    "DELETE /api/prep-recipes/:id/ingredients/:ingredientId",
+    async (recipe, db) => {
+      const { rowCount } = await db.query(
+        "DELETE FROM prep_recipe_ingredients WHERE prep_recipe_id = $1 AND ingredient_id = $2",
+        [recipe.id, Number(req.params.ingredientId) || 0]
+      );
+      return rowCount === 0 ? { status: 404, error: "Ingredient link not found." } : null;
+    }
+  )
+);
+
+// Helper: true when `componentId` contains `prepRecipeId` at any depth (or
+// is the same recipe), i.e. nesting it would make a cycle
+async function wouldCreatePrepCycle(prepRecipeId, componentId, db = pool) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE nested AS (
+       SELECT $1::int AS id
+       UNION
+       SELECT c.component_id
+       FROM prep_recipe_components c
+       JOIN nested n ON n.id = c.prep_recipe_id
+     )
+     SELECT EXISTS (SELECT 1 FROM nested WHERE id = $2) AS cycle`,
+    [componentId, prepRecipeId]
+  );
+  return rows[0].cycle;
+}
+
+// POST /api/prep-recipes/:id/components
+// Body: { prepRecipeId, quantity, unit } (by weight) – nests another prep
+// recipe, e.g. stock in a sauce
+app.post("/api/prep-recipes/:id/components", (req, res) =>
+  changePrepRecipeLines(req, res, "POST /api/prep-recipes/:id/components", async (recipe, db) => {
+    const component = await getOwnedPrepRecipe(req.userId, req.body.prepRecipeId, db);
+    if (!component) {
+      return { status: 404, error: "Prep recipe to nest not found" };
+    }
+
+    if (await wouldCreatePrepCycle(recipe.id, component.id, db)) {
+      return {
+        status: 409,
+        error: `${component.name} already contains ${recipe.name}; nesting it would make a cycle`,
+      };
+    }
+
+    const quantity = resolveBodyQuantity(req.body, { name: component.name });
+    if (quantity.error) {
+      return { status: 400, error: quantity.error };
+    }
+
+    await db.query(
+      `INSERT INTO prep_recipe_components (prep_recipe_id, component_id, quantity, unit)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (prep_recipe_id, component_id)
+       DO UPDATE SET quantity = EXCLUDED.quantity, unit = EXCLUDED.unit`,
+      [recipe.id, component.id, quantity.quantity, quantity.unit]
+    );
+    return null;
+  })
+);
+
+app.delete("/api/prep-recipes/:id/components/:componentId", (req, res) =>
+  changePrepRecipeLines(
+    req,
+    res,
+    "DELETE /api/prep-recipes/:id/components/:componentId",
+    async (recipe, db) => {
+      const { rowCount } = await db.query(
+        "DELETE FROM prep_recipe_components WHERE prep_recipe_id = $1 AND component_id = $2",
+        [recipe.id, Number(req.params.componentId) || 0]
+      );
+      return rowCount === 0 ? { status: 404, error: "Prep recipe link not found." } : null;
+    }
+  )
+);
+
+// POST /api/menu/items/:menuItemId/components
+// Body: { prepRecipeId, quantity, unit } (by weight) or { prepRecipeId, quantityGrams }
+app.post("/api/menu/items/:menuItemId/components", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const recipe = await getOwnedPrepRecipe(userId, req.body.prepRecipeId);
+    if (!recipe) {
+      return res.status(404).json({ error: "Prep recipe not found" });
+    }
+
+    const quantity = resolveBodyQuantity(req.body, { name: recipe.name });
+    if (quantity.error) {
+      return res.status(400).json({ error: quantity.error });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO menu_item_components (menu_item_id, prep_recipe_id, quantity, unit)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (menu_item_id, prep_recipe_id)
+       DO UPDATE SET quantity = EXCLUDED.quantity, unit = EXCLUDED.unit
+       RETURNING id, menu_item_id, prep_recipe_id, quantity, unit`,
+      [menuItemId, recipe.id, quantity.quantity, quantity.unit]
+    );
+
+    const { total, unresolved } = (await recalculateMenuItemEmissions([menuItemId])).get(
+      menuItemId
+    );
+
+    res.status(201).json({
+      component: { ...rows[0], quantity_grams: quantity.grams },
+      totalEmissionsKgCo2e: total,
+      unresolved,
+    });
+  } catch (err) {
+    console.error("Error in POST /api/menu/items/:menuItemId/components:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/api/menu/items/:menuItemId/components/:prepRecipeId", async (req, res) => {
+  try {
+    const menuItemId = Number(req.params.menuItemId);
+    if (!Number.isInteger(menuItemId)) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const menuItem = await getOwnedMenuItem(req.userId, menuItemId);
+    if (!menuItem) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    const { rowCount } = await pool.query(
+      "DELETE FROM menu_item_components WHERE menu_item_id = $1 AND prep_recipe_id = $2",
+      [menuItemId, Number(req.params.prepRecipeId) || 0]
+    );
+    if (rowCount === 0) {
+      return res.status(404).json({ error: "Prep recipe link not found." });
+    }
+
+    const { total, unresolved } = (await recalculateMenuItemEmissions([menuItemId])).get(
+      menuItemId
+    );
+
+    res.json({ success: true, totalEmissionsKgCo2e: total, unresolved });
+  } catch (err) {
+    console.error("Error in DELETE /api/menu/items/:menuItemId/components/:prepRecipeId:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/ingredient-purchases
+app.get("/api/ingredient-purchases", async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      `SELECT
+         id,
+         user_id,
+         ingredient_id,
+         purchase_date,
+         quantity,
+         unit,
+         quantity_grams,
+         total_cost_cad,
+         created_at
+       FROM ingredient_purchases
+       WHERE user_id = $1
+       ORDER BY purchase_date DESC, id DESC`,
+      [userId]
+    );
+
+    res.json({ purchases: result.rows });
+  } catch (err) {
+    console.error("Error in GET /api/ingredient-purchases:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+/**
+ * PROCUREMENT FOOTPRINT (Scope 3, purchased food)
+ * GET /api/reports/procurement?period=month|quarter&date=YYYY-MM-DD&top=5
+ * - footprint of what was actually bought in the period containing date
+ *   (default today): purchased kg × effective emission factor
+ * - top contributing ingredients, kg CO2e per CAD spent (purchases with a
+ *   cost only) and the same figures for the previous period
+ */
+app.get("/api/reports/procurement", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const period = req.query.period || "month";
+    if (!["month", "quarter"].includes(period)) {
+      return res.status(400).json({ error: "period must be month or quarter" });
+    }
+
+    const date = req.query.date || null;
+    if (date && Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({ error: "date must be a date (YYYY-MM-DD)" });
+    }
+
+    const top = req.query.top === undefined ? 5 : Number(req.query.top);
+    if (!Number.isInteger(top) || top < 0) {
+      return res.status(400).json({ error: "top must be a whole number" });
+    }
+
+    const step = period === "month" ? "1 month" : "3 months";
+
+    const { rows } = await pool.query(
+      `
+      WITH bounds AS (
+        SELECT
+          DATE_TRUNC($2, COALESCE($3::date, CURRENT_DATE))::date AS current_start,
+          (DATE_TRUNC($2, COALESCE($3::date, CURRENT_DATE)) + $4::interval)::date AS current_end,
+          (DATE_TRUNC($2, COALESCE($3::date, CURRENT_DATE)) - $4::interval)::date AS previous_start
+      )
+      SELECT
+        b.current_start,
+        b.current_end,
+        b.previous_start,
+        (p.purchase_date >= b.current_start) AS is_current,
+        p.ingredient_id,
+        i.name,
+        SUM(p.quantity_grams) / 1000 AS kg_purchased,
+        SUM(p.quantity_grams / 1000 * COALESCE(${EFFECTIVE_FACTOR}, 0))
+          AS kg_co2e,
+        SUM(p.total_cost_cad) AS spend_cad,
+        SUM(p.quantity_grams / 1000 * COALESCE(${EFFECTIVE_FACTOR}, 0))
+          FILTER (WHERE p.total_cost_cad IS NOT NULL) AS costed_kg_co2e
+      FROM bounds b
+      LEFT JOIN ingredient_purchases p
+        ON p.user_id = $1
+       AND p.purchase_date >= b.previous_start
+       AND p.purchase_date < b.current_end
+      LEFT JOIN ingredients i ON i.id = p.ingredient_id
+      ${ingredientFactorJoins("$1")}
+      GROUP BY b.current_start, b.current_end, b.previous_start, 4, p.ingredient_id, i.name
+      `,
+      [userId, period, date, step]
+    );
+
+    const { current_start, current_end, previous_start } = rows[0];
+    const purchaseRows = rows.filter((r) => r.ingredient_id !== null);
+
+    const round = (n, digits = 3) =>
+      n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits;
+
+    const summarize = (groupRows) => {
+      const totals = groupRows.reduce(
+        (acc, r) => ({
+          kgPurchased: acc.kgPurchased + Number(r.kg_purchased),
+          kgCo2e: acc.kgCo2e + Number(r.kg_co2e),
+          spendCad: acc.spendCad + Number(r.spend_cad || 0),
+          costedKgCo2e: acc.costedKgCo2e + Number(r.costed_kg_co2e || 0),
+        }),
+        { kgPurchased: 0, kgCo2e: 0, spendCad: 0, costedKgCo2e: 0 }
+      );
+
+      return {
+        kgPurchased: round(totals.kgPurchased),
+        kgCo2e: round(totals.kgCo2e),
+        spendCad: round(totals.spendCad, 2),
+        kgCo2ePerCad:
+          totals.spendCad > 0 ? round(totals.costedKgCo2e / totals.spendCad, 4) : null,
+      };
+    };
+
+    const currentRows = purchaseRows.filter((r) => r.is_current);
+    const previousRows = purchaseRows.filter((r) => !r.is_current);
+    const current = summarize(currentRows);
+    const previous = summarize(previousRows);
+
+    const topIngredients = [...currentRows]
+      .sort((a, b) => Number(b.kg_co2e) - Number(a.kg_co2e))
+      .slice(0, top)
+      .map((r) => ({
+        ingredientId: r.ingredient_id,
+        name: r.name,
+        kgPurchased: round(Number(r.kg_purchased)),
+        kgCo2e: round(Number(r.kg_co2e)),
+        spendCad: r.spend_cad === null ? null : round(Number(r.spend_cad), 2),
+        sharePercent:
+          current.kgCo2e > 0 ? round((Number(r.kg_co2e) / current.kgCo2e) * 100, 1) : 0,
+      }));
+
+    const change = (field) => {
+      if (current[field] === null || previous[field] === null) return null;
+      return {
+        absolute: round(current[field] - previous[field], 4),
+        percent:
+          previous[field] > 0
+            ? round(((current[field] - previous[field]) / previous[field]) * 100, 1)
+            : null,
+      };
+    };
+
+    const lastDay = (end) => {
+      const d = new Date(end);
+      d.setUTCDate(d.getUTCDate() - 1);
+      return d;
+    };
+
+    res.json({
+      period,
+      current: {
+        start: current_start,
+        end: lastDay(current_end),
+        ...current,
+        topIngredients,
+      },
+      previous: {
+        start: previous_start,
+        end: lastDay(current_start),
+        ...previous,
+      },
+      change: {
+        kgCo2e: change("kgCo2e"),
+        kgPurchased: change("kgPurchased"),
+        spendCad: change("spendCad"),
+        kgCo2ePerCad: change("kgCo2ePerCad"),
+      },
+    });
+  } catch (err) {
+    console.error("Error in GET /api/reports/procurement:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/ingredient-purchases
+// Body: { ingredientId, quantity, unit, totalCostCad, purchaseDate }
+//   (legacy: quantityGrams instead of quantity + unit)
+app.post("/api/ingredient-purchases", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { ingredientId, quantity, quantityGrams, totalCostCad, purchaseDate } =
+      req.body;
+
+    if (!ingredientId || !(quantity || quantityGrams) || !purchaseDate) {
+      return res.status(400).json({
+        error: "Missing required fields (ingredientId, quantity, purchaseDate)",
+      });
+    }
+
+    let cost = null;
+    if (totalCostCad !== undefined && totalCostCad !== null && totalCostCad !== "") {
+      const parsedCost = Number(totalCostCad);
+      if (!Number.isFinite(parsedCost) || parsedCost < 0) {
+        return res.status(400).json({ error: "Invalid totalCostCad value" });
+      }
+      cost = parsedCost;
+    }
+
+    // optional: ensure ingredient exists
+    const ingredient = await getAccessibleIngredient(userId, ingredientId);
+    if (!ingredient) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (!ingredient.is_active) {
+      return res.status(409).json({ error: archivedIngredientError(ingredient) });
+    }
+
+    const qty = resolveBodyQuantity(req.body, ingredient);
+    if (qty.error) {
+      return res.status(400).json({ error: qty.error });
+    }
+
+    const insertResult = await pool.query(
+      `INSERT INTO ingredient_purchases
+         (user_id, ingredient_id, purchase_date, quantity, unit, quantity_grams, total_cost_cad)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, user_id, ingredient_id, purchase_date,
+                 quantity, unit, quantity_grams, total_cost_cad, created_at`,
+      [userId, ingredient.id, purchaseDate, qty.quantity, qty.unit, qty.grams, cost]
+    );
+
+    res.status(201).json({ purchase: insertResult.rows[0] });
+  } catch (err) {
+    console.error("Error in POST /api/ingredient-purchases:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /api/ingredient-purchases/:id
+// Body: { ingredientId, quantity, unit, totalCostCad, purchaseDate }
+//   (legacy: quantityGrams instead of quantity + unit)
+app.put("/api/ingredient-purchases/:id", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+    const { ingredientId, totalCostCad, purchaseDate } = req.body;
+
+    let cost = null;
+    if (totalCostCad !== undefined && totalCostCad !== null && totalCostCad !== "") {
+      const parsedCost = Number(totalCostCad);
+      if (!Number.isFinite(parsedCost) || parsedCost < 0) {
+        return res.status(400).json({ error: "Invalid totalCostCad value" });
+      }
+      cost = parsedCost;
+    }
+
+    const ingredient = await getAccessibleIngredient(userId, ingredientId);
+    if (!ingredient) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (!ingredient.is_active) {
+      // fine for a purchase that already was of it, not for a new one
+      const { rows } = await pool.query(
+        "SELECT ingredient_id FROM ingredient_purchases WHERE id = $1 AND user_id = $2",
+        [Number(id) || 0, userId]
+      );
+      if (rows.length > 0 && rows[0].ingredient_id !== ingredient.id) {
+        return res.status(409).json({ error: archivedIngredientError(ingredient) });
+      }
+    }
+
+    const qty = resolveBodyQuantity(req.body, ingredient);
+    if (qty.error) {
+      return res.status(400).json({ error: qty.error });
+    }
+
+    // Only update rows owned by this user
+    const updateResult = await pool.query(
+      `UPDATE ingredient_purchases
+         SET ingredient_id = $1,
+             purchase_date = $2,
+             quantity = $3,
+             unit = $4,
+             quantity_grams = $5,
+             total_cost_cad = $6
+       WHERE id = $7 AND user_id = $8
+       RETURNING id, user_id, ingredient_id, purchase_date,
+                 quantity, unit, quantity_grams, total_cost_cad, created_at`,
+      [ingredient.id, purchaseDate, qty.quantity, qty.unit, qty.grams, cost, id, userId]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Purchase not found or does not belong to user" });
+    }
+
+    res.json({ purchase: updateResult.rows[0] });
+  } catch (err) {
+    console.error("Error in PUT /api/ingredient-purchases/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /api/ingredient-purchases/:id
+app.delete("/api/ingredient-purchases/:id", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+
+    const deleteResult = await pool.query(
+      `DELETE FROM ingredient_purchases
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [id, userId]
+    );
+
+    if (deleteResult.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Purchase not found or does not belong to user" });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error in DELETE /api/ingredient-purchases/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// GET /api/ingredient-waste
+app.get("/api/ingredient-waste", async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const result = await pool.query(
+      `SELECT
+         id,
+         user_id,
+         ingredient_id,
+         purchase_id,
+         waste_date,
+         quantity,
+         unit,
+         quantity_grams,
+         waste_stage,
+         created_at
+       FROM ingredient_waste_events
+       WHERE user_id = $1
+       ORDER BY waste_date DESC, id DESC`,
+      [userId]
+    );
+
+    res.json({ wasteEvents: result.rows });
+  } catch (err) {
+    console.error("Error in GET /api/ingredient-waste:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// waste summary groupBy → [group key, label aggregate]
+const WASTE_GROUPS = {
+  ingredient: ["w.ingredient_id::text", "MAX(w.name)"],
+  stage: ["w.waste_stage", "MIN(w.waste_stage)"],
+  week: [
+    "TO_CHAR(DATE_TRUNC('week', w.waste_date), 'YYYY-MM-DD')",
+    "MIN(TO_CHAR(w.waste_date, 'IYYY-\"W\"IW'))",
+  ],
+  month: [
+    "TO_CHAR(DATE_TRUNC('month', w.waste_date), 'YYYY-MM-DD')",
+    "MIN(TO_CHAR(w.waste_date, 'YYYY-MM'))",
+  ],
+};
+
+/**
+ * WASTE SUMMARY
+ * GET /api/ingredient-waste/summary?groupBy=ingredient|stage|week|month
+ *     &from=YYYY-MM-DD&to=YYYY-MM-DD&ingredientId=&stage=
+ * - kg wasted, kg CO2e (effective emission factor) and lost cost in CAD
+ * - cost uses the linked purchase's unit cost, else the ingredient's
+ *   average purchase cost; waste with neither is counted as uncosted
+ */
+app.get("/api/ingredient-waste/summary", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const groupBy = req.query.groupBy || "ingredient";
+    const group = WASTE_GROUPS[groupBy];
+    if (!group) {
+      return res.status(400).json({
+        error: `groupBy must be one of: ${Object.keys(WASTE_GROUPS).join(", ")}`,
+      });
+    }
+
+    const { from = null, to = null, stage = null } = req.query;
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+    const ingredientId = req.query.ingredientId ? Number(req.query.ingredientId) : null;
+    if (ingredientId !== null && !Number.isInteger(ingredientId)) {
+      return res.status(400).json({ error: "ingredientId must be an integer" });
+    }
+
+    const [keyExpr, labelExpr] = group;
+
+    const { rows } = await pool.query(
+      `
+      WITH average_cost AS (
+        SELECT ingredient_id,
+               SUM(total_cost_cad) / NULLIF(SUM(quantity_grams), 0) AS cad_per_gram
+        FROM ingredient_purchases
+        WHERE user_id = $1 AND total_cost_cad IS NOT NULL
+        GROUP BY ingredient_id
+      ),
+      events AS (
+        SELECT
+          w.*,
+          i.name,
+          ${EFFECTIVE_FACTOR} AS emissions_kg_co2e_per_kg,
+          CASE
+            WHEN p.total_cost_cad IS NOT NULL THEN p.total_cost_cad / p.quantity_grams
+            ELSE ac.cad_per_gram
+          END AS cad_per_gram,
+          (p.total_cost_cad IS NOT NULL) AS costed_from_purchase
+        FROM ingredient_waste_events w
+        JOIN ingredients i ON i.id = w.ingredient_id
+        ${ingredientFactorJoins("w.user_id")}
+        LEFT JOIN ingredient_purchases p
+          ON p.id = w.purchase_id AND p.user_id = w.user_id
+        LEFT JOIN average_cost ac ON ac.ingredient_id = w.ingredient_id
+        WHERE w.user_id = $1
+          AND ($2::date IS NULL OR w.waste_date >= $2::date)
+          AND ($3::date IS NULL OR w.waste_date <= $3::date)
+          AND ($4::int IS NULL OR w.ingredient_id = $4::int)
+          AND ($5::text IS NULL OR w.waste_stage = $5::text)
+      )
+      SELECT
+        ${keyExpr} AS key,
+        ${labelExpr} AS label,
+        COUNT(*)::int AS events,
+        ROUND(SUM(quantity_grams) / 1000, 3) AS kg_wasted,
+        ROUND(SUM(quantity_grams / 1000 * COALESCE(emissions_kg_co2e_per_kg, 0)), 3)
+          AS kg_co2e,
+        ROUND(SUM(quantity_grams * cad_per_gram), 2) AS cost_cad,
+        COUNT(*) FILTER (WHERE costed_from_purchase)::int AS costed_from_purchase,
+        COUNT(*) FILTER (WHERE NOT costed_from_purchase AND cad_per_gram IS NOT NULL)::int
+          AS costed_from_average,
+        COUNT(*) FILTER (WHERE cad_per_gram IS NULL)::int AS uncosted
+      FROM events w
+      GROUP BY 1
+      ORDER BY ${groupBy === "week" || groupBy === "month" ? "1 ASC" : "kg_co2e DESC, 1 ASC"}
+      `,
+      [userId, from, to, ingredientId, stage]
+    );
+
+    const groups = rows.map((r) => ({
+      key: groupBy === "ingredient" ? Number(r.key) : r.key,
+      label: r.label,
+      events: r.events,
+      kgWasted: Number(r.kg_wasted),
+      kgCo2e: Number(r.kg_co2e),
+      costCad: r.cost_cad === null ? null : Number(r.cost_cad),
+      costBasis: {
+        purchase: r.costed_from_purchase,
+        average: r.costed_from_average,
+        uncosted: r.uncosted,
+      },
+    }));
+
+    const sum = (field) =>
+      Math.round(groups.reduce((acc, g) => acc + (g[field] || 0), 0) * 1000) / 1000;
+
+    res.json({
+      groupBy,
+      from,
+      to,
+      totals: {
+        events: groups.reduce((acc, g) => acc + g.events, 0),
+        kgWasted: sum("kgWasted"),
+        kgCo2e: sum("kgCo2e"),
+        costCad: Math.round(sum("costCad") * 100) / 100,
+        uncostedEvents: groups.reduce((acc, g) => acc + g.costBasis.uncosted, 0),
+      },
+      groups,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/ingredient-waste/summary:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// Helper: check a waste event's purchaseId – a lot of the user's, of the
+// wasted ingredient. Returns { purchaseId } or { status, error }.
+async function resolveWastePurchase(userId, purchaseId, ingredientId) {
+  const pId = Number(purchaseId);
+  if (!Number.isFinite(pId) || pId <= 0) {
+    return { status: 400, error: "Invalid purchaseId value" };
+  }
+
+  const { rows } = await pool.query(
+    "SELECT id, ingredient_id FROM ingredient_purchases WHERE id = $1 AND user_id = $2",
+    [pId, userId]
+  );
+  if (rows.length === 0) {
+    return { status: 404, error: "Purchase not found or does not belong to user" };
+  }
+  if (rows[0].ingredient_id !== ingredientId) {
+    return { status: 400, error: "The purchase is of another ingredient" };
+  }
+
+  return { purchaseId: pId };
+}
+
+// Helper: id of the ingredient's oldest lot still in stock on the date, or null
+async function findWasteLot(userId, ingredientId, wasteDate) {
+  const inventory = await loadInventory(userId, { ingredientId, asOf: wasteDate });
+  return oldestOpenLot(inventory, ingredientId, wasteDate)?.id ?? null;
+}
+
+// POST /api/ingredient-waste
+// Body: { ingredientId, purchaseId?, quantity, unit, wasteDate, wasteStage?, autoAttach? }
+//   (legacy: quantityGrams instead of quantity + unit)
+// Without purchaseId the event is attached to the oldest open lot, unless
+// autoAttach is false.
+app.post("/api/ingredient-waste", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const {
+      ingredientId,
+      purchaseId,
+      quantity,
+      quantityGrams,
+      wasteDate,
+      wasteStage,           // <-- NEW: optional in body
+    } = req.body ?? {};
+
+    if (!ingredientId || !(quantity || quantityGrams) || !wasteDate) {
+      return res.status(400).json({
+        error:
+          "Missing required fields (ingredientId, quantity, wasteDate)",
+      });
+    }
+
+    // simple default for now; later we can expose this in the UI
+    const stage =
+      typeof wasteStage === "string" && wasteStage.trim().length > 0
+        ? wasteStage.trim()
+        : "other";
+
+    const ingredient = await getAccessibleIngredient(userId, ingredientId);
+    if (!ingredient) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (!ingredient.is_active) {
+      return res.status(409).json({ error: archivedIngredientError(ingredient) });
+    }
+
+    const qty = resolveBodyQuantity(req.body, ingredient);
+    if (qty.error) {
+      return res.status(400).json({ error: qty.error });
+    }
+
+    // Optional: ensure purchase is one of the user's lots of this ingredient
+    let purchaseIdValue = null;
+    if (purchaseId !== undefined && purchaseId !== null && purchaseId !== "") {
+      const purchase = await resolveWastePurchase(userId, purchaseId, ingredient.id);
+      if (purchase.error) {
+        return res.status(purchase.status).json({ error: purchase.error });
+      }
+      purchaseIdValue = purchase.purchaseId;
+    }
+
+    // No lot given: charge the waste to the oldest lot still in stock
+    let autoAttached = false;
+    if (purchaseIdValue === null && req.body.autoAttach !== false) {
+      purchaseIdValue = await findWasteLot(userId, ingredient.id, wasteDate);
+      autoAttached = purchaseIdValue !== null;
+    }
+
+    const insertResult = await pool.query(
+      `INSERT INTO ingredient_waste_events
+         (user_id, ingredient_id, purchase_id, waste_date,
+          quantity, unit, quantity_grams, waste_stage)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, user_id, ingredient_id, purchase_id, waste_date,
+                 quantity, unit, quantity_grams, waste_stage, created_at`,
+      [
+        userId,
+        ingredient.id,
+        purchaseIdValue,
+        wasteDate,
+        qty.quantity,
+        qty.unit,
+        qty.grams,
+        stage,
+      ]
+    );
+
+    res.status(201).json({ wasteEvent: insertResult.rows[0], autoAttached });
+  } catch (err) {
+    console.error("Error in POST /api/ingredient-waste:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// PUT /api/ingredient-waste/:id
+// Body: { ingredientId, purchaseId?, quantity, unit, wasteDate, autoAttach? }
+//   (legacy: quantityGrams instead of quantity + unit)
+// Without purchaseId the event keeps its lot; if the ingredient changed it
+// is attached to the new ingredient's oldest open lot, unless autoAttach is
+// false. purchaseId null detaches it.
+app.put("/api/ingredient-waste/:id", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+    const { ingredientId, purchaseId, wasteDate } = req.body ?? {};
+
+    const { rows: current } = await pool.query(
+      `SELECT ingredient_id, purchase_id FROM ingredient_waste_events
+       WHERE id = $1 AND user_id = $2`,
+      [Number(id) || 0, userId]
+    );
+    if (current.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Waste event not found or does not belong to user" });
+    }
+
+    const ingredient = await getAccessibleIngredient(userId, ingredientId);
+    if (!ingredient) {
+      return res.status(404).json({ error: "Ingredient not found" });
+    }
+    if (!ingredient.is_active && current[0].ingredient_id !== ingredient.id) {
+      return res.status(409).json({ error: archivedIngredientError(ingredient) });
+    }
+
+    const qty = resolveBodyQuantity(req.body, ingredient);
+    if (qty.error) {
+      return res.status(400).json({ error: qty.error });
+    }
+
+    let purchaseIdValue = null;
+    if (purchaseId === undefined) {
+      if (current[0].ingredient_id === ingredient.id) {
+        purchaseIdValue = current[0].purchase_id;
+      } else if (req.body.autoAttach !== false) {
+        purchaseIdValue = await findWasteLot(userId, ingredient.id, wasteDate);
+      }
+    } else if (purchaseId !== null && purchaseId !== "") {
+      const purchase = await resolveWastePurchase(userId, purchaseId, ingredient.id);
+      if (purchase.error) {
+        return res.status(purchase.status).json({ error: purchase.error });
+      }
+      purchaseIdValue = purchase.purchaseId;
+    }
+
+    const updateResult = await pool.query(
+      `UPDATE ingredient_waste_events
+         SET ingredient_id = $1,
+             purchase_id   = $2,
+             waste_date    = $3,
+             quantity      = $4,
+             unit          = $5,
+             quantity_grams = $6
+       WHERE id = $7 AND user_id = $8
+       RETURNING id, user_id, ingredient_id, purchase_id, waste_date,
+                 quantity, unit, quantity_grams, waste_stage, created_at`,
+      [
+        ingredient.id,
+        purchaseIdValue,
+        wasteDate,
+        qty.quantity,
+        qty.unit,
+        qty.grams,
+        id,
+        userId,
+      ]
+    );
+
+    if (updateResult.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Waste event not found or does not belong to user" });
+    }
+
+    res.json({ wasteEvent: updateResult.rows[0] });
+  } catch (err) {
+    console.error("Error in PUT /api/ingredient-waste/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+// DELETE /api/ingredient-waste/:id
+app.delete("/api/ingredient-waste/:id", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const { id } = req.params;
+
+    const deleteResult = await pool.query(
+      `DELETE FROM ingredient_waste_events
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [id, userId]
+    );
+
+    if (deleteResult.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ error: "Waste event not found or does not belong to user" });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error in DELETE /api/ingredient-waste/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * SALES
+ * Daily quantity sold per menu item. One row per item per day: recording
+ * the same item and day again replaces the quantity, so re-importing a POS
+ * export doesn't double count.
+ */
+
+// GET /api/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&menuItemId=
+app.get("/api/sales", async (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && !isIsoDate(value)) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+    const menuItemId = req.query.menuItemId ? Number(req.query.menuItemId) : null;
+    if (menuItemId !== null && !Number.isInteger(menuItemId)) {
+      return res.status(400).json({ error: "menuItemId must be an integer" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT s.id, s.menu_item_id, mi.name AS menu_item_name, mi.menu_id,
+              s.sale_date, s.quantity, s.source, s.created_at, s.updated_at
+       FROM menu_item_sales s
+       JOIN menu_items mi ON mi.id = s.menu_item_id
+       WHERE s.user_id = $1
+         AND ($2::date IS NULL OR s.sale_date >= $2::date)
+         AND ($3::date IS NULL OR s.sale_date <= $3::date)
+         AND ($4::int IS NULL OR s.menu_item_id = $4::int)
+       ORDER BY s.sale_date DESC, mi.name ASC`,
+      [req.userId, from, to, menuItemId]
+    );
+
+    res.json({ sales: rows });
+  } catch (err) {
+    console.error("Error in GET /api/sales:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// POST /api/sales
+// Body: { saleDate, entries: [{ menuItemId, quantity }] }
+//   or  { saleDate, menuItemId, quantity } for a single item
+app.post("/api/sales", async (req, res) => {
+  const userId = req.userId;
+  const body = req.body ?? {};
+  const { saleDate } = body;
+  const entries = Array.isArray(body.entries)
+    ? body.entries
+    : [{ menuItemId: body.menuItemId, quantity: body.quantity }];
+
+  if (!isIsoDate(saleDate)) {
+    return res.status(400).json({ error: "saleDate must be a date (YYYY-MM-DD)" });
+  }
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "entries must not be empty" });
+  }
+
+  for (const [index, entry] of entries.entries()) {
+    const quantity = Number(entry?.quantity);
+    if (!Number.isInteger(Number(entry?.menuItemId))) {
+      return res.status(400).json({ error: `entries[${index}].menuItemId is required` });
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      return res.status(400).json({ error: `entries[${index}].quantity must be > 0` });
+    }
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query("BEGIN");
+
+    const itemIds = entries.map((e) => Number(e.menuItemId));
+    const owned = await client.query(
+      `SELECT mi.id FROM menu_items mi
+       JOIN menus m ON m.id = mi.menu_id
+       WHERE mi.id = ANY($1::int[]) AND m.user_id = $2`,
+      [itemIds, userId]
+    );
+    const ownedIds = new Set(owned.rows.map((r) => r.id));
+    const missing = itemIds.find((id) => !ownedIds.has(id));
+    if (missing !== undefined) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: `Menu item ${missing} not found` });
+    }
+
+    const saved = [];
+    for (const entry of entries) {
+      const { rows } = await client.query(
+        `INSERT INTO menu_item_sales (user_id, menu_item_id, sale_date, quantity, source)
+         VALUES ($1, $2, $3, $4, 'manual')
+         ON CONFLICT (menu_item_id, sale_date)
+         DO UPDATE SET quantity = EXCLUDED.quantity,
+                       source = EXCLUDED.source,
+                       updated_at = NOW()
+         RETURNING id, menu_item_id, sale_date, quantity, source, created_at, updated_at`,
+        [userId, Number(entry.menuItemId), saleDate, Number(entry.quantity)]
+      );
+      saved.push(rows[0]);
+    }
+
+    await client.query("COMMIT");
+    res.status(201).json({ sales: saved });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/sales:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+/**
+ * SALES EMISSIONS
+ * GET /api/sales/emissions?from=&to=&groupBy=item|day|month
+ * - dish-driven emissions: quantity sold × the dish's current per-plate
+ *   estimate (menu_items.estimated_emissions_kg_co2e)
+ * - emissionsStale marks groups with a dish whose stored estimate awaits
+ *   recalculation (see migration 0011)
+ */
+app.get("/api/sales/emissions", async (req, res) => {
+  try {
+    const { from = null, to = null } = req.query;
+    for (const [name, value] of [["from", from], ["to", to]]) {
+      if (value && !isIsoDate(value)) {
+        return res.status(400).json({ error: `${name} must be a date (YYYY-MM-DD)` });
+      }
+    }
+
+    const groupBy = req.query.groupBy || "item";
+    const groups = {
+      item: ["s.menu_item_id::text", "MIN(mi.name)"],
+      day: ["TO_CHAR(s.sale_date, 'YYYY-MM-DD')", "TO_CHAR(s.sale_date, 'YYYY-MM-DD')"],
+      month: ["TO_CHAR(s.sale_date, 'YYYY-MM')", "TO_CHAR(s.sale_date, 'YYYY-MM')"],
+    };
+    if (!groups[groupBy]) {
+      return res.status(400).json({ error: "groupBy must be item, day or month" });
+    }
+    const [keyExpr, labelExpr] = groups[groupBy];
+
+    const { rows } = await pool.query(
+      `SELECT ${keyExpr} AS key,
+              ${labelExpr} AS label,
+              SUM(s.quantity) AS quantity_sold,
+              ROUND(SUM(s.quantity * mi.estimated_emissions_kg_co2e), 3) AS kg_co2e,
+              BOOL_OR(mi.emissions_stale_since IS NOT NULL) AS emissions_stale
+       FROM menu_item_sales s
+       JOIN menu_items mi ON mi.id = s.menu_item_id
+       WHERE s.user_id = $1
+         AND ($2::date IS NULL OR s.sale_date >= $2::date)
+         AND ($3::date IS NULL OR s.sale_date <= $3::date)
+       GROUP BY 1${groupBy === "item" ? "" : ", 2"}
+       ORDER BY ${groupBy === "item" ? "kg_co2e DESC, 2 ASC" : "1 ASC"}`,
+      [req.userId, from, to]
+    );
+
+    const result = rows.map((r) => ({
+      key: groupBy === "item" ? Number(r.key) : r.key,
+      label: r.label,
+      quantitySold: Number(r.quantity_sold),
+      kgCo2e: Number(r.kg_co2e),
+      emissionsStale: r.emissions_stale,
+    }));
+
+    const totalQuantity = result.reduce((acc, r) => acc + r.quantitySold, 0);
+    const totalKg = result.reduce((acc, r) => acc + r.kgCo2e, 0);
+
+    res.json({
+      groupBy,
+      from,
+      to,
+      totals: {
+        quantitySold: totalQuantity,
+        kgCo2e: Math.round(totalKg * 1000) / 1000,
+        kgCo2ePerItemSold:
+          totalQuantity > 0 ? Math.round((totalKg / totalQuantity) * 10000) / 10000 : null,
+        emissionsStale: result.some((r) => r.emissionsStale),
+      },
+      groups: result,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/sales/emissions:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/sales/pos-mappings
+app.get("/api/sales/pos-mappings", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT pm.pos_name, pm.menu_item_id, mi.name AS menu_item_name,
+              pm.created_at, pm.updated_at
+       FROM pos_item_mappings pm
+       JOIN menu_items mi ON mi.id = pm.menu_item_id
+       WHERE pm.user_id = $1
+       ORDER BY pm.pos_name ASC`,
+      [req.userId]
+    );
+    res.json({ mappings: rows });
+  } catch (err) {
+    console.error("Error in GET /api/sales/pos-mappings:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Helper: insert or repoint a POS name mapping
+async function savePosMapping(userId, posName, menuItemId, db = pool) {
+  await db.query(
+    `INSERT INTO pos_item_mappings (user_id, pos_name_key, pos_name, menu_item_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, pos_name_key)
+     DO UPDATE SET pos_name = EXCLUDED.pos_name,
+                   menu_item_id = EXCLUDED.menu_item_id,
+                   updated_at = NOW()`,
+    [userId, normalizeItemName(posName), posName, menuItemId]
+  );
+}
+
+// PUT /api/sales/pos-mappings
+// Body: { posName, menuItemId }
+app.put("/api/sales/pos-mappings", async (req, res) => {
+  try {
+    const { posName, menuItemId } = req.body;
+    if (typeof posName !== "string" || !normalizeItemName(posName)) {
+      return res.status(400).json({ error: "posName is required" });
+    }
+    if (!Number.isInteger(Number(menuItemId))) {
+      return res.status(400).json({ error: "menuItemId is required" });
+    }
+
+    const item = await getOwnedMenuItem(req.userId, Number(menuItemId));
+    if (!item) {
+      return res.status(404).json({ error: "Menu item not found" });
+    }
+
+    await savePosMapping(req.userId, posName.trim(), item.id);
+    res.json({ mapping: { posName: posName.trim(), menuItemId: item.id } });
+  } catch (err) {
+    console.error("Error in PUT /api/sales/pos-mappings:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// DELETE /api/sales/pos-mappings
+// Body: { posName }
+app.delete("/api/sales/pos-mappings", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `DELETE FROM pos_item_mappings
+       WHERE user_id = $1 AND pos_name_key = $2
+       RETURNING pos_name`,
+      [req.userId, normalizeItemName(req.body?.posName)]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Mapping not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error in DELETE /api/sales/pos-mappings:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POS IMPORT
+ * POST /api/sales/import-pos (multipart: file, saleDate?, dateColumn?,
+ *   itemColumn?, quantityColumn?, mappings?, dryRun?)
+ * - POS names resolve through saved mappings first, then by exact
+ *   (normalized) menu item name; both are remembered on import
+ * - mappings: JSON object { "POS name": menuItemId } to map names the
+ *   previous attempt reported as unmatched
+ * - quantities are summed per item and day (refund rows net out) and
+ *   replace what was recorded for that day; a day that nets out to zero
+ *   or less clears it
+ * - unmatched names are reported and their rows skipped; names without a
+ *   letter or digit are never matched by name
+ */
+app.post("/api/sales/import-pos", upload.single("file"), async (req, res) => {
+  const userId = req.userId;
+  const dryRun = req.body?.dryRun === "true" || req.body?.dryRun === true;
+  let client;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "No CSV file uploaded" });
+    }
+
+    let explicitMappings = {};
+    if (req.body.mappings) {
+      try {
+        explicitMappings = JSON.parse(req.body.mappings);
+      } catch {
+        return res.status(400).json({ error: "mappings must be a JSON object" });
+      }
+      if (!explicitMappings || typeof explicitMappings !== "object" || Array.isArray(explicitMappings)) {
+        return res.status(400).json({ error: "mappings must be a JSON object" });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = readPosSalesCsv(req.file.buffer, {
+        saleDate: req.body.saleDate,
+        dateColumn: req.body.dateColumn,
+        itemColumn: req.body.itemColumn,
+        quantityColumn: req.body.quantityColumn,
+      });
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read file: ${err.message}` });
+    }
+
+    // every active item on the user's active menus, by normalized name
+    const itemsResult = await pool.query(
+      `SELECT mi.id, mi.name
+       FROM menu_items mi
+       JOIN menus m ON m.id = mi.menu_id
+       WHERE m.user_id = $1 AND mi.is_active = TRUE AND m.is_active = TRUE
+       ORDER BY mi.id ASC`,
+      [userId]
+    );
+    const itemsById = new Map(itemsResult.rows.map((r) => [r.id, r]));
+    const itemsByName = new Map();
+    for (const item of itemsResult.rows) {
+      const key = normalizeItemName(item.name);
+      if (key && !itemsByName.has(key)) itemsByName.set(key, item);
+    }
+
+    // mappings to archived items or menus don't count
+    const mappingResult = await pool.query(
+      `SELECT pm.pos_name_key, pm.menu_item_id
+       FROM pos_item_mappings pm
+       JOIN menu_items mi ON mi.id = pm.menu_item_id
+       JOIN menus m ON m.id = mi.menu_id
+       WHERE pm.user_id = $1 AND mi.is_active = TRUE AND m.is_active = TRUE`,
+      [userId]
+    );
+    const savedMappings = new Map(
+      mappingResult.rows.map((r) => [r.pos_name_key, r.menu_item_id])
+    );
+
+    const explicitByKey = new Map();
+    for (const [posName, menuItemId] of Object.entries(explicitMappings)) {
+      const item = itemsById.get(Number(menuItemId));
+      if (!item) {
+        return res.status(400).json({
+          error: `Mapping for "${posName}": menu item ${menuItemId} not found`,
+        });
+      }
+      explicitByKey.set(normalizeItemName(posName), item.id);
+    }
+
+    // resolve each distinct POS name once
+    const resolved = new Map(); // key → { posName, menuItemId, via }
+    const unmatched = new Map(); // key → { posName, quantity, lines }
+    for (const row of parsed.rows) {
+      const key = normalizeItemName(row.posName);
+      if (key && resolved.has(key)) continue;
+
+      let menuItemId = null;
+      let via = null;
+      if (!key) {
+        // nothing to compare – each such name stays unmatched on its own
+      } else if (explicitByKey.has(key)) {
+        [menuItemId, via] = [explicitByKey.get(key), "request"];
+      } else if (savedMappings.has(key)) {
+        [menuItemId, via] = [savedMappings.get(key), "saved"];
+      } else if (itemsByName.has(key)) {
+        [menuItemId, via] = [itemsByName.get(key).id, "name"];
+      }
+
+      if (menuItemId !== null) {
+        resolved.set(key, { posName: row.posName, menuItemId, via });
+      } else {
+        const unmatchedKey = key || `#${row.posName}`;
+        if (!unmatched.has(unmatchedKey)) {
+          unmatched.set(unmatchedKey, { posName: row.posName, quantity: 0, lines: [] });
+        }
+        const entry = unmatched.get(unmatchedKey);
+        entry.quantity += row.quantity;
+        entry.lines.push(row.line);
+      }
+    }
+
+    // sum per item and day
+    const totals = new Map();
+    for (const row of parsed.rows) {
+      const key = normalizeItemName(row.posName);
+      const match = key ? resolved.get(key) : null;
+      if (!match) continue;
+      const totalKey = `${match.menuItemId}|${row.saleDate}`;
+      const entry = totals.get(totalKey) || {
+        menuItemId: match.menuItemId,
+        saleDate: row.saleDate,
+        quantity: 0,
+      };
+      entry.quantity += row.quantity;
+      totals.set(totalKey, entry);
+    }
+
+    // item-days that net out to nothing replace an earlier import by nothing
+    const itemDays = [...totals.values()].map((t) => ({
+      ...t,
+      quantity: Math.round(t.quantity * 100) / 100,
+    }));
+    const toSave = itemDays.filter((t) => t.quantity > 0);
+    const toClear = itemDays.filter((t) => t.quantity <= 0);
+
+    if (!dryRun) {
+      client = await pool.connect();
+      await client.query("BEGIN");
+
+      for (const t of toSave) {
+        await client.query(
+          `INSERT INTO menu_item_sales (user_id, menu_item_id, sale_date, quantity, source)
+           VALUES ($1, $2, $3, $4, 'pos')
+           ON CONFLICT (menu_item_id, sale_date)
+           DO UPDATE SET quantity = EXCLUDED.quantity,
+                         source = EXCLUDED.source,
+                         updated_at = NOW()`,
+          [userId, t.menuItemId, t.saleDate, t.quantity]
+        );
+      }
+
+      if (toClear.length > 0) {
+        await client.query(
+          `DELETE FROM menu_item_sales s
+           USING UNNEST($2::int[], $3::date[]) AS t(menu_item_id, sale_date)
+           WHERE s.user_id = $1
+             AND s.menu_item_id = t.menu_item_id
+             AND s.sale_date = t.sale_date`,
+          [userId, toClear.map((t) => t.menuItemId), toClear.map((t) => t.saleDate)]
+        );
+      }
+
+      for (const match of resolved.values()) {
+        if (match.via !== "saved") {
+          await savePosMapping(userId, match.posName, match.menuItemId, client);
+        }
+      }
+
+      await client.query("COMMIT");
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      summary: {
+        rows: parsed.rows.length + parsed.errors.length,
+        itemDaysSaved: toSave.length,
+        itemDaysCleared: toClear.length,
+        unmatchedNames: unmatched.size,
+        errors: parsed.errors.length,
+      },
+      matched: [...resolved.values()].map((m) => ({
+        posName: m.posName,
+        menuItemId: m.menuItemId,
+        menuItemName: itemsById.get(m.menuItemId)?.name ?? null,
+        via: m.via,
+      })),
+      unmatched: [...unmatched.values()],
+      errors: parsed.errors,
+    });
+  } catch (err) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Error in POST /api/sales/import-pos:", err);
+    res.status(500).json({ error: "Internal server error" });
+  } finally {
+    if (client) client.release();
+  }
+});
+
+// DELETE /api/sales/:id
+app.delete("/api/sales/:id", async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "DELETE FROM menu_item_sales WHERE id = $1 AND user_id = $2 RETURNING id",
+      [Number(req.params.id) || 0, req.userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Sale not found" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error in DELETE /api/sales/:id:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * INVENTORY
+ * On-hand stock is derived from purchases (lots) minus waste and recipe
+ * usage (sales × recipe quantities), FIFO – see inventory.js. Nothing is
+ * stored, so edits to past purchases, waste, sales or recipes are reflected
+ * immediately.
+ */
+
+// Helper: theoretical ingredient usage – every dish sold between from and
+// to (default: up to today) times its recipe. Recipe lines that can't be
+// converted to grams are returned separately instead of being guessed.
+// ingredientId / ingredientIds limit it to those ingredients.
+async function loadRecipeUsage(
+  userId,
+  { ingredientId = null, ingredientIds = null, from = null, to = null } = {},
+  db = pool
+) {
+  const ids = ingredientIds ?? (ingredientId === null ? null : [Number(ingredientId)]);
+  const { rows } = await db.query(
+    `SELECT s.sale_date, s.menu_item_id, mi.name AS menu_item_name,
+            s.quantity AS quantity_sold,
+            mii.ingredient_id, i.name AS ingredient_name, mii.quantity, mii.unit,
+            COALESCE(o.density_g_per_ml, i.density_g_per_ml) AS density_g_per_ml,
+            COALESCE(o.piece_weight_g, i.piece_weight_g) AS piece_weight_g,
+            COALESCE(mii.yield_percent, o.yield_percent, i.yield_percent) AS yield_percent
+     FROM menu_item_sales s
+     JOIN menu_items mi ON mi.id = s.menu_item_id
+     JOIN menu_item_ingredients mii ON mii.menu_item_id = s.menu_item_id
+     JOIN ingredients i ON i.id = mii.ingredient_id
+     LEFT JOIN ingredient_emission_overrides o
+       ON o.ingredient_id = i.id AND o.user_id = s.user_id
+     WHERE s.user_id = $1
+       AND ($2::int[] IS NULL OR mii.ingredient_id = ANY($2::int[]))
+       AND ($3::date IS NULL OR s.sale_date >= $3::date)
+       AND s.sale_date <= COALESCE($4::date, CURRENT_DATE)`,
+    [userId, ids, from, to]
+  );
+
+  const usage = [];
+  const unconverted = [];
+  for (const row of rows) {
+    const conversion = toGrams(row.quantity, row.unit, {
+      name: row.ingredient_name,
+      density_g_per_ml: row.density_g_per_ml,
+      piece_weight_g: row.piece_weight_g,
+    });
+
+    const line = {
+      ingredientId: row.ingredient_id,
+      ingredientName: row.ingredient_name,
+      menuItemId: row.menu_item_id,
+      menuItemName: row.menu_item_name,
+      date: row.sale_date,
+      quantitySold: Number(row.quantity_sold),
+    };
+
+    if (conversion.error) {
+      unconverted.push({ ...line, error: conversion.error });
+    } else {
+      // stock is drawn as purchased, trim included
+      const grams = toAsPurchasedGrams(conversion.grams, row.yield_percent);
+      usage.push({ ...line, grams: grams * line.quantitySold });
+    }
+  }
+
+  // Prep recipes in the dishes sold, expanded to their raw ingredients
+  const { rows: componentRows } = await db.query(
+    `SELECT s.sale_date, s.menu_item_id, mi.name AS menu_item_name,
+            s.quantity AS quantity_sold,
+            mic.prep_recipe_id, pr.name AS prep_recipe_name, mic.quantity, mic.unit
+     FROM menu_item_sales s
+     JOIN menu_items mi ON mi.id = s.menu_item_id
+     JOIN menu_item_components mic ON mic.menu_item_id = s.menu_item_id
+     JOIN prep_recipes pr ON pr.id = mic.prep_recipe_id
+     WHERE s.user_id = $1
+       AND ($2::date IS NULL OR s.sale_date >= $2::date)
+       AND s.sale_date <= COALESCE($3::date, CURRENT_DATE)
+       -- for some ingredients: only prep recipes that (indirectly) contain them
+       AND ($4::int[] IS NULL OR mic.prep_recipe_id IN (
+         WITH RECURSIVE containing AS (
+           SELECT prep_recipe_id AS id
+           FROM prep_recipe_ingredients
+           WHERE ingredient_id = ANY($4::int[])
+           UNION
+           SELECT c.prep_recipe_id
+           FROM prep_recipe_components c
+           JOIN containing r ON r.id = c.component_id
+         )
+         SELECT id FROM containing
+       ))`,
+    [userId, from, to, ids]
+  );
+
+  if (componentRows.length > 0) {
+    const rollup = await loadPrepRollup(
+      userId,
+      [...new Set(componentRows.map((r) => r.prep_recipe_id))],
+      db
+    );
+    const wantedIds = ids === null ? null : new Set(ids);
+    const wanted = (id) => wantedIds === null || wantedIds.has(id);
+
+    for (const row of componentRows) {
+      const recipe = rollup.get(row.prep_recipe_id);
+      const sale = {
+        menuItemId: row.menu_item_id,
+        menuItemName: row.menu_item_name,
+        date: row.sale_date,
+        quantitySold: Number(row.quantity_sold),
+      };
+
+      for (const line of recipe.unresolved) {
+        if (!wanted(line.ingredientId ?? null)) continue;
+        unconverted.push({
+          ingredientId: line.ingredientId ?? null,
+          ingredientName: line.ingredientName ?? line.componentName,
+          ...sale,
+          error: `${line.prepRecipeName}: ${line.error}`,
+        });
+      }
+
+      const conversion = toGrams(row.quantity, row.unit, { name: row.prep_recipe_name });
+      if (conversion.error) {
+        if (ids === null) {
+          unconverted.push({
+            ingredientId: null,
+            ingredientName: row.prep_recipe_name,
+            ...sale,
+            error: conversion.error,
+          });
+        }
+        continue;
+      }
+
+      for (const [id, { ingredientName, gramsPerGram }] of recipe.ingredients) {
+        if (!wanted(id)) continue;
+        usage.push({
+          ingredientId: id,
+          ingredientName,
+          ...sale,
+          grams: gramsPerGram * conversion.grams * sale.quantitySold,
+        });
+      }
+    }
+  }
+
+  return { usage, unconverted };
+}
+
+// Helper: FIFO allocation of the user's lots up to asOf (default today),
+// of one (ingredientId), some (ingredientIds) or all ingredients
+async function loadInventory(
+  userId,
+  { ingredientId = null, ingredientIds = null, asOf = null } = {},
+  db = pool
+) {
+  const ids = ingredientIds ?? (ingredientId === null ? null : [Number(ingredientId)]);
+  const lotsResult = await db.query(
+    `SELECT p.id, p.ingredient_id, i.name AS ingredient_name, p.purchase_date,
+            p.quantity, p.unit, p.quantity_grams, p.total_cost_cad
+     FROM ingredient_purchases p
+     JOIN ingredients i ON i.id = p.ingredient_id
+     WHERE p.user_id = $1
+       AND ($2::int[] IS NULL OR p.ingredient_id = ANY($2::int[]))
+       AND p.purchase_date <= COALESCE($3::date, CURRENT_DATE)`,
+    [userId, ids, asOf]
+  );
+
+  const wasteResult = await db.query(
+    `SELECT w.ingredient_id, i.name AS ingredient_name, w.purchase_id,
+            w.waste_date, w.quantity_grams
+     FROM ingredient_waste_events w
+     JOIN ingredients i ON i.id = w.ingredient_id
+     WHERE w.user_id = $1
+       AND ($2::int[] IS NULL OR w.ingredient_id = ANY($2::int[]))
+       AND w.waste_date <= COALESCE($3::date, CURRENT_DATE)`,
+    [userId, ids, asOf]
+  );
+
+  const lots = lotsResult.rows.map((row) => ({
+    id: row.id,
+    ingredientId: row.ingredient_id,
+    ingredientName: row.ingredient_name,
+    date: row.purchase_date,
+    grams: Number(row.quantity_grams),
+    quantity: Number(row.quantity),
+    unit: row.unit,
+    totalCostCad: row.total_cost_cad === null ? null : Number(row.total_cost_cad),
+  }));
+
+  const { usage } = await loadRecipeUsage(userId, { ingredientIds: ids, to: asOf }, db);
+
+  const consumptions = wasteResult.rows.map((row) => ({
+    ingredientId: row.ingredient_id,
+    purchaseId: row.purchase_id,
+    date: row.waste_date,
+    grams: Number(row.quantity_grams),
+    source: "waste",
+  }));
+
+  for (const line of usage) {
+    consumptions.push({
+      ingredientId: line.ingredientId,
+      purchaseId: null,
+      date: line.date,
+      grams: line.grams,
+      source: "usage",
+    });
+  }
+
+  const ingredientNames = new Map(
+    [...lotsResult.rows, ...wasteResult.rows].map((r) => [r.ingredient_id, r.ingredient_name])
+  );
+  for (const line of usage) ingredientNames.set(line.ingredientId, line.ingredientName);
+
+  return { ...allocateFifo(lots, consumptions), ingredientNames };
+}
+
+const INVENTORY_AGING_DAYS = Number(process.env.INVENTORY_AGING_DAYS) || 7;
+
+function parseInventoryQuery(query) {
+  const asOf = query.asOf || null;
+  if (asOf && Number.isNaN(Date.parse(asOf))) {
+    return { error: "asOf must be a date (YYYY-MM-DD)" };
+  }
+
+  const agingAfterDays =
+    query.agingAfterDays === undefined ? INVENTORY_AGING_DAYS : Number(query.agingAfterDays);
+  if (!Number.isFinite(agingAfterDays) || agingAfterDays < 0) {
+    return { error: "agingAfterDays must be a number >= 0" };
+  }
+
+  const ingredientId = query.ingredientId ? Number(query.ingredientId) : null;
+  if (ingredientId !== null && !Number.isInteger(ingredientId)) {
+    return { error: "ingredientId must be an integer" };
+  }
+
+  return { asOf, agingAfterDays, ingredientId };
+}
+
+const gramsOut = (g) => Math.round(g * 1000) / 1000;
+
+function formatLot(lot, asOf, agingAfterDays) {
+  const ageDays = lotAgeDays(lot, asOf || new Date());
+  return {
+    purchaseId: lot.id,
+    ingredientId: lot.ingredientId,
+    ingredientName: lot.ingredientName,
+    purchaseDate: lot.date,
+    quantity: lot.quantity,
+    unit: lot.unit,
+    purchasedGrams: gramsOut(lot.grams),
+    consumedGrams: Object.fromEntries(
+      Object.entries(lot.consumed).map(([source, g]) => [source, gramsOut(g)])
+    ),
+    remainingGrams: gramsOut(lot.remainingGrams),
+    ageDays,
+    isAging: lot.remainingGrams > 0 && ageDays >= agingAfterDays,
+  };
+}
+
+/**
+ * GET /api/inventory?asOf=YYYY-MM-DD&agingAfterDays=7&ingredientId=
+ * - on-hand stock per ingredient, oldest open lot and aging lots
+ * - shortfallGrams: consumption no logged purchase could cover
+ */
+app.get("/api/inventory", async (req, res) => {
+  try {
+    const parsed = parseInventoryQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const { asOf, agingAfterDays, ingredientId } = parsed;
+
+    const { lots, shortfalls, ingredientNames } = await loadInventory(req.userId, {
+      ingredientId,
+      asOf,
+    });
+
+    const ingredients = new Map();
+    for (const [id, name] of ingredientNames) {
+      ingredients.set(id, {
+        ingredientId: id,
+        name,
+        onHandGrams: 0,
+        openLots: 0,
+        oldestOpenLotDate: null,
+        agingLots: 0,
+        shortfallGrams: gramsOut(shortfalls.get(id) || 0),
+      });
+    }
+
+    for (const lot of lots) {
+      if (lot.remainingGrams <= 0) continue;
+
+      const entry = ingredients.get(lot.ingredientId);
+      const formatted = formatLot(lot, asOf, agingAfterDays);
+      entry.onHandGrams += lot.remainingGrams;
+      entry.openLots += 1;
+      entry.oldestOpenLotDate = entry.oldestOpenLotDate || lot.date;
+      if (formatted.isAging) entry.agingLots += 1;
+    }
+
+    const agingLots = lots
+      .map((lot) => formatLot(lot, asOf, agingAfterDays))
+      .filter((lot) => lot.isAging)
+      .sort((a, b) => b.ageDays - a.ageDays);
+
+    res.json({
+      asOf: asOf || new Date().toISOString().slice(0, 10),
+      agingAfterDays,
+      ingredients: [...ingredients.values()]
+        .map((entry) => ({ ...entry, onHandGrams: gramsOut(entry.onHandGrams) }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      agingLots,
+    });
+  } catch (err) {
+    console.error("Error in GET /api/inventory:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// GET /api/inventory/lots?ingredientId=&includeClosed=true&asOf=&agingAfterDays=
+// Lots oldest first with what has been drawn from each
+app.get("/api/inventory/lots", async (req, res) => {
+  try {
+    const parsed = parseInventoryQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const { asOf, agingAfterDays, ingredientId } = parsed;
+    const includeClosed = req.query.includeClosed === "true";
+
+    const { lots } = await loadInventory(req.userId, { ingredientId, asOf });
+
+    res.json({
+      lots: lots
+        .filter((lot) => includeClosed || lot.remainingGrams > 0)
+        .map((lot) => formatLot(lot, asOf, agingAfterDays)),
+    });
+  } catch (err) {
+    console.error("Error in GET /api/inventory/lots:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * USAGE VARIANCE
+ * GET /api/reports/variance?from=YYYY-MM-DD&to=YYYY-MM-DD&thresholdPercent=10&ingredientId=
+ * Per ingredient over the period (default: this month to date):
+ *   unexplained = purchased − logged waste − theoretical usage (sales × recipes)
+ * - positive: bought but neither sold nor logged as waste (over-portioning,
+ *   unlogged waste, or stock still on the shelf)
+ * - negative: sold more than was bought (unlogged purchases, stock from
+ *   before the period, or portions smaller than the recipe)
+ * - valued in CAD (average purchase cost) and kg CO2e (effective factor)
+ * - isLarge when |unexplained| ≥ thresholdPercent of what was purchased
+ */
+app.get("/api/reports/variance", async (req, res) => {
+  try {
+    const userId = req.userId;
+    const today = new Date().toISOString().slice(0, 10);
+    const from = req.query.from || `${today.slice(0, 7)}-01`;
+    const to = req.query.to || today;
+    if (!isIsoDate(from) || !isIsoDate(to)) {
+      return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+    }
+    if (from > to) {
+      return res.status(400).json({ error: "from must not be after to" });
+    }
+
+    const thresholdPercent =
+      req.query.thresholdPercent === undefined ? 10 : Number(req.query.thresholdPercent);
+    if (!Number.isFinite(thresholdPercent) || thresholdPercent < 0) {
+      return res.status(400).json({ error: "thresholdPercent must be a number >= 0" });
+    }
+
+    const ingredientId = req.query.ingredientId ? Number(req.query.ingredientId) : null;
+    if (ingredientId !== null && !Number.isInteger(ingredientId)) {
+      return res.status(400).json({ error: "ingredientId must be an integer" });
+    }
+
+    // purchased and wasted grams in the period, with cost and factor data
+    const { rows } = await pool.query(
+      `
+      WITH purchased AS (
+        SELECT ingredient_id,
+               SUM(quantity_grams) AS grams,
+               SUM(total_cost_cad) / NULLIF(SUM(quantity_grams) FILTER (WHERE total_cost_cad IS NOT NULL), 0)
+                 AS cad_per_gram
+        FROM ingredient_purchases
+        WHERE user_id = $1 AND purchase_date BETWEEN $2::date AND $3::date
+        GROUP BY ingredient_id
+      ),
+      wasted AS (
+        SELECT ingredient_id, SUM(quantity_grams) AS grams
+        FROM ingredient_waste_events
+        WHERE user_id = $1 AND waste_date BETWEEN $2::date AND $3::date
+        GROUP BY ingredient_id
+      ),
+      all_time_cost AS (
+        SELECT ingredient_id,
+               SUM(total_cost_cad) / NULLIF(SUM(quantity_grams), 0) AS cad_per_gram
+        FROM ingredient_purchases
+        WHERE user_id = $1 AND total_cost_cad IS NOT NULL
+        GROUP BY ingredient_id
+      )
+      SELECT i.id, i.name,
+             COALESCE(p.grams, 0) AS purchased_grams,
+             COALESCE(w.grams, 0) AS waste_grams,
+             COALESCE(p.cad_per_gram, ac.cad_per_gram) AS cad_per_gram,
+             ${EFFECTIVE_FACTOR} AS emissions_kg_co2e_per_kg
+      FROM ingredients i
+      LEFT JOIN purchased p ON p.ingredient_id = i.id
+      LEFT JOIN wasted w ON w.ingredient_id = i.id
+      LEFT JOIN all_time_cost ac ON ac.ingredient_id = i.id
+      ${ingredientFactorJoins("$1")}
+      WHERE (i.user_id IS NULL OR i.user_id = $1)
+        AND ($4::int IS NULL OR i.id = $4::int)
+      `,
+      [userId, from, to, ingredientId]
+    );
+
+    const { usage, unconverted } = await loadRecipeUsage(userId, { ingredientId, from, to });
+
+    const usageByIngredient = new Map();
+    for (const line of usage) {
+      usageByIngredient.set(
+        line.ingredientId,
+        (usageByIngredient.get(line.ingredientId) || 0) + line.grams
+      );
+    }
+
+    const round = (n, digits = 3) =>
+      n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits;
+
+    const ingredients = rows
+      .map((row) => {
+        const purchasedGrams = Number(row.purchased_grams);
+        const wasteGrams = Number(row.waste_grams);
+        const usageGrams = usageByIngredient.get(row.id) || 0;
+        const unexplainedGrams = purchasedGrams - wasteGrams - usageGrams;
+        const cadPerGram = row.cad_per_gram === null ? null : Number(row.cad_per_gram);
+        const factor = Number(row.emissions_kg_co2e_per_kg || 0);
+
+        const unexplainedPercent =
+          purchasedGrams > 0 ? (unexplainedGrams / purchasedGrams) * 100 : null;
+
+        return {
+          ingredientId: row.id,
+          name: row.name,
+          purchasedGrams: round(purchasedGrams),
+          wasteGrams: round(wasteGrams),
+          theoreticalUsageGrams: round(usageGrams),
+          unexplainedGrams: round(unexplainedGrams),
+          unexplainedPercent: round(unexplainedPercent, 1),
+          unexplainedCostCad: cadPerGram === null ? null : round(unexplainedGrams * cadPerGram, 2),
+          unexplainedKgCo2e: round((unexplainedGrams / 1000) * factor),
+          isLarge:
+            Math.abs(unexplainedGrams) > 0 &&
+            (unexplainedPercent === null || Math.abs(unexplainedPercent) >= thresholdPercent),
+        };
+      })
+      .filter((r) => r.purchasedGrams || r.wasteGrams || r.theoreticalUsageGrams)
+      .sort(
+        (a, b) =>
+          Math.abs(b.unexplainedKgCo2e) - Math.abs(a.unexplainedKgCo2e) ||
+          a.name.localeCompare(b.name)
+      );
+
+    const sum = (field, digits = 3, rowsToSum = ingredients) =>
+      round(rowsToSum.reduce((acc, r) => acc + (r[field] || 0), 0), digits);
+    const losses = ingredients.filter((r) => r.unexplainedGrams > 0);
+
+    // one entry per dish + ingredient whose unit couldn't be converted
+    const skippedLines = new Map();
+    for (const line of unconverted) {
+      const key = `${line.menuItemId}|${line.ingredientId}`;
+      if (!skippedLines.has(key)) {
+        skippedLines.set(key, {
+          menuItemId: line.menuItemId,
+          menuItemName: line.menuItemName,
+          ingredientId: line.ingredientId,
+          ingredientName: line.ingredientName,
+          error: line.error,
+        });
+      }
+    }
+
+    res.json({
+      from,
+      to,
+      thresholdPercent,
+      totals: {
+        // net across ingredients, and the unexplained losses on their own
+        unexplainedCostCad: sum("unexplainedCostCad", 2),
+        unexplainedKgCo2e: sum("unexplainedKgCo2e"),
+        lossCostCad: sum("unexplainedCostCad", 2, losses),
+        lossKgCo2e: sum("unexplainedKgCo2e", 3, losses),
+        largeVariances: ingredients.filter((r) => r.isLarge).length,
+      },
+      ingredients,
+      unconvertedRecipeLines: [...skippedLines.values()],
+    });
+  } catch (err) {
+    console.error("Error in GET /api/reports/variance:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * STALE EMISSIONS
+ * Changes the API doesn't make itself – catalogue updates, shared datasets,
+ * direct database edits – leave dishes marked stale by the triggers of
+ * migration 0011. This job recalculates them in the background, oldest
+ * first, in batches; dishes another transaction holds are skipped and
+ * picked up on a later run.
+ */
+
+const EMISSIONS_REFRESH_INTERVAL_MS =
+  Number(process.env.EMISSIONS_REFRESH_INTERVAL_MS) || 30 * 1000;
+const EMISSIONS_REFRESH_BATCH_SIZE = 100;
+
+// Recalculates one batch; returns how many dishes it held
+async function refreshStaleEmissions() {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rows } = await client.query(
+      `SELECT id
+       FROM menu_items
+       WHERE emissions_stale_since IS NOT NULL
+       ORDER BY emissions_stale_since, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [EMISSIONS_REFRESH_BATCH_SIZE]
+    );
+    if (rows.length > 0) {
+      await recalculateMenuItemEmissions(rows.map((r) => r.id), client);
+    }
+
+    await client.query("COMMIT");
+    return rows.length;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function scheduleEmissionsRefresh() {
+  setTimeout(async () => {
+    try {
+      // full batch → there may be more
+      while ((await refreshStaleEmissions()) === EMISSIONS_REFRESH_BATCH_SIZE);
+    } catch (err) {
+      console.error("Error refreshing stale emissions:", err);
+    }
+    scheduleEmissionsRefresh();
+  }, EMISSIONS_REFRESH_INTERVAL_MS).unref();
+}
 
 app.listen(PORT, () => {
   console.log(`Backend listening on http://localhost:${PORT}`);
+  scheduleEmissionsRefresh();
 });
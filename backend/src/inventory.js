@@ -0,0 +1,86 @@
+/**
+ * FIFO INVENTORY
+ * Stock is derived, never stored: every purchase is a lot, and consumption
+ * (waste, recipe usage) is taken out of the lots in date order.
+ * - a consumption tied to a purchase draws from that lot first
+ * - everything else draws from the oldest lot bought on or before its date
+ * - what can't be covered by any lot is reported as a shortfall (usually a
+ *   purchase that was never logged)
+ *
+ * lots:         [{ id, ingredientId, date, grams, ... }]
+ * consumptions: [{ ingredientId, date, grams, purchaseId?, source }]
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (date) => new Date(date).getTime();
+
+export function allocateFifo(lots, consumptions) {
+  const byIngredient = new Map();
+
+  const state = lots
+    .map((lot) => ({
+      ...lot,
+      remainingGrams: Number(lot.grams),
+      consumed: {},
+    }))
+    .sort((a, b) => toTime(a.date) - toTime(b.date) || a.id - b.id);
+
+  for (const lot of state) {
+    if (!byIngredient.has(lot.ingredientId)) byIngredient.set(lot.ingredientId, []);
+    byIngredient.get(lot.ingredientId).push(lot);
+  }
+
+  const lotsById = new Map(state.map((lot) => [lot.id, lot]));
+  const shortfalls = new Map();
+
+  const take = (lot, grams, source) => {
+    const amount = Math.min(lot.remainingGrams, grams);
+    lot.remainingGrams -= amount;
+    lot.consumed[source] = (lot.consumed[source] || 0) + amount;
+    return grams - amount;
+  };
+
+  const ordered = [...consumptions].sort(
+    (a, b) => toTime(a.date) - toTime(b.date)
+  );
+
+  for (const event of ordered) {
+    let left = Number(event.grams);
+
+    const linked = event.purchaseId ? lotsById.get(event.purchaseId) : null;
+    if (linked && linked.ingredientId === event.ingredientId) {
+      left = take(linked, left, event.source);
+    }
+
+    const eventTime = toTime(event.date);
+    for (const lot of byIngredient.get(event.ingredientId) || []) {
+      if (left <= 0) break;
+      if (toTime(lot.date) > eventTime) break;
+      if (lot.remainingGrams > 0) left = take(lot, left, event.source);
+    }
+
+    if (left > 0) {
+      shortfalls.set(event.ingredientId, (shortfalls.get(event.ingredientId) || 0) + left);
+    }
+  }
+
+  return { lots: state, shortfalls };
+}
+
+// The oldest lot that still has stock on the given date, or null
+export function oldestOpenLot(allocation, ingredientId, date) {
+  const time = toTime(date);
+  return (
+    allocation.lots.find(
+      (lot) =>
+        lot.ingredientId === ingredientId &&
+        lot.remainingGrams > 0 &&
+        toTime(lot.date) <= time
+    ) || null
+  );
+}
+
+export function lotAgeDays(lot, asOf = new Date()) {
+  return Math.floor((toTime(asOf) - toTime(lot.date)) / DAY_MS);
+}
@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import PDFDocument from "pdfkit";
+import { Resvg } from "@resvg/resvg-js";
+
+const require = createRequire(import.meta.url);
+
+/**
+ * MENU LABELS
+ * Printable carbon labels for single dishes (SVG / PNG) and a whole-menu
+ * PDF with each dish's rating next to its name and price.
+ */
+
+const LABEL_WIDTH = 360;
+const LABEL_HEIGHT = 132;
+const FONT_FAMILY = "DejaVu Sans, Helvetica, Arial, sans-serif";
+
+// DejaVu Sans ships inside node_modules, so PDFs and PNG labels print dish
+// names in any script whatever fonts the host has. PDF_FONT_DIR can point
+// at another copy; a directory without the fonts stops the server at
+// startup rather than printing garbled names.
+const FONT_DIR =
+  process.env.PDF_FONT_DIR ||
+  path.join(path.dirname(require.resolve("dejavu-fonts-ttf/package.json")), "ttf");
+const FONTS = {
+  regular: path.join(FONT_DIR, "DejaVuSans.ttf"),
+  bold: path.join(FONT_DIR, "DejaVuSans-Bold.ttf"),
+};
+for (const file of Object.values(FONTS)) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Label font not found: ${file} (check PDF_FONT_DIR)`);
+  }
+}
+
+const escapeXml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const truncate = (s, max) => (s.length > max ? `${s.slice(0, max - 1)}…` : s);
+
+// dark text on light bands, white on dark ones
+function textColorFor(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  const [r, g, b] = [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#1b1b1b" : "#ffffff";
+}
+
+const formatKg = (kg) => `${kg < 10 ? kg.toFixed(2) : kg.toFixed(1)} kg CO2e`;
+
+// what a benchmark rating's ratio is relative to (see rateMenuItems)
+const BENCHMARK_LABELS = {
+  configured: "benchmark",
+  "category average": "category avg",
+  "menu average": "menu avg",
+};
+
+/**
+ * SVG label for one dish.
+ * - rating: from rateMenuItems, or null when the dish has no recipe yet
+ */
+export function renderLabelSvg({ name, rating, scale }) {
+  const title = escapeXml(truncate(name, 30));
+
+  if (!rating) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${LABEL_WIDTH}" height="${LABEL_HEIGHT}" viewBox="0 0 ${LABEL_WIDTH} ${LABEL_HEIGHT}" font-family="${FONT_FAMILY}">
+  <rect x="1" y="1" width="${LABEL_WIDTH - 2}" height="${LABEL_HEIGHT - 2}" rx="10" fill="#ffffff" stroke="#bdbdbd" stroke-width="2"/>
+  <text x="20" y="48" font-size="20" font-weight="bold" fill="#1b1b1b">${title}</text>
+  <text x="20" y="82" font-size="15" fill="#616161">Climate score not available yet</text>
+</svg>`;
+  }
+
+  const bandCount = scale.bands.length;
+  const stripX = 112;
+  const stripWidth = LABEL_WIDTH - stripX - 20;
+  const cell = stripWidth / bandCount;
+
+  const strip = scale.bands
+    .map((band, i) => {
+      const active = band.label === rating.label;
+      const x = stripX + i * cell;
+      return `  <rect x="${x.toFixed(1)}" y="${active ? 88 : 92}" width="${(cell - 2).toFixed(1)}" height="${active ? 28 : 20}" rx="3" fill="${band.color}" opacity="${active ? 1 : 0.45}"/>
+  <text x="${(x + (cell - 2) / 2).toFixed(1)}" y="${active ? 107 : 106}" font-size="${active ? 14 : 11}" font-weight="${active ? "bold" : "normal"}" text-anchor="middle" fill="${textColorFor(band.color)}">${escapeXml(truncate(band.label, 6))}</text>`;
+    })
+    .join("\n");
+
+  const detail =
+    rating.ratio !== undefined
+      ? `${formatKg(rating.kgCo2e)} · ${rating.ratio.toFixed(2)}× ${BENCHMARK_LABELS[rating.benchmarkSource]}`
+      : `${formatKg(rating.kgCo2e)} per serving`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${LABEL_WIDTH}" height="${LABEL_HEIGHT}" viewBox="0 0 ${LABEL_WIDTH} ${LABEL_HEIGHT}" font-family="${FONT_FAMILY}">
+  <rect x="1" y="1" width="${LABEL_WIDTH - 2}" height="${LABEL_HEIGHT - 2}" rx="10" fill="#ffffff" stroke="${rating.color}" stroke-width="2"/>
+  <rect x="16" y="16" width="80" height="100" rx="8" fill="${rating.color}"/>
+  <text x="56" y="${rating.label.length > 2 ? 74 : 84}" font-size="${rating.label.length > 2 ? 18 : 48}" font-weight="bold" text-anchor="middle" fill="${textColorFor(rating.color)}">${escapeXml(truncate(rating.label, 7))}</text>
+  <text x="${stripX}" y="38" font-size="17" font-weight="bold" fill="#1b1b1b">${title}</text>
+  <text x="${stripX}" y="62" font-size="13" fill="#424242">${escapeXml(detail)}</text>
+${rating.description ? `  <text x="${stripX}" y="80" font-size="11" fill="#757575">${escapeXml(rating.description)} climate impact</text>\n` : ""}${strip}
+</svg>`;
+}
+
+export function renderLabelPng(svg, { scale = 2 } = {}) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: "width", value: LABEL_WIDTH * scale },
+    font: {
+      fontFiles: [FONTS.regular, FONTS.bold],
+      loadSystemFonts: true,
+      defaultFontFamily: "DejaVu Sans",
+    },
+    background: "#ffffff",
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Whole-menu PDF: dishes grouped by category, each with its price and a
+ * rating badge, and a legend of the scale at the end.
+ * - items: [{ id, name, category, price_cents }] in menu order
+ * - ratings: Map of item id → rating (null = not rated)
+ */
+export function renderMenuPdf({ title, subtitle, items, ratings, scale }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "LETTER", margin: 54, info: { Title: title } });
+    doc.registerFont("Regular", FONTS.regular);
+    doc.registerFont("Bold", FONTS.bold);
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    doc.font("Bold").fontSize(24).fillColor("#1b1b1b").text(title, { align: "center" });
+    if (subtitle) {
+      doc.moveDown(0.2).font("Regular").fontSize(11).fillColor("#616161").text(subtitle, { align: "center" });
+    }
+    doc.moveDown(1.2);
+
+    const ensureSpace = (height) => {
+      if (doc.y + height > bottom) doc.addPage();
+    };
+
+    const badge = (rating, x, y) => {
+      const width = 40;
+      doc.roundedRect(x, y, width, 18, 4).fill(rating.color);
+      doc
+        .font("Bold")
+        .fontSize(rating.label.length > 2 ? 7 : 11)
+        .fillColor(textColorFor(rating.color))
+        .text(rating.label, x, y + (rating.label.length > 2 ? 6 : 4), { width, align: "center" });
+    };
+
+    const groups = new Map();
+    for (const item of items) {
+      const key = item.category || "Menu";
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+
+    for (const [category, categoryItems] of groups) {
+      ensureSpace(60);
+      doc.x = left;
+      doc.font("Bold").fontSize(14).fillColor("#1b1b1b").text(category.toUpperCase());
+      doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).lineWidth(0.5).strokeColor("#bdbdbd").stroke();
+      doc.moveDown(0.6);
+
+      for (const item of categoryItems) {
+        ensureSpace(34);
+        const y = doc.y;
+        const rating = ratings.get(item.id);
+
+        if (rating) badge(rating, left, y);
+
+        const price = item.price_cents === null ? "" : `$${(item.price_cents / 100).toFixed(2)}`;
+        doc
+          .font("Bold")
+          .fontSize(12)
+          .fillColor("#1b1b1b")
+          .text(item.name, left + 50, y + 2, { width: right - left - 130, lineBreak: false, ellipsis: true });
+        doc.font("Regular").fontSize(12).text(price, right - 80, y + 2, { width: 80, align: "right" });
+        doc
+          .font("Regular")
+          .fontSize(9)
+          .fillColor("#757575")
+          .text(
+            rating ? `${formatKg(rating.kgCo2e)} per serving` : "Climate score not available",
+            left + 50,
+            y + 17
+          );
+        doc.y = y + 34;
+      }
+      doc.moveDown(0.6);
+    }
+
+    // legend
+    ensureSpace(40 + scale.bands.length * 18);
+    doc.x = left;
+    doc.moveDown(0.5);
+    doc.font("Bold").fontSize(10).fillColor("#1b1b1b").text("Climate score");
+    doc.moveDown(0.3);
+    let lower = 0;
+    for (const band of scale.bands) {
+      const y = doc.y;
+      badge(band, left, y);
+      const unit = scale.type === "absolute" ? " kg CO2e" : "× category benchmark";
+      const range =
+        band.max === null ? `above ${lower}${unit}` : `up to ${band.max}${unit}`;
+      doc
+        .font("Regular")
+        .fontSize(9)
+        .fillColor("#424242")
+        .text([band.description, range].filter(Boolean).join(" – "), left + 50, y + 5);
+      doc.y = y + 22;
+      lower = band.max ?? lower;
+    }
+
+    doc.end();
+  });
+}
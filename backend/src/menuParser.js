@@ -0,0 +1,345 @@
+/**
+ * MENU TEXT PARSER
+ * Turns text extracted from a menu PDF into menu item candidates:
+ *   { name, category, description, price, priceVariants, confidence, rawLine }
+ * - section headings ("APPETIZERS", "Mains:") become the category of the
+ *   items below them
+ * - sentence-like lines around an item become its description
+ * - rows such as "Small 8 / Large 12" or "Wings 12/24" produce one price
+ *   variant per size
+ * - phone numbers, years, opening hours and quantities (a number before
+ *   the dish name: "2 Eggs", "1/2 lb") are never prices
+ */
+
+// Words that usually start a menu section
+const HEADING_WORDS = new Set([
+  "appetizers", "appetisers", "starters", "small plates", "shareables",
+  "snacks", "soups", "salads", "soups & salads", "soups and salads",
+  "mains", "main courses", "entrees", "entrées", "plates", "large plates",
+  "sandwiches", "burgers", "wraps", "bowls", "pizza", "pizzas", "pasta",
+  "sides", "side dishes", "desserts", "sweets", "breakfast", "brunch",
+  "lunch", "dinner", "kids", "kids menu", "drinks", "beverages",
+  "hot drinks", "cold drinks", "coffee", "tea", "cocktails", "wine",
+  "wines", "beer", "beers", "specials", "seafood", "vegetarian", "vegan",
+]);
+
+// Labels that name a size/format rather than a dish
+const SIZE_WORDS = new Set([
+  "small", "sm", "medium", "med", "large", "lg", "regular", "reg", "half",
+  "full", "single", "double", "triple", "cup", "bowl", "glass", "bottle",
+  "carafe", "pint", "pitcher", "slice", "whole", "kids", "adult", "lunch",
+  "dinner", "mini", "personal", "family", "xl",
+]);
+
+const MAX_PRICE = 1000;
+
+// price like: 12, 12.95, $12.95, 1,200.00 – not part of a longer number,
+// a time (11:30), a percentage or a quantity (8 oz, 6 pcs)
+const PRICE_PATTERN =
+  /(?<![\d.,:$])(\$\s?)?(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)(?![\d%:]|\s?(?:am|pm|oz|g|kg|ml|cl|l|lb|lbs|pcs?|pieces?|ct|cal|kcal|in|inch|"|')(?![a-z]))/gi;
+
+// Spans that contain digits but are never prices
+const NOISE_PATTERNS = [
+  /(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/g, // phone numbers
+  /\b\d{1,2}(?::\d{2})?\s?(?:am|pm)\b(?:\s?[-–]\s?\d{1,2}(?::\d{2})?\s?(?:am|pm))?/gi, // hours
+  /\b\d{1,2}:\d{2}\b/g, // 24h times
+  /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g, // dates
+  /\b(?:1\/[2348]|[23]\/[34])\b/g, // fractions: "1/2 chicken"
+  /(?:©|\(c\)|copyright|since|est\.?|established)\s*\d{4}/gi, // years
+  /\b\d{1,5}\s+[A-Z][a-z]+\s+(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Dr|Drive|Way)\b\.?/g, // addresses
+  /\b[\w.-]+@[\w.-]+\.[a-z]{2,}\b/gi, // emails
+  /\b(?:https?:\/\/|www\.)\S+/gi, // urls
+];
+
+const hasLetters = (s) => /[A-Za-z]/.test(s);
+
+// "2 Eggs", "3. Tacos", "12 Wings": a count in front of the name
+const STARTS_WITH_WORD = /^[.)]?\s*\p{L}/u;
+
+const wordCount = (s) => s.split(/\s+/).filter(Boolean).length;
+
+function stripNoise(line) {
+  let out = line;
+  for (const pattern of NOISE_PATTERNS) {
+    out = out.replace(pattern, (m) => " ".repeat(m.length));
+  }
+  return out;
+}
+
+function cleanName(s) {
+  return s
+    .replace(/^[\s\d]{1,3}[.)]\s+/, "") // leading item numbers: "1. ", "12) "
+    .replace(/[\s.·…_\-–—:|\/]+$/g, "") // dot leaders / trailing separators
+    .replace(/^[\s.·…_\-–—:|\/]+/g, "")
+    .trim();
+}
+
+function toTitleCase(s) {
+  return s
+    .toLowerCase()
+    .replace(/(^|[\s&\/-])([a-zà-ÿ])/g, (m, sep, c) => sep + c.toUpperCase());
+}
+
+// Returns [{ price, start, end, hasDollar, hasCents }] for every real price
+function findPrices(line) {
+  const scan = stripNoise(line);
+  const prices = [];
+
+  for (const match of scan.matchAll(PRICE_PATTERN)) {
+    const hasDollar = Boolean(match[1]);
+    const digits = match[2];
+    const hasCents = /\.\d{1,2}$/.test(digits);
+    const price = Number(digits.replace(/,/g, ""));
+
+    if (!Number.isFinite(price) || price <= 0 || price > MAX_PRICE) continue;
+
+    // bare 4-digit years (2024) are not prices
+    if (!hasDollar && !hasCents && /^(19|20)\d{2}$/.test(digits)) continue;
+
+    // prices follow the dish: a number ahead of any text is a count
+    const end = match.index + match[0].length;
+    if (
+      !hasDollar &&
+      !/\p{L}/u.test(scan.slice(0, match.index)) &&
+      STARTS_WITH_WORD.test(scan.slice(end))
+    ) {
+      continue;
+    }
+
+    prices.push({
+      price,
+      start: match.index,
+      end,
+      hasDollar,
+      hasCents,
+    });
+  }
+
+  return prices;
+}
+
+// "14", "$12.50" or "Small 8 / Large 12": prices (and size labels) only
+function isPriceOnlyLine(line) {
+  const prices = findPrices(line);
+  if (prices.length === 0) return false;
+
+  let rest = stripNoise(line);
+  for (const p of [...prices].reverse()) {
+    rest = rest.slice(0, p.start) + rest.slice(p.end);
+  }
+  const words = rest.toLowerCase().match(/[a-z]+/g) || [];
+  return words.every((w) => SIZE_WORDS.has(w));
+}
+
+function isHeading(line, nextLine) {
+  const text = line.replace(/[:\-–—]+$/, "").trim();
+  const lower = text.toLowerCase();
+
+  if (!hasLetters(text) || text.length > 32 || wordCount(text) > 4) {
+    return false;
+  }
+  if (HEADING_WORDS.has(lower)) return true;
+
+  // an ALL CAPS name whose price sits on the next line is a dish, not a heading
+  if (nextLine !== undefined && isPriceOnlyLine(nextLine)) return false;
+
+  const letters = text.replace(/[^A-Za-z]/g, "");
+  const isAllCaps = letters.length >= 3 && letters === letters.toUpperCase();
+
+  return isAllCaps || /:$/.test(line.trim());
+}
+
+function looksLikeDescription(line) {
+  const text = line.trim();
+  return (
+    /^[a-z(]/.test(text) ||
+    wordCount(text) > 6 ||
+    (text.includes(",") && wordCount(text) > 3)
+  );
+}
+
+// Split "Caesar Salad – romaine, parmesan" into name + description
+function splitNameAndDescription(text) {
+  const parts = text.split(/\s+[-–—|:]\s+/);
+  if (parts.length > 1 && hasLetters(parts[0])) {
+    return {
+      name: parts[0],
+      description: parts.slice(1).join(" - "),
+    };
+  }
+  return { name: text, description: null };
+}
+
+// Turn the price tokens of a line into items: either one item with several
+// size variants, or (two-column layouts) several items on the same line.
+function splitPricedLine(line, prices) {
+  const segments = [];
+  let cursor = 0;
+
+  for (const p of prices) {
+    segments.push({ text: line.slice(cursor, p.start), price: p });
+    cursor = p.end;
+  }
+
+  const items = [];
+  let current = null;
+
+  segments.forEach((seg, index) => {
+    let text = cleanName(seg.text);
+    let label = null;
+
+    // "Burger Small 8": trailing size word labels the price
+    const words = text.split(/\s+/).filter(Boolean);
+    const lastWord = (words[words.length - 1] || "").toLowerCase();
+    if (words.length > 0 && SIZE_WORDS.has(lastWord.replace(/[^a-z]/g, ""))) {
+      label = words.pop();
+      text = words.join(" ");
+    }
+
+    // first price, or only a label/separator since the last one: same dish
+    if (index === 0 || !hasLetters(text)) {
+      if (!current) {
+        current = { text, variants: [] };
+        items.push(current);
+      }
+      current.variants.push({ label, ...seg.price });
+      return;
+    }
+
+    // new dish text between two prices → another item on the same line
+    current = { text, variants: [{ label, ...seg.price }] };
+    items.push(current);
+  });
+
+  return items;
+}
+
+function scoreCandidate({ name, category, variants, sameLine }) {
+  let score = 0.5;
+
+  if (sameLine) score += 0.15;
+  if (category) score += 0.1;
+  if (name.length >= 3 && name.length <= 50 && wordCount(name) <= 8) score += 0.1;
+  if (name.length > 60) score -= 0.25;
+  if (/\d/.test(name)) score -= 0.1;
+  if (variants.some((v) => v.hasDollar || v.hasCents)) score += 0.1;
+  if (variants.some((v) => v.price > 200)) score -= 0.2;
+  if (variants.length > 1 && variants.every((v) => v.label)) score += 0.05;
+
+  return Math.round(Math.min(1, Math.max(0, score)) * 100) / 100;
+}
+
+export function extractMenuCandidatesFromText(text) {
+  const lines = String(text || "")
+    .split("\n")
+    .map((l) => l.replace(/\s+/g, " ").trim()) // normalize spaces
+    .filter((l) => l.length > 0);
+
+  const candidates = [];
+  let category = null;
+  let pending = null; // { name, description, rawLines } awaiting a price
+  let last = null; // most recent candidate, for trailing descriptions
+
+  const pushCandidate = ({ name, description, variants, rawLine, sameLine }) => {
+    const cleaned = cleanName(name);
+    if (cleaned.length < 3 || !hasLetters(cleaned)) return null;
+
+    const priceVariants = variants.map((v) => ({
+      label: v.label ? toTitleCase(v.label) : null,
+      price: v.price,
+    }));
+
+    const candidate = {
+      name: cleaned,
+      category,
+      description: description ? description.trim() : null,
+      price: priceVariants[0].price,
+      priceVariants,
+      confidence: scoreCandidate({ name: cleaned, category, variants, sameLine }),
+      rawLine,
+    };
+    candidates.push(candidate);
+    return candidate;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const prices = findPrices(line);
+
+    // ---------------------------
+    // Lines without a price: heading, description, or a name awaiting its price
+    // ---------------------------
+    if (prices.length === 0) {
+      const content = stripNoise(line).trim();
+      if (!hasLetters(content)) continue;
+
+      if (isHeading(line, lines[i + 1])) {
+        category = toTitleCase(line.replace(/[:\-–—]+$/, "").trim());
+        pending = null;
+        last = null;
+        continue;
+      }
+
+      if (looksLikeDescription(line)) {
+        if (pending) {
+          pending.description = [pending.description, line].filter(Boolean).join(" ");
+          pending.rawLines.push(line);
+        } else if (last) {
+          last.description = [last.description, line].filter(Boolean).join(" ");
+        }
+        continue;
+      }
+
+      // opening hours, phone numbers…: information, not a dish
+      if (content !== line) {
+        pending = null;
+        last = null;
+        continue;
+      }
+
+      // a short line on its own: most likely a dish name with the price below
+      pending = { name: line, description: null, rawLines: [line] };
+      last = null;
+      continue;
+    }
+
+    // ---------------------------
+    // Lines with one or more prices
+    // ---------------------------
+    const items = splitPricedLine(line, prices);
+
+    items.forEach((item, index) => {
+      const itemText = item.text;
+
+      if (index === 0 && pending && (!hasLetters(itemText) || looksLikeDescription(itemText))) {
+        // "Name" / "description … 12" or "Name" / "Small 8 / Large 12"
+        const description = [pending.description, hasLetters(itemText) ? itemText : null]
+          .filter(Boolean)
+          .join(" ");
+        last = pushCandidate({
+          name: pending.name,
+          description: description || null,
+          variants: item.variants,
+          rawLine: [...pending.rawLines, line].join(" "),
+          sameLine: false,
+        });
+        return;
+      }
+
+      if (!hasLetters(itemText)) return;
+
+      const { name, description } = splitNameAndDescription(itemText);
+      last = pushCandidate({
+        name,
+        description,
+        variants: item.variants,
+        rawLine: line,
+        sameLine: true,
+      });
+    });
+
+    pending = null;
+  }
+
+  return candidates;
+}
@@ -0,0 +1,352 @@
+import ExcelJS from "exceljs";
+import { toGrams } from "./units.js";
+
+/**
+ * MENU SPREADSHEET FORMAT (CSV / XLSX)
+ * One row per recipe line; an item without ingredients gets a single row
+ * with the ingredient columns left empty.
+ *
+ *   item_name | category | price | ingredient | prep_recipe | quantity | unit | grams
+ *
+ * A line names either an ingredient or one of the restaurant's prep
+ * recipes (a component, by weight); prep_recipe may be left out of files
+ * without components. Rows with the same item_name belong to the same menu
+ * item. Line numbers in errors are spreadsheet lines: the header is line 1.
+ * A recipe line is read from quantity + unit when quantity is filled in
+ * (unit defaults to g), otherwise from grams. On export, grams holds the
+ * resolved weight for reference.
+ */
+
+export const MENU_SHEET_COLUMNS = [
+  "item_name",
+  "category",
+  "price",
+  "ingredient",
+  "prep_recipe",
+  "quantity",
+  "unit",
+  "grams",
+];
+
+const REQUIRED_COLUMNS = ["item_name", "ingredient"];
+
+// ---------------------------
+// CSV
+// ---------------------------
+
+function csvEscape(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  const lines = [MENU_SHEET_COLUMNS.join(",")];
+  for (const row of rows) {
+    lines.push(MENU_SHEET_COLUMNS.map((c) => csvEscape(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF, embedded newlines.
+// Returns [{ line, cells }] where line is the line the record starts on.
+export function parseCsvRecords(text) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell.length === 0) {
+      inQuotes = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      cells.push(cell);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      cell = "";
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell.length > 0 || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+  }
+
+  return records;
+}
+
+// ---------------------------
+// XLSX
+// ---------------------------
+
+export async function toXlsx(rows, sheetName = "Menu") {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31) || "Menu");
+
+  sheet.columns = MENU_SHEET_COLUMNS.map((key) => ({ header: key, key, width: 24 }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    sheet.addRow(row);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function cellToString(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") {
+    if ("result" in value) return cellToString(value.result); // formula
+    if ("text" in value) return String(value.text); // hyperlink
+    if (Array.isArray(value.richText)) return value.richText.map((r) => r.text).join("");
+  }
+  return String(value);
+}
+
+async function parseXlsxRecords(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) {
+      cells.push(cellToString(row.getCell(col).value));
+    }
+    records.push({ line: rowNumber, cells });
+  });
+
+  return records;
+}
+
+// ---------------------------
+// Shared
+// ---------------------------
+
+export function isXlsxUpload(file) {
+  return (
+    file.mimetype ===
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" ||
+    /\.xlsx$/i.test(file.originalname || "") ||
+    // xlsx files are zip archives
+    file.buffer.subarray(0, 2).toString("latin1") === "PK"
+  );
+}
+
+/**
+ * Read an uploaded CSV/XLSX into [{ line, item_name, category, price, ingredient, prep_recipe, quantity, unit, grams }].
+ * Throws an Error with a user-facing message when the header is unusable.
+ */
+export async function readMenuSheet(file) {
+  const records = isXlsxUpload(file)
+    ? await parseXlsxRecords(file.buffer)
+    : parseCsvRecords(file.buffer.toString("utf8"));
+
+  const nonEmpty = records.filter((r) => r.cells.some((c) => String(c).trim() !== ""));
+  if (nonEmpty.length === 0) {
+    throw new Error("The file is empty");
+  }
+
+  const [header, ...dataRecords] = nonEmpty;
+  const columnIndex = {};
+  header.cells.forEach((name, index) => {
+    const key = String(name).trim().toLowerCase().replace(/\s+/g, "_");
+    if (MENU_SHEET_COLUMNS.includes(key)) columnIndex[key] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((c) => columnIndex[c] === undefined);
+  if (columnIndex.grams === undefined && columnIndex.quantity === undefined) {
+    missing.push("grams or quantity");
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing column(s): ${missing.join(", ")}`);
+  }
+
+  return dataRecords.map((record) => {
+    const row = { line: record.line };
+    for (const column of MENU_SHEET_COLUMNS) {
+      const index = columnIndex[column];
+      row[column] = index === undefined ? "" : String(record.cells[index] ?? "").trim();
+    }
+    return row;
+  });
+}
+
+/**
+ * Validate sheet rows and group them into items.
+ * - ingredientsByName: Map of lower-cased ingredient name → ingredient row
+ *   ({ id, name, density_g_per_ml, piece_weight_g })
+ * - prepRecipesByName: Map of lower-cased prep recipe name → { id, name }
+ * Returns { items: [{ name, category, priceCents, lines, ingredients, components }], errors }
+ * where errors are [{ line, error }], ingredients are
+ * [{ ingredientId, quantity, unit, grams }] and components are
+ * [{ prepRecipeId, quantity, unit, grams }].
+ */
+export function validateMenuRows(rows, ingredientsByName, prepRecipesByName, normalizeName) {
+  const errors = [];
+  const items = new Map();
+
+  for (const row of rows) {
+    const rowErrors = [];
+
+    if (!row.item_name) {
+      rowErrors.push("item_name is required");
+    }
+
+    let priceCents = null;
+    if (row.price !== "") {
+      const p = Number(row.price.replace(/^\$/, ""));
+      if (Number.isNaN(p) || p < 0) {
+        rowErrors.push(`Invalid price "${row.price}"`);
+      } else {
+        priceCents = Math.round(p * 100);
+      }
+    }
+
+    let ingredient = null;
+    let prepRecipe = null;
+    let amount = null;
+    if (
+      row.ingredient !== "" ||
+      row.prep_recipe !== "" ||
+      row.quantity !== "" ||
+      row.grams !== ""
+    ) {
+      if (row.ingredient && row.prep_recipe) {
+        rowErrors.push("Fill in ingredient or prep_recipe, not both");
+      } else if (row.prep_recipe) {
+        prepRecipe = prepRecipesByName.get(row.prep_recipe.toLowerCase()) || null;
+        if (!prepRecipe) {
+          rowErrors.push(`Unknown prep recipe "${row.prep_recipe}"`);
+        }
+      } else if (!row.ingredient) {
+        rowErrors.push("ingredient or prep_recipe is required when a quantity is set");
+      } else {
+        ingredient = ingredientsByName.get(row.ingredient.toLowerCase()) || null;
+        if (!ingredient) {
+          rowErrors.push(`Unknown ingredient "${row.ingredient}"`);
+        }
+      }
+
+      const quantity = row.quantity !== "" ? row.quantity : row.grams;
+      const unit = row.quantity !== "" ? row.unit || "g" : "g";
+
+      if (quantity === "") {
+        rowErrors.push("quantity or grams is required");
+      } else {
+        // prep recipes are measured by weight only
+        const conversion = toGrams(
+          quantity,
+          unit,
+          ingredient || (prepRecipe ? { name: prepRecipe.name } : {})
+        );
+        if (conversion.error) {
+          rowErrors.push(
+            row.quantity !== "" ? conversion.error : `grams must be > 0 (got "${row.grams}")`
+          );
+        } else {
+          amount = { quantity: Number(quantity), unit: conversion.unit, grams: conversion.grams };
+        }
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      for (const error of rowErrors) errors.push({ line: row.line, error });
+      continue;
+    }
+
+    // rows of a name without letters or digits only group by their exact name
+    const key = normalizeName(row.item_name) || row.item_name;
+    if (!items.has(key)) {
+      items.set(key, {
+        name: row.item_name,
+        category: row.category || null,
+        priceCents,
+        lines: [],
+        ingredients: new Map(),
+        components: new Map(),
+      });
+    }
+
+    const item = items.get(key);
+    item.lines.push(row.line);
+
+    // the first non-empty category / price for an item wins; conflicts are errors
+    if (row.category) {
+      if (item.category && item.category !== row.category) {
+        errors.push({
+          line: row.line,
+          error: `Conflicting category for "${item.name}" ("${item.category}" vs "${row.category}")`,
+        });
+      }
+      item.category = item.category || row.category;
+    }
+    if (priceCents !== null) {
+      if (item.priceCents !== null && item.priceCents !== priceCents) {
+        errors.push({ line: row.line, error: `Conflicting price for "${item.name}"` });
+      }
+      item.priceCents = item.priceCents ?? priceCents;
+    }
+
+    if (ingredient) {
+      if (item.ingredients.has(ingredient.id)) {
+        errors.push({
+          line: row.line,
+          error: `Ingredient "${row.ingredient}" is listed twice for "${item.name}"`,
+        });
+      } else {
+        item.ingredients.set(ingredient.id, { ingredientId: ingredient.id, ...amount });
+      }
+    }
+
+    if (prepRecipe) {
+      if (item.components.has(prepRecipe.id)) {
+        errors.push({
+          line: row.line,
+          error: `Prep recipe "${row.prep_recipe}" is listed twice for "${item.name}"`,
+        });
+      } else {
+        item.components.set(prepRecipe.id, { prepRecipeId: prepRecipe.id, ...amount });
+      }
+    }
+  }
+
+  return {
+    items: [...items.values()].map((item) => ({
+      ...item,
+      ingredients: [...item.ingredients.values()],
+      components: [...item.components.values()],
+    })),
+    errors,
+  };
+}
@@ -0,0 +1,258 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import pool from "./db.js";
+
+/**
+ * SCHEMA MIGRATIONS
+ * - files live in src/migrations as <version>_<name>.up.sql / .down.sql
+ * - versions are applied in numeric order, each inside its own transaction
+ * - the checksum of every applied .up.sql is recorded in schema_migrations;
+ *   editing an applied file is reported instead of silently ignored
+ *
+ * Usage:
+ *   node src/migrate.js up            apply all pending migrations
+ *   node src/migrate.js down [count]  roll back the last <count> (default 1)
+ *   node src/migrate.js status        list applied / pending migrations
+ */
+
+const MIGRATIONS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "migrations"
+);
+
+// Arbitrary constant so two deploys can't migrate at the same time
+const MIGRATION_LOCK_ID = 482193;
+
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+async function loadMigrationFiles() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) {
+      throw new Error(`Migration ${version} has mismatched names: ${entry.name} / ${name}`);
+    }
+    entry[direction] = await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8");
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort(
+    (a, b) => Number(a.version) - Number(b.version)
+  );
+
+  for (const m of migrations) {
+    if (m.up === undefined) {
+      throw new Error(`Migration ${m.version}_${m.name} is missing its .up.sql file`);
+    }
+    m.checksum = checksum(m.up);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const { rows } = await client.query(
+    `SELECT version, name, checksum, applied_at
+     FROM schema_migrations
+     ORDER BY version::int ASC`
+  );
+  return rows;
+}
+
+function assertChecksums(migrations, applied) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+
+  for (const row of applied) {
+    const file = byVersion.get(row.version);
+    if (!file) {
+      throw new Error(
+        `Migration ${row.version}_${row.name} is applied but its file is missing`
+      );
+    }
+    if (file.checksum !== row.checksum) {
+      throw new Error(
+        `Checksum mismatch for ${row.version}_${row.name}: the file changed after it was applied`
+      );
+    }
+  }
+}
+
+async function withLockedClient(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+export async function migrateUp() {
+  const migrations = await loadMigrationFiles();
+
+  return withLockedClient(async (client) => {
+    const applied = await getApplied(client);
+    assertChecksums(migrations, applied);
+
+    const appliedVersions = new Set(applied.map((r) => r.version));
+    const pending = migrations.filter((m) => !appliedVersions.has(m.version));
+
+    for (const m of pending) {
+      try {
+        await client.query("BEGIN");
+        await client.query(m.up);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum)
+           VALUES ($1, $2, $3)`,
+          [m.version, m.name, m.checksum]
+        );
+        await client.query("COMMIT");
+        console.log(`Applied ${m.version}_${m.name}`);
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(`Failed to apply ${m.version}_${m.name}: ${err.message}`);
+      }
+    }
+
+    if (pending.length === 0) {
+      console.log("Database is up to date");
+    }
+
+    return pending.map((m) => m.version);
+  });
+}
+
+export async function migrateDown(count = 1) {
+  const migrations = await loadMigrationFiles();
+
+  return withLockedClient(async (client) => {
+    const applied = await getApplied(client);
+    assertChecksums(migrations, applied);
+
+    const byVersion = new Map(migrations.map((m) => [m.version, m]));
+    const toRevert = applied.slice(-count).reverse();
+
+    for (const row of toRevert) {
+      const m = byVersion.get(row.version);
+      if (m.down === undefined) {
+        throw new Error(`Migration ${m.version}_${m.name} has no .down.sql file`);
+      }
+
+      try {
+        await client.query("BEGIN");
+        await client.query(m.down);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+          m.version,
+        ]);
+        await client.query("COMMIT");
+        console.log(`Reverted ${m.version}_${m.name}`);
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw new Error(`Failed to revert ${m.version}_${m.name}: ${err.message}`);
+      }
+    }
+
+    if (toRevert.length === 0) {
+      console.log("No applied migrations to revert");
+    }
+
+    return toRevert.map((r) => r.version);
+  });
+}
+
+export async function migrationStatus() {
+  const migrations = await loadMigrationFiles();
+
+  return withLockedClient(async (client) => {
+    const applied = new Map(
+      (await getApplied(client)).map((r) => [r.version, r])
+    );
+
+    const status = migrations.map((m) => {
+      const row = applied.get(m.version);
+      let state = "pending";
+      if (row) {
+        state = row.checksum === m.checksum ? "applied" : "modified";
+      }
+      return {
+        version: m.version,
+        name: m.name,
+        state,
+        appliedAt: row ? row.applied_at : null,
+      };
+    });
+
+    for (const [version, row] of applied) {
+      if (!migrations.some((m) => m.version === version)) {
+        status.push({
+          version,
+          name: row.name,
+          state: "missing",
+          appliedAt: row.applied_at,
+        });
+      }
+    }
+
+    return status;
+  });
+}
+
+async function main() {
+  const [command = "status", arg] = process.argv.slice(2);
+
+  try {
+    if (command === "up") {
+      await migrateUp();
+    } else if (command === "down") {
+      const count = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(count) || count <= 0) {
+        throw new Error("down expects a positive migration count");
+      }
+      await migrateDown(count);
+    } else if (command === "status") {
+      const status = await migrationStatus();
+      for (const s of status) {
+        const when = s.appliedAt ? new Date(s.appliedAt).toISOString() : "";
+        console.log(`${s.state.padEnd(8)} ${s.version}_${s.name} ${when}`.trim());
+      }
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main();
+}
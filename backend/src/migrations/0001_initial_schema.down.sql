@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS ingredient_waste_events;
+DROP TABLE IF EXISTS ingredient_purchases;
+DROP TABLE IF EXISTS facility_profiles;
+DROP TABLE IF EXISTS menu_item_ingredients;
+DROP TABLE IF EXISTS ingredients;
+DROP TABLE IF EXISTS menu_items;
+DROP TABLE IF EXISTS menus;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,106 @@
+-- Baseline schema for every table the API touches.
+-- Uses IF NOT EXISTS so it can be applied on databases that predate migrations.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email TEXT UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  company_name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS menus (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS menus_user_id_idx ON menus (user_id);
+
+CREATE TABLE IF NOT EXISTS menu_items (
+  id SERIAL PRIMARY KEY,
+  menu_id INTEGER NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  category TEXT,
+  price_cents INTEGER CHECK (price_cents IS NULL OR price_cents >= 0),
+  estimated_emissions_kg_co2e NUMERIC(12, 4) NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS menu_items_menu_id_idx ON menu_items (menu_id);
+
+CREATE TABLE IF NOT EXISTS ingredients (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  emissions_kg_co2e_per_kg NUMERIC(10, 4),
+  unit TEXT NOT NULL DEFAULT 'kg',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS menu_item_ingredients (
+  id SERIAL PRIMARY KEY,
+  menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE RESTRICT,
+  quantity NUMERIC(12, 3) NOT NULL CHECK (quantity > 0),
+  unit TEXT NOT NULL DEFAULT 'g'
+);
+
+-- POST /api/menu/items/:menuItemId/ingredients upserts with
+-- ON CONFLICT (menu_item_id, ingredient_id), which needs this unique index.
+CREATE UNIQUE INDEX IF NOT EXISTS menu_item_ingredients_item_ingredient_key
+  ON menu_item_ingredients (menu_item_id, ingredient_id);
+
+CREATE TABLE IF NOT EXISTS facility_profiles (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  energy_type TEXT,
+  electricity_usage NUMERIC(12, 2),
+  efficient_appliances TEXT[] NOT NULL DEFAULT '{}',
+  renewables TEXT,
+  food_waste_handling TEXT,
+  food_waste_percent NUMERIC(5, 2),
+  recycling TEXT,
+  water_tracking TEXT,
+  water_efficient TEXT,
+  sourcing TEXT,
+  delivery_frequency TEXT,
+  packaging_type TEXT,
+  reusable_program TEXT,
+  vehicles TEXT,
+  weekly_km NUMERIC(10, 2),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS facility_profiles_user_id_idx
+  ON facility_profiles (user_id);
+
+CREATE TABLE IF NOT EXISTS ingredient_purchases (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE RESTRICT,
+  purchase_date DATE NOT NULL,
+  quantity_grams NUMERIC(14, 3) NOT NULL CHECK (quantity_grams > 0),
+  total_cost_cad NUMERIC(12, 2) CHECK (total_cost_cad IS NULL OR total_cost_cad >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ingredient_purchases_user_date_idx
+  ON ingredient_purchases (user_id, purchase_date);
+
+CREATE TABLE IF NOT EXISTS ingredient_waste_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE RESTRICT,
+  purchase_id INTEGER REFERENCES ingredient_purchases(id) ON DELETE SET NULL,
+  waste_date DATE NOT NULL,
+  quantity_grams NUMERIC(14, 3) NOT NULL CHECK (quantity_grams > 0),
+  waste_stage TEXT NOT NULL DEFAULT 'other',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ingredient_waste_events_user_date_idx
+  ON ingredient_waste_events (user_id, waste_date);
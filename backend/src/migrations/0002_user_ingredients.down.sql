@@ -0,0 +1,21 @@
+DROP TABLE IF EXISTS ingredient_emission_overrides;
+
+DROP INDEX IF EXISTS ingredients_user_name_key;
+DROP INDEX IF EXISTS ingredients_user_id_idx;
+
+-- Private ingredients can't survive without user_id; drop them and their uses
+DELETE FROM ingredient_waste_events
+  WHERE ingredient_id IN (SELECT id FROM ingredients WHERE user_id IS NOT NULL);
+DELETE FROM ingredient_purchases
+  WHERE ingredient_id IN (SELECT id FROM ingredients WHERE user_id IS NOT NULL);
+DELETE FROM menu_item_ingredients
+  WHERE ingredient_id IN (SELECT id FROM ingredients WHERE user_id IS NOT NULL);
+DELETE FROM ingredients WHERE user_id IS NOT NULL;
+
+ALTER TABLE ingredients
+  DROP COLUMN IF EXISTS updated_at,
+  DROP COLUMN IF EXISTS is_active,
+  DROP COLUMN IF EXISTS data_source,
+  DROP COLUMN IF EXISTS region,
+  DROP COLUMN IF EXISTS category,
+  DROP COLUMN IF EXISTS user_id;
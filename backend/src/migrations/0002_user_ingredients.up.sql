@@ -0,0 +1,28 @@
+-- Restaurant-private ingredients next to the shared catalogue, with the
+-- metadata needed to cite where an emission factor comes from.
+
+ALTER TABLE ingredients
+  ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL = shared catalogue
+  ADD COLUMN category TEXT,
+  ADD COLUMN region TEXT,
+  ADD COLUMN data_source TEXT,
+  ADD COLUMN is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE INDEX ingredients_user_id_idx ON ingredients (user_id);
+
+CREATE UNIQUE INDEX ingredients_user_name_key
+  ON ingredients (user_id, LOWER(name))
+  WHERE user_id IS NOT NULL AND is_active = TRUE;
+
+-- A restaurant's own factor for a shared catalogue ingredient
+CREATE TABLE ingredient_emission_overrides (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE CASCADE,
+  emissions_kg_co2e_per_kg NUMERIC(10, 4) NOT NULL CHECK (emissions_kg_co2e_per_kg >= 0),
+  data_source TEXT,
+  region TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, ingredient_id)
+);
@@ -0,0 +1,26 @@
+ALTER TABLE ingredient_waste_events
+  DROP COLUMN IF EXISTS unit,
+  DROP COLUMN IF EXISTS quantity;
+
+ALTER TABLE ingredient_purchases
+  DROP COLUMN IF EXISTS unit,
+  DROP COLUMN IF EXISTS quantity;
+
+-- The old rollup only understood g / kg
+UPDATE menu_item_ingredients mii
+SET quantity = ROUND(mii.quantity * CASE mii.unit
+      WHEN 'mg' THEN 0.001 WHEN 'oz' THEN 28.349523125 WHEN 'lb' THEN 453.59237
+      ELSE NULL END, 3),
+    unit = 'g'
+WHERE mii.unit IN ('mg', 'oz', 'lb');
+DELETE FROM menu_item_ingredients WHERE unit NOT IN ('g', 'kg');
+
+DELETE FROM ingredient_emission_overrides WHERE emissions_kg_co2e_per_kg IS NULL;
+ALTER TABLE ingredient_emission_overrides
+  DROP COLUMN IF EXISTS piece_weight_g,
+  DROP COLUMN IF EXISTS density_g_per_ml,
+  ALTER COLUMN emissions_kg_co2e_per_kg SET NOT NULL;
+
+ALTER TABLE ingredients
+  DROP COLUMN IF EXISTS piece_weight_g,
+  DROP COLUMN IF EXISTS density_g_per_ml;
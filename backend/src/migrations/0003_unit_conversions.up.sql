@@ -0,0 +1,31 @@
+-- Quantities are stored as entered (quantity + unit) and resolved to grams
+-- with per-ingredient density and piece-weight data.
+
+ALTER TABLE ingredients
+  ADD COLUMN density_g_per_ml NUMERIC(10, 4) CHECK (density_g_per_ml IS NULL OR density_g_per_ml > 0),
+  ADD COLUMN piece_weight_g NUMERIC(10, 3) CHECK (piece_weight_g IS NULL OR piece_weight_g > 0);
+
+-- Overrides may now carry only conversion data, without a factor
+ALTER TABLE ingredient_emission_overrides
+  ALTER COLUMN emissions_kg_co2e_per_kg DROP NOT NULL,
+  ADD COLUMN density_g_per_ml NUMERIC(10, 4) CHECK (density_g_per_ml IS NULL OR density_g_per_ml > 0),
+  ADD COLUMN piece_weight_g NUMERIC(10, 3) CHECK (piece_weight_g IS NULL OR piece_weight_g > 0);
+
+-- Rows written before units existed: NULL meant kg in the old rollup
+UPDATE menu_item_ingredients SET unit = 'kg' WHERE unit IS NULL;
+
+ALTER TABLE ingredient_purchases
+  ADD COLUMN quantity NUMERIC(14, 3),
+  ADD COLUMN unit TEXT NOT NULL DEFAULT 'g';
+UPDATE ingredient_purchases SET quantity = quantity_grams;
+ALTER TABLE ingredient_purchases
+  ALTER COLUMN quantity SET NOT NULL,
+  ADD CONSTRAINT ingredient_purchases_quantity_check CHECK (quantity > 0);
+
+ALTER TABLE ingredient_waste_events
+  ADD COLUMN quantity NUMERIC(14, 3),
+  ADD COLUMN unit TEXT NOT NULL DEFAULT 'g';
+UPDATE ingredient_waste_events SET quantity = quantity_grams;
+ALTER TABLE ingredient_waste_events
+  ALTER COLUMN quantity SET NOT NULL,
+  ADD CONSTRAINT ingredient_waste_events_quantity_check CHECK (quantity > 0);
@@ -0,0 +1,11 @@
+DROP INDEX IF EXISTS facility_profiles_user_effective_idx;
+DROP INDEX IF EXISTS facility_profiles_user_version_key;
+
+-- The old schema kept one profile per user: keep the latest version
+DELETE FROM facility_profiles fp
+USING facility_profiles newer
+WHERE newer.user_id = fp.user_id AND newer.version > fp.version;
+
+ALTER TABLE facility_profiles
+  DROP COLUMN IF EXISTS effective_from,
+  DROP COLUMN IF EXISTS version;
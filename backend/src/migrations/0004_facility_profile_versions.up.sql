@@ -0,0 +1,27 @@
+-- Facility profiles become an append-only history: every save is a new
+-- version that applies from its effective date, so earlier years stay
+-- available as a baseline.
+
+ALTER TABLE facility_profiles
+  ADD COLUMN version INTEGER,
+  ADD COLUMN effective_from DATE;
+
+UPDATE facility_profiles fp
+SET version = numbered.version,
+    effective_from = fp.created_at::date
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at, id) AS version
+  FROM facility_profiles
+) numbered
+WHERE numbered.id = fp.id;
+
+ALTER TABLE facility_profiles
+  ALTER COLUMN version SET NOT NULL,
+  ALTER COLUMN effective_from SET NOT NULL,
+  ALTER COLUMN effective_from SET DEFAULT CURRENT_DATE;
+
+CREATE UNIQUE INDEX facility_profiles_user_version_key
+  ON facility_profiles (user_id, version);
+
+CREATE INDEX facility_profiles_user_effective_idx
+  ON facility_profiles (user_id, effective_from);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS pos_item_mappings;
+DROP TABLE IF EXISTS menu_item_sales;
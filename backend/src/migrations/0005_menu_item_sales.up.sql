@@ -0,0 +1,29 @@
+-- Daily quantities sold per menu item, entered by hand or imported from a
+-- POS export, and the POS item name → menu item mappings learnt on import.
+
+CREATE TABLE menu_item_sales (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  sale_date DATE NOT NULL,
+  quantity NUMERIC(12, 2) NOT NULL CHECK (quantity > 0),
+  source TEXT NOT NULL DEFAULT 'manual', -- 'manual' | 'pos'
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX menu_item_sales_item_date_key
+  ON menu_item_sales (menu_item_id, sale_date);
+
+CREATE INDEX menu_item_sales_user_date_idx
+  ON menu_item_sales (user_id, sale_date);
+
+CREATE TABLE pos_item_mappings (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pos_name_key TEXT NOT NULL, -- normalized POS item name
+  pos_name TEXT NOT NULL,     -- as it appeared in the export
+  menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, pos_name_key)
+);
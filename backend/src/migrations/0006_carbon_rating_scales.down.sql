@@ -0,0 +1 @@
+DROP TABLE IF EXISTS carbon_rating_scales;
@@ -0,0 +1,9 @@
+-- A restaurant's own carbon rating scale for menu labels. Without a row
+-- the default A–E scale applies.
+
+CREATE TABLE carbon_rating_scales (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  scale JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
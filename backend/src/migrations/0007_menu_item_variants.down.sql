@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS menu_items_variant_of_id_idx;
+
+ALTER TABLE menu_items
+  DROP COLUMN IF EXISTS is_draft,
+  DROP COLUMN IF EXISTS variant_of_id;
@@ -0,0 +1,9 @@
+-- Draft recipe variants: a copy of a dish with some ingredients swapped,
+-- kept off the menu (is_active = FALSE) until someone reviews it.
+
+ALTER TABLE menu_items
+  ADD COLUMN variant_of_id INTEGER REFERENCES menu_items(id) ON DELETE SET NULL,
+  ADD COLUMN is_draft BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX menu_items_variant_of_id_idx
+  ON menu_items (variant_of_id) WHERE variant_of_id IS NOT NULL;
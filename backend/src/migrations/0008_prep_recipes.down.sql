@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS menu_item_components;
+DROP TABLE IF EXISTS prep_recipe_components;
+DROP TABLE IF EXISTS prep_recipe_ingredients;
+DROP TABLE IF EXISTS prep_recipes;
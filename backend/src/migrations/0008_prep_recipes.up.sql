@@ -0,0 +1,61 @@
+-- Prep recipes (sauces, doughs, stocks…) with their own ingredient lists
+-- and batch yield, usable by weight in dishes and in other prep recipes.
+
+CREATE TABLE prep_recipes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  yield_quantity NUMERIC(14, 3) NOT NULL CHECK (yield_quantity > 0),
+  yield_unit TEXT NOT NULL DEFAULT 'g',
+  yield_grams NUMERIC(14, 3) NOT NULL CHECK (yield_grams > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX prep_recipes_user_name_key
+  ON prep_recipes (user_id, LOWER(name));
+
+CREATE TABLE prep_recipe_ingredients (
+  id SERIAL PRIMARY KEY,
+  prep_recipe_id INTEGER NOT NULL REFERENCES prep_recipes(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE RESTRICT,
+  quantity NUMERIC(12, 3) NOT NULL CHECK (quantity > 0),
+  unit TEXT NOT NULL DEFAULT 'g'
+);
+
+CREATE UNIQUE INDEX prep_recipe_ingredients_recipe_ingredient_key
+  ON prep_recipe_ingredients (prep_recipe_id, ingredient_id);
+
+CREATE INDEX prep_recipe_ingredients_ingredient_id_idx
+  ON prep_recipe_ingredients (ingredient_id);
+
+-- A prep recipe used inside another one (e.g. stock in a sauce)
+CREATE TABLE prep_recipe_components (
+  id SERIAL PRIMARY KEY,
+  prep_recipe_id INTEGER NOT NULL REFERENCES prep_recipes(id) ON DELETE CASCADE,
+  component_id INTEGER NOT NULL REFERENCES prep_recipes(id) ON DELETE RESTRICT,
+  quantity NUMERIC(12, 3) NOT NULL CHECK (quantity > 0),
+  unit TEXT NOT NULL DEFAULT 'g',
+  CHECK (component_id <> prep_recipe_id)
+);
+
+CREATE UNIQUE INDEX prep_recipe_components_recipe_component_key
+  ON prep_recipe_components (prep_recipe_id, component_id);
+
+CREATE INDEX prep_recipe_components_component_id_idx
+  ON prep_recipe_components (component_id);
+
+-- A prep recipe used in a dish
+CREATE TABLE menu_item_components (
+  id SERIAL PRIMARY KEY,
+  menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  prep_recipe_id INTEGER NOT NULL REFERENCES prep_recipes(id) ON DELETE RESTRICT,
+  quantity NUMERIC(12, 3) NOT NULL CHECK (quantity > 0),
+  unit TEXT NOT NULL DEFAULT 'g'
+);
+
+CREATE UNIQUE INDEX menu_item_components_item_recipe_key
+  ON menu_item_components (menu_item_id, prep_recipe_id);
+
+CREATE INDEX menu_item_components_prep_recipe_id_idx
+  ON menu_item_components (prep_recipe_id);
@@ -0,0 +1,4 @@
+ALTER TABLE prep_recipe_ingredients DROP COLUMN IF EXISTS yield_percent;
+ALTER TABLE menu_item_ingredients DROP COLUMN IF EXISTS yield_percent;
+ALTER TABLE ingredient_emission_overrides DROP COLUMN IF EXISTS yield_percent;
+ALTER TABLE ingredients DROP COLUMN IF EXISTS yield_percent;
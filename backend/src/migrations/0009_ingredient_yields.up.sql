@@ -0,0 +1,20 @@
+-- As-purchased → edible yield (e.g. 55 for whole salmon to trimmed fillet).
+-- Recipe lines are edible weights; emissions and cost use the weight as
+-- purchased, edible / (yield / 100). NULL = no loss.
+
+ALTER TABLE ingredients
+  ADD COLUMN yield_percent NUMERIC(5, 2)
+    CHECK (yield_percent IS NULL OR (yield_percent > 0 AND yield_percent <= 100));
+
+ALTER TABLE ingredient_emission_overrides
+  ADD COLUMN yield_percent NUMERIC(5, 2)
+    CHECK (yield_percent IS NULL OR (yield_percent > 0 AND yield_percent <= 100));
+
+-- Per recipe line, when the trim differs from the ingredient's usual one
+ALTER TABLE menu_item_ingredients
+  ADD COLUMN yield_percent NUMERIC(5, 2)
+    CHECK (yield_percent IS NULL OR (yield_percent > 0 AND yield_percent <= 100));
+
+ALTER TABLE prep_recipe_ingredients
+  ADD COLUMN yield_percent NUMERIC(5, 2)
+    CHECK (yield_percent IS NULL OR (yield_percent > 0 AND yield_percent <= 100));
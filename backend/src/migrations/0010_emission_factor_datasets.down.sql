@@ -0,0 +1,6 @@
+ALTER TABLE menu_items
+  DROP COLUMN IF EXISTS emissions_calculated_at,
+  DROP COLUMN IF EXISTS emission_dataset_id;
+ALTER TABLE users DROP COLUMN IF EXISTS active_emission_dataset_id;
+DROP TABLE IF EXISTS emission_factor_dataset_factors;
+DROP TABLE IF EXISTS emission_factor_datasets;
@@ -0,0 +1,37 @@
+-- Named, dated sets of emission factors (e.g. "2024 national LCA v2"),
+-- imported from CSV. Each restaurant picks one as active; its factors win
+-- over the catalogue's, the restaurant's own overrides still win over both.
+
+CREATE TABLE emission_factor_datasets (
+  id SERIAL PRIMARY KEY,
+  -- NULL = shared with every restaurant
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  published_on DATE,
+  source TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX emission_factor_datasets_user_name_key
+  ON emission_factor_datasets (COALESCE(user_id, 0), LOWER(name));
+
+CREATE TABLE emission_factor_dataset_factors (
+  dataset_id INTEGER NOT NULL REFERENCES emission_factor_datasets(id) ON DELETE CASCADE,
+  ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE CASCADE,
+  emissions_kg_co2e_per_kg NUMERIC(10, 4) NOT NULL CHECK (emissions_kg_co2e_per_kg >= 0),
+  PRIMARY KEY (dataset_id, ingredient_id)
+);
+
+CREATE INDEX emission_factor_dataset_factors_ingredient_id_idx
+  ON emission_factor_dataset_factors (ingredient_id);
+
+-- NULL = catalogue factors only
+ALTER TABLE users
+  ADD COLUMN active_emission_dataset_id INTEGER
+    REFERENCES emission_factor_datasets(id) ON DELETE SET NULL;
+
+-- Which dataset (NULL = catalogue) the stored estimate was calculated with
+ALTER TABLE menu_items
+  ADD COLUMN emission_dataset_id INTEGER
+    REFERENCES emission_factor_datasets(id) ON DELETE SET NULL,
+  ADD COLUMN emissions_calculated_at TIMESTAMPTZ;
@@ -0,0 +1,20 @@
+DROP TRIGGER IF EXISTS users_mark_stale ON users;
+DROP TRIGGER IF EXISTS emission_factor_dataset_factors_mark_stale ON emission_factor_dataset_factors;
+DROP TRIGGER IF EXISTS ingredient_emission_overrides_mark_stale ON ingredient_emission_overrides;
+DROP TRIGGER IF EXISTS ingredients_mark_stale ON ingredients;
+DROP TRIGGER IF EXISTS prep_recipes_mark_stale ON prep_recipes;
+DROP TRIGGER IF EXISTS prep_recipe_components_mark_stale ON prep_recipe_components;
+DROP TRIGGER IF EXISTS prep_recipe_ingredients_mark_stale ON prep_recipe_ingredients;
+DROP TRIGGER IF EXISTS menu_item_components_mark_stale ON menu_item_components;
+DROP TRIGGER IF EXISTS menu_item_ingredients_mark_stale ON menu_item_ingredients;
+DROP FUNCTION IF EXISTS active_dataset_changed();
+DROP FUNCTION IF EXISTS dataset_factor_changed();
+DROP FUNCTION IF EXISTS ingredient_override_changed();
+DROP FUNCTION IF EXISTS ingredient_changed();
+DROP FUNCTION IF EXISTS prep_recipe_yield_changed();
+DROP FUNCTION IF EXISTS prep_recipe_lines_changed();
+DROP FUNCTION IF EXISTS menu_item_lines_changed();
+DROP FUNCTION IF EXISTS mark_ingredient_dishes_stale(INTEGER[], INTEGER);
+DROP FUNCTION IF EXISTS mark_prep_recipe_dishes_stale(INTEGER[]);
+DROP FUNCTION IF EXISTS mark_menu_items_stale(INTEGER[]);
+ALTER TABLE menu_items DROP COLUMN IF EXISTS emissions_stale_since;
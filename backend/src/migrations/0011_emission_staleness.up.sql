@@ -0,0 +1,200 @@
+-- Dish totals (menu_items.estimated_emissions_kg_co2e) are derived data.
+-- Every change to something a total depends on marks the affected dishes
+-- stale here, in the same transaction; the API recalculates them after its
+-- own writes and a background job catches up on the rest (e.g. catalogue
+-- updates), so reads never write. NULL = up to date.
+
+ALTER TABLE menu_items ADD COLUMN emissions_stale_since TIMESTAMPTZ;
+
+CREATE INDEX menu_items_emissions_stale_idx
+  ON menu_items (emissions_stale_since)
+  WHERE emissions_stale_since IS NOT NULL;
+
+-- Updates rows that are already stale too: the row lock makes a change wait
+-- for a recalculation in progress, which then can't clear it unseen.
+CREATE FUNCTION mark_menu_items_stale(item_ids INTEGER[]) RETURNS VOID
+LANGUAGE sql AS $$
+  UPDATE menu_items
+  SET emissions_stale_since = COALESCE(emissions_stale_since, NOW())
+  WHERE id = ANY(item_ids);
+$$;
+
+-- Dishes using the prep recipes, directly or nested in other prep recipes
+CREATE FUNCTION mark_prep_recipe_dishes_stale(recipe_ids INTEGER[]) RETURNS VOID
+LANGUAGE sql AS $$
+  WITH RECURSIVE recipes AS (
+    SELECT UNNEST(recipe_ids) AS id
+    UNION
+    SELECT c.prep_recipe_id
+    FROM prep_recipe_components c
+    JOIN recipes r ON r.id = c.component_id
+  )
+  SELECT mark_menu_items_stale(ARRAY(
+    SELECT mic.menu_item_id
+    FROM menu_item_components mic
+    JOIN recipes r ON r.id = mic.prep_recipe_id
+  ));
+$$;
+
+-- Dishes using the ingredients, directly or through prep recipes, of one
+-- restaurant (owner_id NULL = every restaurant)
+CREATE FUNCTION mark_ingredient_dishes_stale(ingredient_ids INTEGER[], owner_id INTEGER)
+RETURNS VOID
+LANGUAGE sql AS $$
+  SELECT mark_menu_items_stale(ARRAY(
+    SELECT mii.menu_item_id
+    FROM menu_item_ingredients mii
+    JOIN menu_items mi ON mi.id = mii.menu_item_id
+    JOIN menus m ON m.id = mi.menu_id
+    WHERE mii.ingredient_id = ANY(ingredient_ids)
+      AND (owner_id IS NULL OR m.user_id = owner_id)
+  ));
+  SELECT mark_prep_recipe_dishes_stale(ARRAY(
+    SELECT pri.prep_recipe_id
+    FROM prep_recipe_ingredients pri
+    JOIN prep_recipes pr ON pr.id = pri.prep_recipe_id
+    WHERE pri.ingredient_id = ANY(ingredient_ids)
+      AND (owner_id IS NULL OR pr.user_id = owner_id)
+  ));
+$$;
+
+-- Recipe lines of a dish
+CREATE FUNCTION menu_item_lines_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM mark_menu_items_stale(ARRAY[OLD.menu_item_id]);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM mark_menu_items_stale(ARRAY[NEW.menu_item_id]);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER menu_item_ingredients_mark_stale
+  AFTER INSERT OR UPDATE OR DELETE ON menu_item_ingredients
+  FOR EACH ROW EXECUTE FUNCTION menu_item_lines_changed();
+
+CREATE TRIGGER menu_item_components_mark_stale
+  AFTER INSERT OR UPDATE OR DELETE ON menu_item_components
+  FOR EACH ROW EXECUTE FUNCTION menu_item_lines_changed();
+
+-- Lines and batch yield of a prep recipe
+CREATE FUNCTION prep_recipe_lines_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM mark_prep_recipe_dishes_stale(ARRAY[OLD.prep_recipe_id]);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM mark_prep_recipe_dishes_stale(ARRAY[NEW.prep_recipe_id]);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER prep_recipe_ingredients_mark_stale
+  AFTER INSERT OR UPDATE OR DELETE ON prep_recipe_ingredients
+  FOR EACH ROW EXECUTE FUNCTION prep_recipe_lines_changed();
+
+CREATE TRIGGER prep_recipe_components_mark_stale
+  AFTER INSERT OR UPDATE OR DELETE ON prep_recipe_components
+  FOR EACH ROW EXECUTE FUNCTION prep_recipe_lines_changed();
+
+CREATE FUNCTION prep_recipe_yield_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM mark_prep_recipe_dishes_stale(ARRAY[NEW.id]);
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER prep_recipes_mark_stale
+  AFTER UPDATE ON prep_recipes
+  FOR EACH ROW
+  WHEN (OLD.yield_grams IS DISTINCT FROM NEW.yield_grams)
+  EXECUTE FUNCTION prep_recipe_yield_changed();
+
+-- Catalogue (or a restaurant's own) ingredient: factor, conversions, yield
+CREATE FUNCTION ingredient_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM mark_ingredient_dishes_stale(ARRAY[NEW.id], NULL);
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER ingredients_mark_stale
+  AFTER UPDATE ON ingredients
+  FOR EACH ROW
+  WHEN (
+    OLD.emissions_kg_co2e_per_kg IS DISTINCT FROM NEW.emissions_kg_co2e_per_kg
+    OR OLD.density_g_per_ml IS DISTINCT FROM NEW.density_g_per_ml
+    OR OLD.piece_weight_g IS DISTINCT FROM NEW.piece_weight_g
+    OR OLD.yield_percent IS DISTINCT FROM NEW.yield_percent
+  )
+  EXECUTE FUNCTION ingredient_changed();
+
+-- A restaurant's override of a catalogue ingredient
+CREATE FUNCTION ingredient_override_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM mark_ingredient_dishes_stale(ARRAY[OLD.ingredient_id], OLD.user_id);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM mark_ingredient_dishes_stale(ARRAY[NEW.ingredient_id], NEW.user_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER ingredient_emission_overrides_mark_stale
+  AFTER INSERT OR UPDATE OR DELETE ON ingredient_emission_overrides
+  FOR EACH ROW EXECUTE FUNCTION ingredient_override_changed();
+
+-- A factor of a dataset, for every restaurant that has it active
+CREATE FUNCTION dataset_factor_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM mark_ingredient_dishes_stale(ARRAY[OLD.ingredient_id], u.id)
+    FROM users u
+    WHERE u.active_emission_dataset_id = OLD.dataset_id;
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM mark_ingredient_dishes_stale(ARRAY[NEW.ingredient_id], u.id)
+    FROM users u
+    WHERE u.active_emission_dataset_id = NEW.dataset_id;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER emission_factor_dataset_factors_mark_stale
+  AFTER INSERT OR UPDATE OR DELETE ON emission_factor_dataset_factors
+  FOR EACH ROW EXECUTE FUNCTION dataset_factor_changed();
+
+-- A restaurant switching datasets
+CREATE FUNCTION active_dataset_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM mark_menu_items_stale(ARRAY(
+    SELECT mi.id
+    FROM menu_items mi
+    JOIN menus m ON m.id = mi.menu_id
+    WHERE m.user_id = NEW.id
+  ));
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER users_mark_stale
+  AFTER UPDATE ON users
+  FOR EACH ROW
+  WHEN (OLD.active_emission_dataset_id IS DISTINCT FROM NEW.active_emission_dataset_id)
+  EXECUTE FUNCTION active_dataset_changed();
+
+-- Totals stored before this migration may already be out of date
+UPDATE menu_items SET emissions_stale_since = NOW();
@@ -0,0 +1,75 @@
+-- Back to the single-argument functions of 0011
+CREATE OR REPLACE FUNCTION mark_menu_items_stale(item_ids INTEGER[]) RETURNS VOID
+LANGUAGE sql AS $$
+  UPDATE menu_items
+  SET emissions_stale_since = COALESCE(emissions_stale_since, NOW())
+  WHERE id = ANY(item_ids);
+$$;
+
+CREATE OR REPLACE FUNCTION mark_prep_recipe_dishes_stale(recipe_ids INTEGER[]) RETURNS VOID
+LANGUAGE sql AS $$
+  WITH RECURSIVE recipes AS (
+    SELECT UNNEST(recipe_ids) AS id
+    UNION
+    SELECT c.prep_recipe_id
+    FROM prep_recipe_components c
+    JOIN recipes r ON r.id = c.component_id
+  )
+  SELECT mark_menu_items_stale(ARRAY(
+    SELECT mic.menu_item_id
+    FROM menu_item_components mic
+    JOIN recipes r ON r.id = mic.prep_recipe_id
+  ));
+$$;
+
+CREATE OR REPLACE FUNCTION mark_ingredient_dishes_stale(ingredient_ids INTEGER[], owner_id INTEGER)
+RETURNS VOID
+LANGUAGE sql AS $$
+  SELECT mark_menu_items_stale(ARRAY(
+    SELECT mii.menu_item_id
+    FROM menu_item_ingredients mii
+    JOIN menu_items mi ON mi.id = mii.menu_item_id
+    JOIN menus m ON m.id = mi.menu_id
+    WHERE mii.ingredient_id = ANY(ingredient_ids)
+      AND (owner_id IS NULL OR m.user_id = owner_id)
+  ));
+  SELECT mark_prep_recipe_dishes_stale(ARRAY(
+    SELECT pri.prep_recipe_id
+    FROM prep_recipe_ingredients pri
+    JOIN prep_recipes pr ON pr.id = pri.prep_recipe_id
+    WHERE pri.ingredient_id = ANY(ingredient_ids)
+      AND (owner_id IS NULL OR pr.user_id = owner_id)
+  ));
+$$;
+
+CREATE OR REPLACE FUNCTION menu_item_lines_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM mark_menu_items_stale(ARRAY[OLD.menu_item_id]);
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM mark_menu_items_stale(ARRAY[NEW.menu_item_id]);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION active_dataset_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM mark_menu_items_stale(ARRAY(
+    SELECT mi.id
+    FROM menu_items mi
+    JOIN menus m ON m.id = mi.menu_id
+    WHERE m.user_id = NEW.id
+  ));
+  RETURN NULL;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS mark_prep_recipe_dishes_stale(INTEGER[], TEXT);
+DROP FUNCTION IF EXISTS mark_menu_items_stale(INTEGER[], TEXT);
+ALTER TABLE menu_items DROP COLUMN IF EXISTS emissions_stale_reason;
+DROP TABLE IF EXISTS menu_emission_snapshots;
+DROP TABLE IF EXISTS menu_item_emission_snapshots;
@@ -0,0 +1,211 @@
+-- History of dish and menu emissions: every recalculation after a change
+-- records a snapshot with its total, its breakdown and what triggered it.
+--   recipe_edit    recipe lines, prep recipes, batch yields
+--   factor_update  ingredient data, overrides, dataset factors or switching
+--                  datasets
+--   manual         recorded on request
+--   baseline       what was stored when history began (this migration)
+
+CREATE TABLE menu_item_emission_snapshots (
+  id SERIAL PRIMARY KEY,
+  menu_item_id INTEGER NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+  total_kg_co2e NUMERIC(12, 4) NOT NULL,
+  -- [{ ingredientId | prepRecipeId, name, quantity, unit, grams,
+  --    asPurchasedGrams, kgCo2ePerKg, kgCo2e }]
+  breakdown JSONB NOT NULL,
+  reason TEXT NOT NULL
+    CHECK (reason IN ('recipe_edit', 'factor_update', 'manual', 'baseline')),
+  note TEXT,
+  emission_dataset_id INTEGER REFERENCES emission_factor_datasets(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX menu_item_emission_snapshots_item_created_idx
+  ON menu_item_emission_snapshots (menu_item_id, created_at);
+
+CREATE TABLE menu_emission_snapshots (
+  id SERIAL PRIMARY KEY,
+  menu_id INTEGER NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  -- active items only
+  total_kg_co2e NUMERIC(14, 4) NOT NULL,
+  item_count INTEGER NOT NULL,
+  -- [{ menuItemId, name, kgCo2e }]
+  breakdown JSONB NOT NULL,
+  reason TEXT NOT NULL
+    CHECK (reason IN ('recipe_edit', 'factor_update', 'manual', 'baseline')),
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX menu_emission_snapshots_menu_created_idx
+  ON menu_emission_snapshots (menu_id, created_at);
+
+-- What made a stale dish stale; a recipe edit wins over a factor update.
+-- Dishes already waiting keep none and get no snapshot.
+ALTER TABLE menu_items
+  ADD COLUMN emissions_stale_reason TEXT
+    CHECK (emissions_stale_reason IN ('recipe_edit', 'factor_update'));
+
+CREATE FUNCTION mark_menu_items_stale(item_ids INTEGER[], reason TEXT) RETURNS VOID
+LANGUAGE sql AS $$
+  UPDATE menu_items
+  SET emissions_stale_since = COALESCE(emissions_stale_since, NOW()),
+      emissions_stale_reason = CASE
+        WHEN emissions_stale_reason = 'recipe_edit' THEN emissions_stale_reason
+        ELSE reason
+      END
+  WHERE id = ANY(item_ids);
+$$;
+
+-- Dishes using the prep recipes, directly or nested in other prep recipes
+CREATE FUNCTION mark_prep_recipe_dishes_stale(recipe_ids INTEGER[], reason TEXT) RETURNS VOID
+LANGUAGE sql AS $$
+  WITH RECURSIVE recipes AS (
+    SELECT UNNEST(recipe_ids) AS id
+    UNION
+    SELECT c.prep_recipe_id
+    FROM prep_recipe_components c
+    JOIN recipes r ON r.id = c.component_id
+  )
+  SELECT mark_menu_items_stale(ARRAY(
+    SELECT mic.menu_item_id
+    FROM menu_item_components mic
+    JOIN recipes r ON r.id = mic.prep_recipe_id
+  ), reason);
+$$;
+
+-- Called by the prep recipe triggers of 0011
+CREATE OR REPLACE FUNCTION mark_prep_recipe_dishes_stale(recipe_ids INTEGER[]) RETURNS VOID
+LANGUAGE sql AS $$
+  SELECT mark_prep_recipe_dishes_stale(recipe_ids, 'recipe_edit');
+$$;
+
+CREATE OR REPLACE FUNCTION mark_ingredient_dishes_stale(ingredient_ids INTEGER[], owner_id INTEGER)
+RETURNS VOID
+LANGUAGE sql AS $$
+  SELECT mark_menu_items_stale(ARRAY(
+    SELECT mii.menu_item_id
+    FROM menu_item_ingredients mii
+    JOIN menu_items mi ON mi.id = mii.menu_item_id
+    JOIN menus m ON m.id = mi.menu_id
+    WHERE mii.ingredient_id = ANY(ingredient_ids)
+      AND (owner_id IS NULL OR m.user_id = owner_id)
+  ), 'factor_update');
+  SELECT mark_prep_recipe_dishes_stale(ARRAY(
+    SELECT pri.prep_recipe_id
+    FROM prep_recipe_ingredients pri
+    JOIN prep_recipes pr ON pr.id = pri.prep_recipe_id
+    WHERE pri.ingredient_id = ANY(ingredient_ids)
+      AND (owner_id IS NULL OR pr.user_id = owner_id)
+  ), 'factor_update');
+$$;
+
+CREATE OR REPLACE FUNCTION menu_item_lines_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    PERFORM mark_menu_items_stale(ARRAY[OLD.menu_item_id], 'recipe_edit');
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    PERFORM mark_menu_items_stale(ARRAY[NEW.menu_item_id], 'recipe_edit');
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION active_dataset_changed() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  PERFORM mark_menu_items_stale(ARRAY(
+    SELECT mi.id
+    FROM menu_items mi
+    JOIN menus m ON m.id = mi.menu_id
+    WHERE m.user_id = NEW.id
+  ), 'factor_update');
+  RETURN NULL;
+END;
+$$;
+
+DROP FUNCTION mark_menu_items_stale(INTEGER[]);
+
+-- Baselines: each dish's stored total with its recipe lines and the factors
+-- in effect now. Grams and per-line kg CO2e need the app's unit
+-- conversions and stay NULL; prep recipes carry quantities only.
+INSERT INTO menu_item_emission_snapshots
+  (menu_item_id, total_kg_co2e, breakdown, reason, emission_dataset_id)
+SELECT mi.id,
+       mi.estimated_emissions_kg_co2e,
+       COALESCE(lines.breakdown, '[]') || COALESCE(components.breakdown, '[]'),
+       'baseline',
+       mi.emission_dataset_id
+FROM menu_items mi
+JOIN menus m ON m.id = mi.menu_id
+JOIN users u ON u.id = m.user_id
+LEFT JOIN LATERAL (
+  SELECT jsonb_agg(
+           jsonb_build_object(
+             'ingredientId', i.id,
+             'name', i.name,
+             'quantity', mii.quantity,
+             'unit', mii.unit,
+             'grams', NULL,
+             'asPurchasedGrams', NULL,
+             'kgCo2ePerKg', COALESCE(o.emissions_kg_co2e_per_kg,
+                                     df.emissions_kg_co2e_per_kg,
+                                     i.emissions_kg_co2e_per_kg),
+             'factorSource', CASE
+               WHEN o.emissions_kg_co2e_per_kg IS NOT NULL THEN 'override'
+               WHEN df.emissions_kg_co2e_per_kg IS NOT NULL THEN 'dataset'
+               ELSE 'catalogue'
+             END,
+             'kgCo2e', NULL
+           )
+           ORDER BY i.name
+         ) AS breakdown
+  FROM menu_item_ingredients mii
+  JOIN ingredients i ON i.id = mii.ingredient_id
+  LEFT JOIN ingredient_emission_overrides o
+    ON o.ingredient_id = i.id AND o.user_id = m.user_id
+  LEFT JOIN emission_factor_dataset_factors df
+    ON df.ingredient_id = i.id AND df.dataset_id = u.active_emission_dataset_id
+  WHERE mii.menu_item_id = mi.id
+) lines ON TRUE
+LEFT JOIN LATERAL (
+  SELECT jsonb_agg(
+           jsonb_build_object(
+             'prepRecipeId', pr.id,
+             'name', pr.name,
+             'quantity', mic.quantity,
+             'unit', mic.unit,
+             'grams', NULL,
+             'asPurchasedGrams', NULL,
+             'kgCo2ePerKg', NULL,
+             'kgCo2e', NULL
+           )
+           ORDER BY pr.name
+         ) AS breakdown
+  FROM menu_item_components mic
+  JOIN prep_recipes pr ON pr.id = mic.prep_recipe_id
+  WHERE mic.menu_item_id = mi.id
+) components ON TRUE;
+
+INSERT INTO menu_emission_snapshots
+  (menu_id, total_kg_co2e, item_count, breakdown, reason)
+SELECT m.id,
+       COALESCE(SUM(mi.estimated_emissions_kg_co2e), 0),
+       COUNT(mi.id)::int,
+       COALESCE(
+         jsonb_agg(
+           jsonb_build_object(
+             'menuItemId', mi.id,
+             'name', mi.name,
+             'kgCo2e', mi.estimated_emissions_kg_co2e
+           )
+           ORDER BY mi.id
+         ) FILTER (WHERE mi.id IS NOT NULL),
+         '[]'
+       ),
+       'baseline'
+FROM menus m
+LEFT JOIN menu_items mi ON mi.menu_id = m.id AND mi.is_active = TRUE
+GROUP BY m.id;
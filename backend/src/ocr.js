@@ -0,0 +1,67 @@
+import { createRequire } from "module";
+import { createWorker } from "tesseract.js";
+import { pdf as renderPdf } from "pdf-to-img";
+
+const require = createRequire(import.meta.url);
+
+// English traineddata ships inside node_modules, so OCR never downloads
+// anything at runtime.
+const engData = require("@tesseract.js-data/eng");
+
+const MAX_OCR_PAGES = Number(process.env.OCR_MAX_PAGES) || 10;
+
+// 2x gives tesseract roughly 150 dpi for a letter-size page
+const PDF_RENDER_SCALE = 2;
+
+export const OCR_IMAGE_TYPES = ["image/jpeg", "image/png"];
+
+// One worker for the whole process: creating it loads the ~10MB model.
+// Jobs are queued so concurrent uploads don't fight over it.
+let workerPromise = null;
+let queue = Promise.resolve();
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(engData.code, 1, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: "none", // don't write eng.traineddata into the cwd
+    }).catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+function enqueue(job) {
+  const run = queue.then(job, job);
+  queue = run.catch(() => {});
+  return run;
+}
+
+export async function recognizeImage(imageBuffer) {
+  return enqueue(async () => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(imageBuffer);
+    return data.text || "";
+  });
+}
+
+// Render each page of an image-only PDF to PNG and OCR it
+export async function recognizePdf(pdfBuffer) {
+  const doc = await renderPdf(pdfBuffer, { scale: PDF_RENDER_SCALE });
+  const pageCount = Math.min(doc.length, MAX_OCR_PAGES);
+  const pages = [];
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+    const image = await doc.getPage(pageNumber);
+    pages.push(await recognizeImage(image));
+  }
+
+  return {
+    text: pages.join("\n"),
+    pagesProcessed: pageCount,
+    totalPages: doc.length,
+  };
+}
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters. They are stored with every hash, so raising them
+// later only affects new hashes; older ones are upgraded on the next login.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const HASH_PREFIX = "scrypt";
+
+/**
+ * Hash a password for storage in users.password_hash.
+ * Format: scrypt$<N>$<r>$<p>$<salt base64>$<key base64>
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+  });
+
+  return [
+    HASH_PREFIX,
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+function parseHash(stored) {
+  const parts = String(stored).split("$");
+  if (parts.length !== 6 || parts[0] !== HASH_PREFIX) {
+    return null;
+  }
+
+  const [, n, r, p, salt, key] = parts;
+  const params = { N: Number(n), r: Number(r), p: Number(p) };
+  if (!Object.values(params).every((v) => Number.isInteger(v) && v > 0)) {
+    return null;
+  }
+
+  return {
+    params,
+    salt: Buffer.from(salt, "base64"),
+    key: Buffer.from(key, "base64"),
+  };
+}
+
+// Compare two strings without leaking where they differ (or their length)
+function safeEqualStrings(a, b) {
+  const da = crypto.createHash("sha256").update(String(a)).digest();
+  const db = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(da, db);
+}
+
+/**
+ * Check a password against users.password_hash.
+ * Returns { ok, needsRehash }:
+ * - legacy rows hold the raw password; they match with needsRehash = true
+ * - hashes made with older scrypt parameters also report needsRehash = true
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== "string" || !stored) {
+    return { ok: false, needsRehash: false };
+  }
+
+  const parsed = parseHash(stored);
+
+  if (!parsed) {
+    // Legacy plaintext row
+    return { ok: safeEqualStrings(password, stored), needsRehash: true };
+  }
+
+  const key = await scrypt(password, parsed.salt, parsed.key.length, {
+    ...parsed.params,
+    maxmem: 256 * parsed.params.N * parsed.params.r,
+  });
+
+  const ok =
+    key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+
+  const needsRehash =
+    parsed.params.N !== SCRYPT_N ||
+    parsed.params.r !== SCRYPT_R ||
+    parsed.params.p !== SCRYPT_P ||
+    parsed.key.length !== KEY_LENGTH;
+
+  return { ok, needsRehash };
+}
+
+// Burn roughly the same time as a real check when the email is unknown,
+// so login timing doesn't reveal which accounts exist.
+let dummyHashPromise = null;
+export async function verifyDummyPassword(password) {
+  if (!dummyHashPromise) {
+    dummyHashPromise = hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  await verifyPassword(String(password), await dummyHashPromise);
+  return { ok: false, needsRehash: false };
+}
@@ -0,0 +1,149 @@
+import { parseCsvRecords } from "./menuSpreadsheet.js";
+
+/**
+ * POS SALES CSV
+ * Reads the item sales export of a point-of-sale system into
+ *   [{ line, posName, saleDate, quantity }]
+ * Column names differ between systems (Square, Toast, Lightspeed, Clover…),
+ * so the date, item and quantity columns are found by their usual headers
+ * unless the caller names them. Exports without a date column (one file per
+ * day) need a saleDate for the whole file.
+ */
+
+const COLUMN_CANDIDATES = {
+  date: [
+    "date", "business date", "sale date", "sales date", "order date",
+    "transaction date", "closed date", "day",
+  ],
+  item: [
+    "item", "item name", "menu item", "menu item name", "product",
+    "product name", "name", "description", "article",
+  ],
+  quantity: [
+    "qty", "quantity", "quantity sold", "qty sold", "items sold", "sold",
+    "net quantity", "net qty", "count", "units sold", "item count",
+  ],
+};
+
+const normalizeHeader = (h) =>
+  String(h || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ");
+
+function findColumn(headers, role, explicit) {
+  if (explicit) {
+    const index = headers.indexOf(normalizeHeader(explicit));
+    return index === -1 ? { error: `Column "${explicit}" not found` } : { index };
+  }
+  for (const candidate of COLUMN_CANDIDATES[role]) {
+    const index = headers.indexOf(candidate);
+    if (index !== -1) return { index };
+  }
+  return { index: -1 };
+}
+
+// "2026-10-01", "2026-10-01 18:32", "10/01/2026", "1/10/26" → "YYYY-MM-DD"
+// Slashed dates are read month-first (North American POS exports) unless
+// the first part can only be a day.
+export function parsePosDate(value) {
+  const text = String(value || "").trim();
+
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+  if (m) return toIsoDate(+m[1], +m[2], +m[3]);
+
+  m = text.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})(?:[\s,].*)?$/);
+  if (m) {
+    let [month, day] = [+m[1], +m[2]];
+    if (month > 12 && day <= 12) [month, day] = [day, month];
+    const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return toIsoDate(year, month, day);
+  }
+
+  return null;
+}
+
+function toIsoDate(year, month, day) {
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * options: { dateColumn?, itemColumn?, quantityColumn?, saleDate? }
+ * Returns { rows, errors } or throws an Error with a user-facing message
+ * when the header can't be used.
+ */
+export function readPosSalesCsv(buffer, options = {}) {
+  const records = parseCsvRecords(buffer.toString("utf8")).filter((r) =>
+    r.cells.some((c) => c.trim() !== "")
+  );
+  if (records.length === 0) {
+    throw new Error("The file is empty");
+  }
+
+  const [header, ...dataRecords] = records;
+  const headers = header.cells.map(normalizeHeader);
+
+  const columns = {};
+  for (const [role, explicit] of [
+    ["date", options.dateColumn],
+    ["item", options.itemColumn],
+    ["quantity", options.quantityColumn],
+  ]) {
+    const found = findColumn(headers, role, explicit);
+    if (found.error) throw new Error(found.error);
+    columns[role] = found.index;
+  }
+
+  if (columns.item === -1 || columns.quantity === -1) {
+    throw new Error(
+      `Could not find the ${columns.item === -1 ? "item" : "quantity"} column ` +
+        `(headers: ${header.cells.join(", ")}); pass itemColumn / quantityColumn`
+    );
+  }
+
+  let fileDate = null;
+  if (options.saleDate) {
+    fileDate = parsePosDate(options.saleDate);
+    if (!fileDate) throw new Error("saleDate must be a date (YYYY-MM-DD)");
+  }
+  if (columns.date === -1 && !fileDate) {
+    throw new Error("The file has no date column; pass saleDate for the whole file");
+  }
+
+  const rows = [];
+  const errors = [];
+
+  for (const record of dataRecords) {
+    const cell = (index) => String(record.cells[index] ?? "").trim();
+    const posName = cell(columns.item);
+
+    // POS exports end with "Total" rows and often have blank category rows
+    if (!posName || /^(grand )?totals?:?$/i.test(posName)) continue;
+
+    const rawQuantity = cell(columns.quantity).replace(/,/g, "");
+    const quantity = Number(rawQuantity);
+    if (rawQuantity === "" || !Number.isFinite(quantity)) {
+      errors.push({ line: record.line, error: `Invalid quantity "${cell(columns.quantity)}"` });
+      continue;
+    }
+
+    let saleDate = fileDate;
+    if (columns.date !== -1 && cell(columns.date) !== "") {
+      saleDate = parsePosDate(cell(columns.date));
+      if (!saleDate) {
+        errors.push({ line: record.line, error: `Invalid date "${cell(columns.date)}"` });
+        continue;
+      }
+    }
+    if (!saleDate) {
+      errors.push({ line: record.line, error: "Missing date" });
+      continue;
+    }
+
+    rows.push({ line: record.line, posName, saleDate, quantity });
+  }
+
+  return { rows, errors };
+}
@@ -0,0 +1,180 @@
+import { toAsPurchasedGrams, toGrams } from "./units.js";
+
+/**
+ * PREP RECIPES
+ * Sauces, doughs, stocks… made in batches and used by weight in dishes and
+ * in other prep recipes. Per kg of a prep recipe:
+ *   (its ingredient lines + the prep recipes nested in it) / batch yield
+ * Nesting is resolved depth-first; a recipe that (indirectly) contains
+ * itself is reported instead of recursing forever.
+ *
+ * recipes:         [{ id, name, yield_grams }]
+ * ingredientLines: [{ prep_recipe_id, ingredient_id, ingredient_name, quantity,
+ *                     unit, emissions_kg_co2e_per_kg, density_g_per_ml,
+ *                     piece_weight_g, yield_percent }]
+ * componentLines:  [{ prep_recipe_id, component_id, component_name, quantity, unit }]
+ * costs:           Map of ingredient id → CAD per gram
+ */
+
+const groupBy = (rows, key) => {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Returns a Map of prep recipe id →
+ *   { id, name, yieldGrams, batchKgCo2e, batchCostCad, kgCo2ePerKg, cadPerKg,
+ *     ingredients: Map of ingredient id → { ingredientName, gramsPerGram }
+ *                  (as purchased, per gram of the recipe),
+ *     lines: [{ ingredientId | componentId, name, quantity, unit, grams,
+ *              asPurchasedGrams, kgCo2e, costCad }] for one batch,
+ *     uncosted: [ingredient names without a purchase price],
+ *     unresolved: [lines that couldn't be counted, with the reason] }
+ */
+export function rollupPrepRecipes({ recipes, ingredientLines, componentLines, costs = new Map() }) {
+  const recipesById = new Map(recipes.map((r) => [r.id, r]));
+  const ingredientsOf = groupBy(ingredientLines, "prep_recipe_id");
+  const componentsOf = groupBy(componentLines, "prep_recipe_id");
+
+  const results = new Map();
+  const visiting = new Set();
+
+  const visit = (id) => {
+    if (results.has(id)) return results.get(id);
+    const recipe = recipesById.get(id);
+    if (!recipe || visiting.has(id)) return null;
+    visiting.add(id);
+
+    let batchKgCo2e = 0;
+    let batchCostCad = 0;
+    const batchGrams = new Map();
+    const uncosted = new Set();
+    const unresolved = [];
+    const lines = [];
+
+    const addGrams = (ingredientId, ingredientName, grams) => {
+      const entry = batchGrams.get(ingredientId) || { ingredientName, grams: 0 };
+      entry.grams += grams;
+      batchGrams.set(ingredientId, entry);
+    };
+
+    for (const line of ingredientsOf.get(id) || []) {
+      const conversion = toGrams(line.quantity, line.unit, {
+        name: line.ingredient_name,
+        density_g_per_ml: line.density_g_per_ml,
+        piece_weight_g: line.piece_weight_g,
+      });
+      if (conversion.error) {
+        unresolved.push({
+          prepRecipeId: id,
+          prepRecipeName: recipe.name,
+          ingredientId: line.ingredient_id,
+          ingredientName: line.ingredient_name,
+          quantity: line.quantity,
+          unit: line.unit,
+          error: conversion.error,
+        });
+        continue;
+      }
+
+      // lines are edible weights; what was bought includes the trim
+      const asPurchasedGrams = toAsPurchasedGrams(conversion.grams, line.yield_percent);
+      const kgCo2e = (asPurchasedGrams / 1000) * Number(line.emissions_kg_co2e_per_kg || 0);
+      const costCad = costs.has(line.ingredient_id)
+        ? asPurchasedGrams * costs.get(line.ingredient_id)
+        : null;
+      batchKgCo2e += kgCo2e;
+      if (costCad === null) uncosted.add(line.ingredient_name);
+      else batchCostCad += costCad;
+      addGrams(line.ingredient_id, line.ingredient_name, asPurchasedGrams);
+      lines.push({
+        ingredientId: line.ingredient_id,
+        name: line.ingredient_name,
+        quantity: Number(line.quantity),
+        unit: line.unit,
+        grams: conversion.grams,
+        asPurchasedGrams,
+        kgCo2e,
+        costCad,
+      });
+    }
+
+    for (const line of componentsOf.get(id) || []) {
+      const component = visit(line.component_id);
+      if (!component) {
+        unresolved.push({
+          prepRecipeId: id,
+          prepRecipeName: recipe.name,
+          componentId: line.component_id,
+          componentName: line.component_name,
+          error: `${line.component_name} is used inside itself`,
+        });
+        continue;
+      }
+
+      const conversion = toGrams(line.quantity, line.unit, { name: line.component_name });
+      if (conversion.error) {
+        unresolved.push({
+          prepRecipeId: id,
+          prepRecipeName: recipe.name,
+          componentId: line.component_id,
+          componentName: line.component_name,
+          quantity: line.quantity,
+          unit: line.unit,
+          error: conversion.error,
+        });
+        continue;
+      }
+
+      const kg = conversion.grams / 1000;
+      batchKgCo2e += kg * component.kgCo2ePerKg;
+      batchCostCad += kg * component.cadPerKg;
+      lines.push({
+        componentId: line.component_id,
+        name: line.component_name,
+        quantity: Number(line.quantity),
+        unit: line.unit,
+        grams: conversion.grams,
+        asPurchasedGrams: conversion.grams,
+        kgCo2e: kg * component.kgCo2ePerKg,
+        costCad: kg * component.cadPerKg,
+      });
+      for (const name of component.uncosted) uncosted.add(name);
+      unresolved.push(...component.unresolved);
+      for (const [ingredientId, { ingredientName, gramsPerGram }] of component.ingredients) {
+        addGrams(ingredientId, ingredientName, gramsPerGram * conversion.grams);
+      }
+    }
+
+    visiting.delete(id);
+
+    const yieldGrams = Number(recipe.yield_grams);
+    const ingredients = new Map();
+    for (const [ingredientId, { ingredientName, grams }] of batchGrams) {
+      ingredients.set(ingredientId, { ingredientName, gramsPerGram: grams / yieldGrams });
+    }
+
+    const result = {
+      id,
+      name: recipe.name,
+      yieldGrams,
+      batchKgCo2e,
+      batchCostCad,
+      kgCo2ePerKg: batchKgCo2e / (yieldGrams / 1000),
+      cadPerKg: batchCostCad / (yieldGrams / 1000),
+      ingredients,
+      lines,
+      uncosted: [...uncosted],
+      unresolved,
+    };
+    results.set(id, result);
+    return result;
+  };
+
+  for (const recipe of recipes) visit(recipe.id);
+  return results;
+}
@@ -0,0 +1,177 @@
+/**
+ * UNIT CONVERSION
+ * Every quantity the kitchen enters (recipes, purchases, waste) is stored as
+ * typed – quantity + unit – and resolved to grams for emissions and costing.
+ * - mass units convert directly
+ * - volume units need the ingredient's density (g per ml)
+ * - count units ("each", "dozen") need the ingredient's piece weight (g)
+ * A conversion that lacks the data it needs returns an error instead of
+ * guessing.
+ */
+
+// grams per unit
+const MASS_UNITS = {
+  mg: 0.001,
+  g: 1,
+  kg: 1000,
+  oz: 28.349523125,
+  lb: 453.59237,
+};
+
+// millilitres per unit (US customary for cups/spoons/fluid ounces)
+const VOLUME_UNITS = {
+  ml: 1,
+  cl: 10,
+  dl: 100,
+  l: 1000,
+  tsp: 4.92892159375,
+  tbsp: 14.78676478125,
+  fl_oz: 29.5735295625,
+  cup: 236.5882365,
+  pint: 473.176473,
+  quart: 946.352946,
+  gallon: 3785.411784,
+};
+
+// pieces per unit
+const COUNT_UNITS = {
+  each: 1,
+  dozen: 12,
+};
+
+const UNIT_ALIASES = {
+  milligram: "mg", milligrams: "mg",
+  gram: "g", grams: "g", gr: "g", grs: "g",
+  kilogram: "kg", kilograms: "kg", kgs: "kg", kilo: "kg", kilos: "kg",
+  ounce: "oz", ounces: "oz",
+  pound: "lb", pounds: "lb", lbs: "lb",
+  millilitre: "ml", milliliter: "ml", millilitres: "ml", milliliters: "ml", mls: "ml",
+  centilitre: "cl", centiliter: "cl",
+  decilitre: "dl", deciliter: "dl",
+  litre: "l", liter: "l", litres: "l", liters: "l", lt: "l", ltr: "l",
+  teaspoon: "tsp", teaspoons: "tsp", tsps: "tsp",
+  tablespoon: "tbsp", tablespoons: "tbsp", tbsps: "tbsp", tbs: "tbsp", tbl: "tbsp",
+  "fl oz": "fl_oz", floz: "fl_oz", "fluid ounce": "fl_oz", "fluid ounces": "fl_oz",
+  cups: "cup", c: "cup",
+  pints: "pint", pt: "pint",
+  quarts: "quart", qt: "quart",
+  gallons: "gallon", gal: "gallon",
+  ea: "each", piece: "each", pieces: "each", pc: "each", pcs: "each",
+  unit: "each", units: "each", whole: "each", count: "each", ct: "each",
+  doz: "dozen", dozens: "dozen",
+};
+
+export const SUPPORTED_UNITS = [
+  ...Object.keys(MASS_UNITS),
+  ...Object.keys(VOLUME_UNITS),
+  ...Object.keys(COUNT_UNITS),
+];
+
+// "Tbsp", "tablespoons", "fl. oz" → canonical unit, or null when unknown
+export function normalizeUnit(unit) {
+  if (unit === undefined || unit === null) return null;
+  const key = String(unit)
+    .trim()
+    .toLowerCase()
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ");
+
+  if (MASS_UNITS[key] || VOLUME_UNITS[key] || COUNT_UNITS[key]) return key;
+  return UNIT_ALIASES[key] || null;
+}
+
+export function unitKind(unit) {
+  const u = normalizeUnit(unit);
+  if (!u) return null;
+  if (MASS_UNITS[u]) return "mass";
+  if (VOLUME_UNITS[u]) return "volume";
+  return "count";
+}
+
+const positiveOrNull = (v) => {
+  const n = Number(v);
+  return v !== null && v !== undefined && v !== "" && Number.isFinite(n) && n > 0 ? n : null;
+};
+
+/**
+ * Convert quantity + unit to grams for one ingredient.
+ * - ingredient: { name?, density_g_per_ml?, piece_weight_g? }
+ * Returns { grams, unit } on success or { error } when the conversion can't
+ * be resolved (unknown unit, missing density / piece weight, bad quantity).
+ */
+export function toGrams(quantity, unit, ingredient = {}) {
+  const qty = Number(quantity);
+  if (quantity === null || quantity === "" || !Number.isFinite(qty) || qty <= 0) {
+    return { error: "quantity must be > 0" };
+  }
+
+  const u = normalizeUnit(unit ?? "g");
+  if (!u) {
+    return {
+      error: `Unknown unit "${unit}" (supported: ${SUPPORTED_UNITS.join(", ")})`,
+    };
+  }
+
+  const label = ingredient.name ? ` for ${ingredient.name}` : "";
+
+  if (MASS_UNITS[u]) {
+    return { grams: qty * MASS_UNITS[u], unit: u };
+  }
+
+  if (VOLUME_UNITS[u]) {
+    const density = positiveOrNull(ingredient.density_g_per_ml);
+    if (!density) {
+      return { error: `No density (g per ml) is set${label}; can't convert ${u} to grams` };
+    }
+    return { grams: qty * VOLUME_UNITS[u] * density, unit: u };
+  }
+
+  const pieceWeight = positiveOrNull(ingredient.piece_weight_g);
+  if (!pieceWeight) {
+    return { error: `No piece weight (g) is set${label}; can't convert ${u} to grams` };
+  }
+  return { grams: qty * COUNT_UNITS[u] * pieceWeight, unit: u };
+}
+
+/**
+ * Read { quantity, unit } or the legacy { quantityGrams } from a request
+ * body and resolve it against the ingredient.
+ * Returns { quantity, unit, grams } or { error }.
+ */
+export function resolveBodyQuantity(body, ingredient) {
+  const hasQuantity =
+    body.quantity !== undefined && body.quantity !== null && body.quantity !== "";
+
+  const quantity = hasQuantity ? body.quantity : body.quantityGrams;
+  const unit = hasQuantity ? body.unit || "g" : "g";
+
+  if (quantity === undefined || quantity === null || quantity === "") {
+    return { error: "quantity (with unit) or quantityGrams is required" };
+  }
+
+  const result = toGrams(quantity, unit, ingredient);
+  if (result.error) return result;
+
+  return { quantity: Number(quantity), unit: result.unit, grams: result.grams };
+}
+
+/**
+ * Edible yield: recipes list what is served (trimmed salmon, peeled onion),
+ * but more than that was bought. With a yield of 55 (%), 100 g edible is
+ * 100 / 0.55 ≈ 182 g as purchased. No yield means no loss.
+ */
+export function toAsPurchasedGrams(edibleGrams, yieldPercent) {
+  const y = positiveOrNull(yieldPercent);
+  return y ? edibleGrams / (Math.min(y, 100) / 100) : edibleGrams;
+}
+
+// Request value → { value } (a percent in [0.01, 100], or null to clear) or { error }.
+// Rounded to hundredths first, as the columns store it.
+export function parseYieldPercent(value, field = "yieldPercent") {
+  if (value === null || value === "") return { value: null };
+  const n = Math.round(Number(value) * 100) / 100;
+  if (!Number.isFinite(n) || n <= 0 || n > 100) {
+    return { error: `${field} must be a percentage from 0.01 up to 100` };
+  }
+  return { value: n };
+}